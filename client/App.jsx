@@ -3,83 +3,181 @@ import {
   AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, BarChart, Bar, Cell, PieChart, Pie
 } from 'recharts';
 import {
-  Activity, Database, AlertCircle, Cpu, HardDrive, Clock, Play, Pause, FileText, Wifi, Layers, Timer, Zap, AlertTriangle, BarChart2, ListFilter, GripHorizontal, Hash
+  Activity, Database, AlertCircle, Cpu, HardDrive, Clock, Play, Pause, FileText, Wifi, Layers, Timer, Zap, AlertTriangle,
+  FolderTree, Server, ShieldOff, Circle, Square, Download, Upload, StepForward, X, Film, FileDown
 } from 'lucide-react';
 import { formatCount, formatBytes, formatDuration, formatPercent } from './src/formatters';
 import ExplorerDashboard from './src/ExplorerDashboard';
+import LintView from './src/LintView';
+import CardinalityView from './src/CardinalityView';
+import GroupingRulesEditor from './src/GroupingRulesEditor';
+import TargetsEditor from './src/TargetsEditor';
+import { fetchReadiness, listTargets } from './src/targetsApi';
+import { getMetricsWorker } from './src/metricsWorkerClient';
+import { formatFromContentType } from './src/metricsParser';
+import { DEFAULT_GROUPING_RULES } from './src/catalogGrouping';
+import { fetchServerHistory } from './src/serverHistory';
+import { openMetricsStream, supportsMetricsStream } from './src/metricsStream';
+import { createRecorder, createReplay, parseRecording } from './src/scrapeRecording';
+import { EXPORT_FORMATS, collectSeries, downloadHistory, downloadText } from './src/historyExport';
+
+// Metrics read by the Dashboard and Internals tabs. The metrics worker keeps the full
+// scrape and only sends these back, so large endpoints don't flood the UI thread.
+const DASHBOARD_METRICS = [
+  'boltdb_reads_total', 'boltdb_writes_total',
+  'go_gc_duration_seconds_count', 'go_gc_duration_seconds_sum', 'go_goroutines', 'go_threads',
+  'go_memstats_alloc_bytes', 'go_memstats_buck_hash_sys_bytes', 'go_memstats_gc_cpu_fraction',
+  'go_memstats_gc_sys_bytes', 'go_memstats_heap_alloc_bytes', 'go_memstats_heap_idle_bytes',
+  'go_memstats_heap_inuse_bytes', 'go_memstats_heap_objects', 'go_memstats_heap_sys_bytes',
+  'go_memstats_mcache_inuse_bytes', 'go_memstats_mspan_inuse_bytes', 'go_memstats_next_gc_bytes',
+  'go_memstats_other_sys_bytes', 'go_memstats_stack_inuse_bytes', 'go_memstats_sys_bytes',
+  'http_api_request_duration_seconds_bucket',
+  'http_query_request_count', 'http_query_response_bytes', 'http_write_request_bytes', 'http_write_request_count',
+  'influxdb_buckets_total', 'influxdb_dashboards_total', 'influxdb_organizations_total',
+  'influxdb_tokens_total', 'influxdb_uptime_seconds', 'influxdb_users_total',
+  'influxdb_query_executor_queries_active', 'influxdb_query_executor_queries_queued',
+  'qc_compiling_active', 'qc_executing_active', 'qc_memory_unused_bytes', 'qc_queueing_active', 'qc_requests_total',
+  'query_control_queries_active', 'query_control_queries_queued',
+  'storage_bucket_measurement_num', 'storage_bucket_series_num', 'storage_compactions_active',
+  'storage_compactions_failed', 'storage_shard_disk_size', 'storage_tsm_files_total', 'storage_wal_size',
+  'storage_writer_timeouts',
+  'task_executor_errors_counter', 'task_executor_promise_queue_usage', 'task_executor_total_runs_active',
+  'task_executor_total_runs_complete', 'task_executor_workers_busy',
+  'task_scheduler_current_execution', 'task_scheduler_execute_delta_count', 'task_scheduler_execute_delta_sum',
+  'task_scheduler_schedule_delay_count', 'task_scheduler_schedule_delay_sum',
+];
+
+// Polls kept in metricsHistory for the Dashboard and Internals charts
+const HISTORY_LIMIT = 60;
+
+// How long to poll after the live stream drops before trying to reopen it
+const STREAM_RECONNECT_MS = 30000;
+
+// Storage key for the catalog grouping rules
+const GROUPING_RULES_KEY = 'influx-catalog-grouping-rules';
+
+// Storage key for the registered target selected in the header (absent for the ad hoc URL)
+const ACTIVE_TARGET_KEY = 'influx-active-target';
 
-// --- Parser Logic ---
-
-const parsePrometheusMetrics = (text) => {
-  const lines = text.split('\n');
-  const metrics = new Map();
-
-  // Regex to capture: 1=Name, 2=Labels(optional), 3=Value, 4=Timestamp(optional)
-  const regex = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{([^}]*)\})?\s+([0-9eE.+\-NaNInf]+)(?:\s+([0-9]+))?$/;
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-
-    const match = trimmed.match(regex);
-    if (match) {
-      const [, name, labelStr, valueStr] = match;
-      let value = Number.parseFloat(valueStr);
-      if (Number.isNaN(value)) {
-          if (valueStr === "+Inf" || valueStr === "Inf") value = Infinity;
-          else if (valueStr === "-Inf") value = -Infinity;
-          else value = 0;
-      }
-
-      const labels = {};
-
-      if (labelStr) {
-        // Parse labels properly, handling escaped quotes and commas within quoted values
-        const labelRegex = /([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"/g;
-        let labelMatch;
-        while ((labelMatch = labelRegex.exec(labelStr)) !== null) {
-          const k = labelMatch[1];
-          // Unescape escaped characters: \" -> ", \\ -> \, \n -> newline
-          const v = labelMatch[2]
-            .replaceAll(String.raw`\"`, '"')
-            .replaceAll(String.raw`\\`, '\\')
-            .replaceAll(String.raw`\n`, '\n');
-          labels[k] = v;
-        }
-      }
+// --- Helper Functions ---
 
-      if (!metrics.has(name)) {
-        metrics.set(name, []);
-      }
-      metrics.get(name).push({ labels, value });
-    }
+/**
+ * Load the saved catalog grouping rules, falling back to the defaults
+ */
+const loadGroupingRules = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GROUPING_RULES_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    console.error('Failed to load grouping rules:', e);
   }
-  return metrics;
+  return DEFAULT_GROUPING_RULES;
 };
 
-// --- Helper Functions ---
+// Banner title and remediation for each error type: the client's own ('cors', 'proxy_unreachable',
+// 'timeout', 'http', 'parse') and the codes the proxy and stream report (see classifyUpstreamError
+// in server/upstream.js)
+const ERROR_DETAILS = {
+  cors: { title: 'Connection Blocked (CORS/Network)' },
+  proxy_unreachable: {
+    title: 'Proxy Server Unreachable',
+    hint: 'The app\'s own server did not answer. Check that it is running (npm run dev or npm start), or turn off the CORS Proxy to fetch directly.',
+  },
+  timeout: {
+    title: 'Request Timeout',
+    hint: 'The server took too long to respond. Check if the metrics endpoint is accessible.',
+  },
+  http: {
+    title: 'HTTP Error',
+    hint: 'The server returned an error. Check the URL and server status.',
+  },
+  parse: {
+    title: 'Parse Error',
+    hint: 'Check the diagnostics under "Settings > Manual Input" for the rejected lines.',
+  },
+  recording: {
+    title: 'Invalid Recording',
+    hint: 'Load an NDJSON file saved with "Save" under "Settings > Recording & Replay".',
+  },
+  dns_failure: {
+    title: 'Host Not Found',
+    hint: 'The host name could not be resolved. Check the URL for typos, and that the name resolves on the machine running this app\'s server, not only in your browser.',
+  },
+  connection_refused: {
+    title: 'Connection Refused',
+    hint: 'Nothing is listening on that host and port. Check that InfluxDB is running and the port is right (8086 by default).',
+  },
+  connection_reset: {
+    title: 'Connection Reset',
+    hint: 'The endpoint closed the connection before answering. Check whether it expects https:// rather than http://, or whether a firewall or load balancer drops the request.',
+  },
+  host_unreachable: {
+    title: 'Host Unreachable',
+    hint: 'The server has no network route to that host. Check VPNs and firewalls between the app\'s server and InfluxDB.',
+  },
+  tls_error: {
+    title: 'TLS Error',
+    hint: 'The HTTPS handshake failed for the reason above. Set a CA bundle, client certificate or server name on the target under "Settings > Targets".',
+  },
+  upstream_timeout: {
+    title: 'Upstream Timeout',
+    hint: 'The endpoint did not answer in time. InfluxDB may be overloaded; try a longer poll interval.',
+  },
+  upstream_http_error: {
+    title: 'Upstream HTTP Error',
+    hint: 'The endpoint answered with an error status. 401 or 403 means it needs credentials: register it as a target with a token under "Settings > Targets". 404 means the path is wrong (InfluxDB serves /metrics).',
+  },
+  payload_too_large: {
+    title: 'Response Too Large',
+    hint: 'The metrics page is larger than the proxy accepts. Raise PROXY_MAX_RESPONSE_BYTES on the server.',
+  },
+  forbidden_host: {
+    title: 'Blocked by Proxy Policy',
+    hint: 'The server\'s proxy policy does not allow this host or port. Ask whoever runs it to add it to PROXY_ALLOW, or remove the rule above from PROXY_DENY.',
+  },
+  forbidden_address: {
+    title: 'Blocked by Proxy Policy',
+    hint: 'The host resolves to an address the server\'s proxy policy denies (see the rule above). Ask whoever runs it to change PROXY_DENY.',
+  },
+  forbidden_method: {
+    title: 'Blocked by Proxy Policy',
+    hint: 'The proxy does not forward this HTTP method. It is set by PROXY_METHODS on the server.',
+  },
+  unknown_target: {
+    title: 'Unknown Target',
+    hint: 'The selected target no longer exists on the server. Pick another one in the header.',
+  },
+  invalid_url: {
+    title: 'Invalid URL',
+    hint: 'Check the Metrics URL in Connection Settings.',
+  },
+};
+
+const DEFAULT_ERROR_DETAILS = {
+  title: 'Connection Error',
+  hint: 'Check connection settings or use "Settings > Manual Input".',
+};
 
 /**
  * Returns a user-friendly title for the given error type.
  */
-const getErrorTitle = (errorType) => {
-  switch (errorType) {
-    case 'cors': return 'Connection Blocked (CORS/Network)';
-    case 'timeout': return 'Request Timeout';
-    case 'http': return 'HTTP Error';
-    default: return 'Connection Error';
-  }
-};
+const getErrorTitle = (errorType) => (ERROR_DETAILS[errorType] ?? DEFAULT_ERROR_DETAILS).title;
 
 /**
- * Generates a chart title with an optional groupBy suffix.
+ * Returns what to check or change for the given error type, if there is advice
  */
-const getChartTitle = (prefix, metricName, groupBy) => {
-  const suffix = groupBy === 'All' ? '' : ` (by ${groupBy})`;
-  return `${prefix}: ${metricName}${suffix}`;
-};
+const getErrorHint = (errorType) => (ERROR_DETAILS[errorType] ?? DEFAULT_ERROR_DETAILS).hint;
 
+const TIMING_LABELS = { dnsMs: 'DNS', connectMs: 'connect', tlsMs: 'TLS', firstByteMs: 'first byte', totalMs: 'total' };
 
+/**
+ * Format the proxy's upstream timings, e.g. "DNS 1ms · connect 3ms · total 30002ms"
+ * @param {Object} timing - { dnsMs, connectMs, tlsMs, firstByteMs, totalMs }, ms since the request started
+ */
+const formatTiming = (timing) => Object.entries(TIMING_LABELS)
+  .filter(([key]) => timing[key] !== undefined)
+  .map(([key, label]) => `${label} ${Math.round(timing[key])}ms`)
+  .join(' · ');
 
 const getMetricValue = (metrics, name, labelFilters = {}) => {
   const metricSeries = metrics.get(name);
@@ -92,158 +190,7 @@ const getMetricValue = (metrics, name, labelFilters = {}) => {
   return matches.reduce((acc, curr) => acc + curr.value, 0);
 };
 
-// --- Histogram & Summary Helpers ---
-
-/**
- * Determines the group key for a metric item based on the groupBy parameter.
- * Used by histogram and counter breakdown functions.
- */
-const getGroupKey = (labels, groupBy) => {
-    if (!groupBy) return 'All';
-    if (groupBy === 'method + path') {
-        const m = labels.method || '';
-        const p = labels.path || '';
-        return m && p ? `${m} ${p}` : (m || p || 'Other');
-    }
-    if (labels[groupBy]) return labels[groupBy];
-    return 'Other';
-};
-
-const discoverDistributions = (metrics) => {
-    const histograms = new Set();
-    const summaries = new Set();
-    const counters = new Set();
-
-    for (const [name, series] of metrics.entries()) {
-        if (name.endsWith('_bucket')) {
-            const baseName = name.replace('_bucket', '');
-            histograms.add(baseName);
-            continue;
-        }
-        if (series.some(s => s.labels.quantile !== undefined)) {
-            summaries.add(name);
-            continue;
-        }
-        counters.add(name);
-    }
-    return { 
-        histograms: Array.from(histograms).sort(), 
-        summaries: Array.from(summaries).sort(),
-        counters: Array.from(counters).sort()
-    };
-};
-
-const computeHistogramData = (metrics, baseName, groupBy) => {
-    const bucketName = `${baseName}_bucket`;
-    const series = metrics.get(bucketName);
-    if (!series) return { data: [], keys: [] };
-
-    const groups = {}; 
-    const allLe = new Set();
-
-    series.forEach(item => {
-        const le = item.labels.le;
-        if (!le) return;
-
-        allLe.add(le);
-        const groupKey = getGroupKey(item.labels, groupBy);
-
-        if (!groups[groupKey]) groups[groupKey] = {};
-        groups[groupKey][le] = (groups[groupKey][le] || 0) + item.value;
-    });
-
-    const sortedLe = Array.from(allLe).map(l => l === '+Inf' ? Infinity : Number.parseFloat(l)).sort((a, b) => a - b);
-    const sortedLeStr = sortedLe.map(l => l === Infinity ? '+Inf' : l.toString());
-
-    const result = sortedLe.map((leVal, idx) => {
-        const leStr = sortedLeStr[idx];
-        
-        let rangeLabel = "";
-        const prevLeLabel = idx === 0 ? "0" : sortedLeStr[idx-1];
-        if (leVal === Infinity) rangeLabel = `> ${prevLeLabel}s`;
-        else if (idx === 0) rangeLabel = `< ${leStr}s`;
-        else rangeLabel = `${prevLeLabel}-${leStr}s`;
-
-        const row = { range: rangeLabel, le: leVal, sortIndex: idx };
-        
-        Object.keys(groups).forEach(gKey => {
-            const currVal = groups[gKey][leStr] || 0;
-            let prevVal = 0;
-            if (idx > 0) {
-                const prevLeStr = sortedLeStr[idx-1];
-                prevVal = groups[gKey][prevLeStr] || 0;
-            }
-            
-            const exclusive = currVal - prevVal;
-            row[gKey] = Math.max(0, exclusive);
-        });
-
-        return row;
-    }).filter(r => {
-        return Object.keys(groups).some(k => r[k] > 0);
-    });
-
-    return { data: result, keys: Object.keys(groups) };
-};
-
-const computeCounterBreakdown = (metrics, metricName, groupBy) => {
-    const series = metrics.get(metricName);
-    if (!series) return [];
-
-    const groups = {};
-
-    series.forEach(item => {
-        const groupKey = getGroupKey(item.labels, groupBy);
-        groups[groupKey] = (groups[groupKey] || 0) + item.value;
-    });
-
-    return Object.entries(groups)
-        .map(([name, value]) => ({ name, value }))
-        .sort((a, b) => b.value - a.value);
-};
-
-const computeSummaryData = (metrics, name) => {
-    const series = metrics.get(name);
-    if (!series) return { data: [], keys: [] };
-
-    const quantiles = series.filter(s => s.labels.quantile !== undefined);
-    
-    // Group data by label set
-    const groups = {};
-    const allQuantiles = new Set();
-
-    quantiles.forEach(item => {
-        const { quantile, ...otherLabels } = item.labels;
-        allQuantiles.add(quantile);
-        
-        const labelParts = Object.entries(otherLabels).map(([k, v]) => `${k}: ${v}`);
-        const key = labelParts.length > 0 ? labelParts.join(', ') : 'Global';
-
-        if (!groups[key]) groups[key] = { max: 0 };
-        groups[key][quantile] = item.value;
-        if (item.value > groups[key].max) groups[key].max = item.value;
-    });
-
-    // Get sorted unique quantiles for X-axis
-    const sortedQuantiles = Array.from(allQuantiles).sort((a, b) => Number.parseFloat(a) - Number.parseFloat(b));
-
-    // Identify Top N series by max value to reduce noise
-    const topSeries = Object.entries(groups)
-        .sort((a, b) => b[1].max - a[1].max)
-        .slice(0, 5) // Top 5
-        .map(e => e[0]);
-
-    // Pivot for Recharts BarChart: [{ name: "0.5", series1: 10, series2: 20 }, { name: "0.9", ... }]
-    const chartData = sortedQuantiles.map(q => {
-        const row = { name: `P${Number.parseFloat(q) * 100}` }; // e.g., P50, P90
-        topSeries.forEach(seriesName => {
-            row[seriesName] = groups[seriesName][q] || 0;
-        });
-        return row;
-    });
-
-    return { data: chartData, keys: topSeries };
-};
+// --- Histogram Helpers ---
 
 const computeRateDistribution = (currMetrics, prevMetrics, metricName, filterFn, timeDiff) => {
     if (!currMetrics || !prevMetrics || timeDiff <= 0) return [];
@@ -479,37 +426,77 @@ const StatBadge = ({ label, value, subtext, icon: Icon, color = "blue", alert =
 };
 
 /**
- * Reusable metric selector list component for explorer tab.
- * Displays a scrollable list of metric buttons.
+ * Lists the parser's rejected lines and warnings in line order
  */
-const MetricSelectorList = ({
-  label,
-  items,
-  selectedItem,
-  onSelect,
-  selectedColorClass = "bg-blue-100 text-blue-700 dark:bg-blue-900/50 dark:text-blue-300",
-  maxHeight = "max-h-64",
-  id
-}) => (
-  <div>
-    <label htmlFor={id} className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">{label}</label>
-    <div id={id} className={`space-y-1 ${maxHeight} overflow-y-auto border border-slate-200 dark:border-slate-700 rounded-lg p-2 bg-white dark:bg-slate-800`}>
-      {items.map(item => (
-        <button
-          key={item}
-          onClick={() => onSelect(item)}
-          className={`w-full text-left px-3 py-2 rounded-md text-sm truncate ${
-            selectedItem === item
-              ? `${selectedColorClass} font-medium`
-              : 'text-slate-600 dark:text-slate-400 hover:bg-slate-50 dark:hover:bg-slate-700'
-          }`}
-        >
-          {item}
-        </button>
-      ))}
+const ParseDiagnostics = ({ diagnostics }) => {
+  if (!diagnostics || (diagnostics.errors === 0 && diagnostics.warnings === 0)) return null;
+
+  const total = diagnostics.errors + diagnostics.warnings;
+
+  return (
+    <div className="border border-slate-200 dark:border-slate-700 rounded-lg bg-white dark:bg-slate-800">
+      <div className="px-3 py-2 flex items-center gap-3 text-xs font-medium border-b border-slate-200 dark:border-slate-700">
+        <span className="text-red-600 dark:text-red-400">{diagnostics.errors} rejected {diagnostics.errors === 1 ? 'line' : 'lines'}</span>
+        <span className="text-amber-600 dark:text-amber-400">{diagnostics.warnings} {diagnostics.warnings === 1 ? 'warning' : 'warnings'}</span>
+      </div>
+      <ul className="max-h-48 overflow-y-auto divide-y divide-slate-100 dark:divide-slate-700 text-xs">
+        {diagnostics.items.map((item, index) => (
+          <li key={`${item.line}-${index}`} className="px-3 py-1.5">
+            <div className="flex items-center gap-2">
+              <span className="font-mono text-slate-400 flex-shrink-0">L{item.line}</span>
+              <span className={item.severity === 'error' ? 'text-red-600 dark:text-red-400' : 'text-amber-600 dark:text-amber-400'}>
+                {item.message}
+              </span>
+            </div>
+            {item.text && (
+              <code className="block mt-0.5 font-mono text-slate-500 dark:text-slate-400 truncate" title={item.text}>{item.text}</code>
+            )}
+          </li>
+        ))}
+      </ul>
+      {diagnostics.items.length < total && (
+        <p className="px-3 py-1.5 text-xs text-slate-400 border-t border-slate-200 dark:border-slate-700">
+          Showing the first {diagnostics.items.length} of {total}
+        </p>
+      )}
     </div>
-  </div>
-);
+  );
+};
+
+// Manual Input formats; 'auto' lets the parser detect the format from the content
+const INPUT_FORMATS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: 'prometheus', label: 'Prometheus / OpenMetrics' },
+  { value: 'openmetrics', label: 'OpenMetrics (timestamps in seconds)' },
+  { value: 'lineprotocol', label: 'InfluxDB line protocol' },
+  { value: 'expvar', label: 'InfluxDB 1.x expvar JSON' }
+];
+
+// Replay speeds, as multiples of the recorded pace
+const REPLAY_SPEEDS = [1, 2, 5, 10, 60];
+
+// How often the connection bar refreshes target status from /api/ready
+const READINESS_INTERVAL_MS = 15000;
+
+// Target status dots in the connection bar, by /api/ready status
+const TARGET_STATUS = {
+  up: { color: 'bg-green-500', label: 'Up' },
+  down: { color: 'bg-red-500', label: 'Down' },
+  stale: { color: 'bg-amber-500', label: 'No recent scrape' },
+  pending: { color: 'bg-slate-400', label: 'Waiting for the first scrape' },
+  unchecked: { color: 'bg-slate-300 dark:bg-slate-500', label: 'Not checked: the browser fetches it without the proxy' },
+};
+
+/**
+ * Tooltip for a target in the connection bar
+ * @param {Object} target - A target from /api/ready
+ */
+const describeTargetStatus = ({ name, kind, url, status, lastScrape, durationMs, error, code }) => {
+  const lines = [`${name} (${kind}${url ? `, ${url}` : ''})`, TARGET_STATUS[status]?.label ?? status];
+  if (error) lines.push(`${getErrorTitle(code)}: ${error}`);
+  if (lastScrape) lines.push(`Last ${kind === 'push' ? 'push' : 'scrape'} ${new Date(lastScrape).toLocaleTimeString()}${durationMs !== null ? ` (${durationMs} ms)` : ''}`);
+  return lines.join('\n');
+};
 
 // --- Main App ---
 
@@ -517,64 +504,243 @@ export default function App() {
   const [url, setUrl] = useState('http://localhost:8086/metrics');
   const [useProxy, setUseProxy] = useState(true); // Use CORS proxy by default
   const [polling, setPolling] = useState(false);
+  const [liveMode, setLiveMode] = useState(null); // 'stream' while the server pushes scrapes, 'polling' otherwise
   const [intervalMs, setIntervalMs] = useState(2000);
-  const [metricsHistory, setMetricsHistory] = useState([]);
-  const [currentMetricsText, setCurrentMetricsText] = useState(''); // Raw text for ExplorerDashboard
+  const [metricsHistory, setMetricsHistory] = useState([]); // { timestamp, metrics } of DASHBOARD_METRICS, oldest first
+  const [latestSnapshot, setLatestSnapshot] = useState(null); // { timestamp, catalog, seriesCount, diagnostics } for the explorer
   const [error, setError] = useState(null);
-  const [errorType, setErrorType] = useState(null); // 'cors', 'network', 'timeout', 'http', 'parse'
+  const [errorType, setErrorType] = useState(null); // a key of ERROR_DETAILS, or 'network'
+  const [errorTiming, setErrorTiming] = useState(null); // upstream timings of the last failed proxy request
   const [activeTab, setActiveTab] = useState('dashboard');
   const [rawInput, setRawInput] = useState('');
+  const [inputFormat, setInputFormat] = useState('auto');
+  const [parsedFormat, setParsedFormat] = useState(null); // format the last manual parse was read as
   const [lastFetchTime, setLastFetchTime] = useState(null);
+  const [lastFetchCache, setLastFetchCache] = useState(null); // { status, age } from the proxy's X-Cache and Age headers
+  const [recording, setRecording] = useState(null); // { recorder, active, full, target, startedAt, scrapes, bytes } of the current or last recording
+  const [replay, setReplay] = useState(null); // { player, recording, name, position, playing, speed } while a recording is replayed
+  const [exportFormat, setExportFormat] = useState('csv-long');
+  const [exportMatch, setExportMatch] = useState(''); // series filter for the history export
+  const [lastExport, setLastExport] = useState(null); // { series, points, skipped, format } of the last history export
+  const [manualDiagnostics, setManualDiagnostics] = useState(null);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [groupingRules, setGroupingRules] = useState(loadGroupingRules);
+  const [targets, setTargets] = useState([]); // named targets registered on the server
+  const [targetsAvailable, setTargetsAvailable] = useState(false);
+  const [readiness, setReadiness] = useState(null); // latest /api/ready result, for per-target status
+  const [activeTargetId, setActiveTargetId] = useState(() => localStorage.getItem(ACTIVE_TARGET_KEY));
+  // Bumped on every target switch so scrapes of the previous target that land late are dropped
+  const connectionRef = useRef(0);
+  // The recorder while recording; read by ingestScrape, which outlives renders
+  const recorderRef = useRef(null);
+
+  // The selected registered target overrides the ad hoc Connection Settings
+  const activeTarget = targets.find(target => target.id === activeTargetId) || null;
+  const targetId = activeTarget?.id ?? null;
+  const targetUrl = activeTarget?.url ?? url;
+  const targetIntervalMs = activeTarget?.intervalMs ?? intervalMs;
+  const targetUseProxy = activeTarget?.useProxy ?? useProxy;
+  const targetHeaders = activeTarget?.headers;
 
-  // Discovery State
-  const [discovered, setDiscovered] = useState({ histograms: [], summaries: [], counters: [] });
-  
-  // Histogram State
-  const [selectedHist, setSelectedHist] = useState('');
-  const [selectedHistGroupBy, setSelectedHistGroupBy] = useState('All');
-  const [availableHistLabels, setAvailableHistLabels] = useState([]);
+  useEffect(() => {
+    listTargets()
+      .then(list => {
+        setTargets(list);
+        setTargetsAvailable(true);
+        // The saved selection may have been removed by someone else
+        setActiveTargetId(prev => (list.some(target => target.id === prev) ? prev : null));
+      })
+      .catch(err => console.error('Failed to load targets:', err));
+  }, []);
+
+  // Target status, refreshed at once when targets are saved or deleted
+  useEffect(() => {
+    if (!targetsAvailable) return;
+    let cancelled = false;
+    const refresh = () => fetchReadiness()
+      .then(result => {
+        if (!cancelled) setReadiness(result);
+      })
+      .catch(err => console.error('Failed to check targets:', err));
+    refresh();
+    const timer = setInterval(refresh, READINESS_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [targetsAvailable, targets]);
+
+  /**
+   * Drop the history and everything derived from it; scrapes already in flight are ignored
+   */
+  const resetView = () => {
+    connectionRef.current++;
+    setMetricsHistory([]);
+    setLatestSnapshot(null);
+    setError(null);
+    setErrorType(null);
+    setErrorTiming(null);
+    setLastFetchTime(null);
+    setLastFetchCache(null);
+    setShowDiagnostics(false);
+    getMetricsWorker().reset().catch(err => console.error('Failed to reset metrics worker:', err));
+  };
+
+  const stopRecording = () => {
+    recorderRef.current = null;
+    setRecording(prev => (prev ? { ...prev, active: false } : prev));
+  };
+
+  const stopReplay = () => {
+    replay?.player.pause();
+    setReplay(null);
+  };
+
+  /**
+   * Watch another target (null for the ad hoc URL), starting from an empty history
+   */
+  const switchTarget = (id) => {
+    // A recording or replay belongs to one target
+    stopRecording();
+    stopReplay();
+    resetView();
+    setActiveTargetId(id);
+    try {
+      if (id) localStorage.setItem(ACTIVE_TARGET_KEY, id);
+      else localStorage.removeItem(ACTIVE_TARGET_KEY);
+    } catch (e) {
+      console.error('Failed to save active target:', e);
+    }
+  };
 
-  // Summary State
-  const [selectedSummary, setSelectedSummary] = useState('');
+  const handleTargetSaved = (saved) => {
+    const previous = targets.find(target => target.id === saved.id);
+    setTargets(prev => (previous ? prev.map(target => (target.id === saved.id ? saved : target)) : [...prev, saved]));
+    // Points from the old URL would be mixed into the new one's charts
+    if (saved.id === activeTargetId && previous?.url !== saved.url) switchTarget(saved.id);
+  };
 
-  // Counter/Gauge State
-  const [selectedCounter, setSelectedCounter] = useState('');
-  const [selectedCounterGroupBy, setSelectedCounterGroupBy] = useState('All');
-  const [availableCounterLabels, setAvailableCounterLabels] = useState([]);
+  const handleTargetDeleted = (id) => {
+    setTargets(prev => prev.filter(target => target.id !== id));
+    if (id === activeTargetId) switchTarget(null);
+  };
+
+  // Persist grouping rules and regroup the current catalog in the worker; later parses use them too
+  useEffect(() => {
+    try {
+      localStorage.setItem(GROUPING_RULES_KEY, JSON.stringify(groupingRules));
+    } catch (e) {
+      console.error('Failed to save grouping rules:', e);
+    }
+    getMetricsWorker().setGroupingRules(groupingRules)
+      .then(({ catalog }) => {
+        if (catalog) setLatestSnapshot(prev => (prev ? { ...prev, catalog } : prev));
+      })
+      .catch(err => console.error('Failed to apply grouping rules:', err));
+  }, [groupingRules]);
+
+  // Backfill the charts from the server's scraper when it scrapes the URL being polled
+  useEffect(() => {
+    const controller = new AbortController();
+    // Registered targets are scraped under their id, with their own credentials
+    fetchServerHistory(targetId ?? targetUrl, DASHBOARD_METRICS, { limit: HISTORY_LIMIT, signal: controller.signal })
+      .then(backfill => {
+        if (backfill.length === 0) return;
+        setMetricsHistory(prev => {
+          // Keep what this tab polled itself; only add older points
+          const oldest = prev[0]?.timestamp ?? Infinity;
+          return [...backfill.filter(entry => entry.timestamp < oldest), ...prev].slice(-HISTORY_LIMIT);
+        });
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') console.error('Failed to backfill history:', err);
+      });
+    return () => controller.abort();
+  }, [targetId, targetUrl]);
+
+  /**
+   * Parse one scrape of the target and append it to the history; shared by polling and the stream.
+   * historyLimit is raised for replays that must keep more than HISTORY_LIMIT points.
+   */
+  const ingestScrape = useCallback(async (text, { fetchedAt, contentType, cache = null, replayed = false, connection = connectionRef.current, historyLimit = HISTORY_LIMIT }) => {
+    // Recorded before parsing, so scrapes that fail to parse replay exactly as they arrived
+    const recorder = recorderRef.current;
+    if (recorder && !replayed && connection === connectionRef.current) {
+      const added = recorder.add({ fetchedAt, contentType, text });
+      if (!added) recorderRef.current = null;
+      setRecording(prev => (prev?.recorder === recorder ? { ...prev, ...recorder.stats(), active: added, full: !added } : prev));
+    }
+
+    // Parsed once in the metrics worker and shared by every tab. The snapshot prefers the
+    // exposition timestamp so replayed or federated dumps plot at the right time.
+    // The Content-Type tells Prometheus text from InfluxDB 1.x expvar JSON; otherwise it is sniffed.
+    const snapshot = await getMetricsWorker().parse(text, {
+      fetchedAt,
+      watch: DASHBOARD_METRICS,
+      format: formatFromContentType(contentType)
+    });
+    if (connection !== connectionRef.current) return; // the user switched targets meanwhile
+
+    setMetricsHistory(prev => {
+      const newHistory = [...prev, { timestamp: snapshot.timestamp, metrics: snapshot.metrics }];
+      if (newHistory.length > historyLimit) return newHistory.slice(-historyLimit);
+      return newHistory;
+    });
+    setLatestSnapshot(snapshot);
+    setError(null);
+    setErrorType(null);
+    setErrorTiming(null);
+    setLastFetchTime(new Date(fetchedAt));
+    setLastFetchCache(cache);
+  }, []);
 
   // Poll Logic
   const fetchMetrics = useCallback(async () => {
     const maxRetries = 5;
     let lastError = null;
     let lastErrorType = null;
+    let lastErrorTiming = null;
+    const connection = connectionRef.current;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), intervalMs);
+      const timeoutId = setTimeout(() => controller.abort(), targetIntervalMs);
 
       try {
-        // Use proxy endpoint if enabled, otherwise fetch directly
-        const fetchUrl = useProxy
-          ? `/api/proxy?url=${encodeURIComponent(url)}`
-          : url;
+        // Use proxy endpoint if enabled, otherwise fetch directly. The proxy applies a
+        // registered target's headers itself.
+        let fetchUrl = targetUrl;
+        if (targetUseProxy) {
+          fetchUrl = targetId
+            ? `/api/proxy?target=${encodeURIComponent(targetId)}`
+            : `/api/proxy?url=${encodeURIComponent(targetUrl)}`;
+        }
 
-        const response = await fetch(fetchUrl, { signal: controller.signal });
+        const response = await fetch(fetchUrl, {
+          signal: controller.signal,
+          headers: targetUseProxy ? undefined : targetHeaders,
+        });
 
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        if (!response.ok) {
+          // The proxy explains its failures as { error, code, timing }; other servers only give a status
+          const body = targetUseProxy ? await response.json().catch(() => null) : null;
+          throw Object.assign(new Error(body?.error || `HTTP error! status: ${response.status}`), {
+            code: body?.code,
+            timing: body?.timing,
+          });
+        }
         const text = await response.text();
 
-        const parsed = parsePrometheusMetrics(text);
-        const timestamp = Date.now();
-
-        setMetricsHistory(prev => {
-          const newHistory = [...prev, { timestamp, metrics: parsed }];
-          if (newHistory.length > 60) return newHistory.slice(-60);
-          return newHistory;
+        // The proxy may answer from its cache or from a request another client started (X-Cache);
+        // Age says how many seconds ago the target was actually scraped
+        const cacheStatus = response.headers.get('x-cache');
+        const age = Number(response.headers.get('age')) || 0;
+        await ingestScrape(text, {
+          fetchedAt: Date.now() - age * 1000,
+          contentType: response.headers.get('content-type'),
+          cache: cacheStatus ? { status: cacheStatus, age } : null,
+          connection,
         });
-        setCurrentMetricsText(text); // Store raw text for ExplorerDashboard
-        setError(null);
-        setErrorType(null);
-        setLastFetchTime(new Date());
         return; // Success - exit the retry loop
       } catch (e) {
         clearTimeout(timeoutId);
@@ -584,9 +750,16 @@ export default function App() {
         let errType = 'network';
         let errMsg = e.message || 'Unknown error';
 
-        if (e.name === 'AbortError') {
+        if (e.code) {
+          // Classified by the proxy
+          errType = e.code;
+        } else if (e.name === 'AbortError') {
           errType = 'timeout';
           errMsg = 'Request timed out';
+        } else if (targetUseProxy && (e.name === 'TypeError' || e.message?.toLowerCase().includes('failed to fetch'))) {
+          // Same-origin requests to the proxy aren't subject to CORS, so the proxy itself is down
+          errType = 'proxy_unreachable';
+          errMsg = 'Could not reach the CORS proxy';
         } else if (e.name === 'TypeError' || e.message?.toLowerCase().includes('failed to fetch')) {
           // TypeError with "Failed to fetch" is the typical CORS or network error signature
           // When CORS blocks a request, the browser throws TypeError without detailed info
@@ -598,6 +771,7 @@ export default function App() {
 
         lastError = errMsg;
         lastErrorType = errType;
+        lastErrorTiming = e.timing ?? null;
 
         // If this was the last attempt, don't wait before exiting
         if (attempt < maxRetries) {
@@ -610,134 +784,228 @@ export default function App() {
     }
 
     // All retries exhausted - set error state
+    if (connection !== connectionRef.current) return;
     setError(`${lastError} (after ${maxRetries} attempts)`);
     setErrorType(lastErrorType);
+    setErrorTiming(lastErrorTiming);
     setPolling(false);
-  }, [url, intervalMs, useProxy]);
+  }, [targetId, targetUrl, targetIntervalMs, targetUseProxy, targetHeaders, ingestScrape]);
 
-  const handleManualParse = () => {
+  const handleManualParse = async () => {
     try {
-      const parsed = parsePrometheusMetrics(rawInput);
-      const timestamp = Date.now();
-      setMetricsHistory(prev => [...prev, { timestamp, metrics: parsed }].slice(-60));
-      setCurrentMetricsText(rawInput); // Store raw text for ExplorerDashboard
+      const snapshot = await getMetricsWorker().parse(rawInput, {
+        fetchedAt: Date.now(),
+        watch: DASHBOARD_METRICS,
+        format: inputFormat,
+        timeline: true
+      });
+      const { diagnostics } = snapshot;
+      setManualDiagnostics(diagnostics);
+      setParsedFormat(snapshot.format);
+
+      if (snapshot.seriesCount === 0) {
+        setError(diagnostics.errors > 0
+          ? `No metrics found: ${diagnostics.errors} rejected ${diagnostics.errors === 1 ? 'line' : 'lines'}`
+          : 'No metrics found in input text');
+        setErrorType('parse');
+        setErrorTiming(null);
+        return;
+      }
 
-      // Auto-discover
-      const disc = discoverDistributions(parsed);
-      setDiscovered(disc);
+      // Line protocol with points at several times plays back one timestamp at a time, like a
+      // recording, so the dashboard, explorer widgets and exports get the whole timeline. The
+      // history keeps every timestamp, however many more than HISTORY_LIMIT there are.
+      if (snapshot.timeline) {
+        const { timeline } = snapshot;
+        startReplay({ target: null, startedAt: timeline[0].fetchedAt, scrapes: timeline }, 'Manual Input',
+          REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1], Math.max(HISTORY_LIMIT, timeline.length));
+        if (diagnostics.errors === 0) setActiveTab('dashboard');
+        return;
+      }
 
-      if (disc.histograms.length > 0) setSelectedHist(disc.histograms[0]);
-      if (disc.summaries.length > 0) setSelectedSummary(disc.summaries[0]);
-      if (disc.counters.length > 0) setSelectedCounter(disc.counters[0]);
+      setMetricsHistory(prev => [...prev, { timestamp: snapshot.timestamp, metrics: snapshot.metrics }].slice(-HISTORY_LIMIT));
+      setLatestSnapshot(snapshot);
 
       setError(null);
       setErrorType(null);
-      setActiveTab('explorer');
+      setErrorTiming(null);
+      // Stay on Settings when lines were rejected so the diagnostics stay in view
+      if (diagnostics.errors === 0) setActiveTab('explorer');
       setLastFetchTime(new Date());
+      setLastFetchCache(null);
     } catch (e) {
-      setError("Failed to parse input text");
+      setError(`Failed to parse input text: ${e.message}`);
       setErrorType('parse');
+      setErrorTiming(null);
     }
   };
 
-  useEffect(() => {
-    let interval;
-    if (polling) {
-      fetchMetrics(); // Initial fetch
-      interval = setInterval(fetchMetrics, intervalMs);
-    }
-    return () => clearInterval(interval);
-  }, [polling, intervalMs, fetchMetrics]);
+  // --- Recording & Replay ---
 
-  // Auto-discover metrics from live data as well as manual input
-  useEffect(() => {
-    const currentSnapshot = metricsHistory[metricsHistory.length - 1]?.metrics;
-    if (!currentSnapshot) return;
-
-    const disc = discoverDistributions(currentSnapshot);
-
-    // Only update if we discovered new metrics
-    setDiscovered(prev => {
-      const hasChanges =
-        disc.histograms.length !== prev.histograms.length ||
-        disc.summaries.length !== prev.summaries.length ||
-        disc.counters.length !== prev.counters.length;
-
-      if (hasChanges) {
-        // Auto-select first item if none selected
-        if (disc.histograms.length > 0 && !selectedHist) {
-          setSelectedHist(disc.histograms[0]);
-        }
-        if (disc.summaries.length > 0 && !selectedSummary) {
-          setSelectedSummary(disc.summaries[0]);
-        }
-        if (disc.counters.length > 0 && !selectedCounter) {
-          setSelectedCounter(disc.counters[0]);
-        }
-        return disc;
-      }
-      return prev;
+  const startRecording = () => {
+    const recorder = createRecorder({ target: activeTarget?.name ?? targetUrl });
+    recorderRef.current = recorder;
+    setRecording({ recorder, active: true, full: false, ...recorder.stats() });
+  };
+
+  const saveRecording = () => {
+    downloadText(
+      recording.recorder.toNdjson(),
+      `metrics-recording-${new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-')}.ndjson`,
+      'application/x-ndjson'
+    );
+  };
+
+  /**
+   * Replay a recording from its start through ingestScrape, like live scrapes, so every tab
+   * and explorer widget animates as it did live
+   * @param {Object} recorded - { target, startedAt, scrapes } from parseRecording
+   * @param {string} name - Shown while replaying
+   * @param {number} [speed] - One of REPLAY_SPEEDS; the current replay's speed by default
+   * @param {number} [historyLimit] - Points kept in metricsHistory while replaying
+   */
+  const startReplay = (recorded, name, speed = replay?.speed ?? 1, historyLimit = HISTORY_LIMIT) => {
+    replay?.player.pause();
+    setPolling(false);
+    stopRecording();
+    resetView();
+    const connection = connectionRef.current;
+    const player = createReplay(recorded.scrapes, {
+      onScrape: ({ text, fetchedAt, contentType }, index) => ingestScrape(text, { fetchedAt, contentType, replayed: true, connection, historyLimit })
+        .catch(e => {
+          console.error('Failed to parse replayed metrics:', e);
+          setError(`Failed to parse metrics: ${e.message}`);
+          setErrorType('parse');
+          setErrorTiming(null);
+        })
+        .finally(() => setReplay(prev => (prev?.player === player ? { ...prev, position: index + 1 } : prev))),
+      onEnd: () => setReplay(prev => (prev?.player === player ? { ...prev, playing: false } : prev)),
     });
-  }, [metricsHistory, selectedHist, selectedSummary, selectedCounter]);
+    player.play(speed);
+    setReplay({ player, recording: recorded, name, position: 0, playing: true, speed, historyLimit });
+  };
 
-  // Refs to track previous selected metrics (to detect actual selection changes)
-  const prevSelectedHistRef = useRef(selectedHist);
-  const prevSelectedCounterRef = useRef(selectedCounter);
+  const loadRecording = async (file) => {
+    try {
+      startReplay(parseRecording(await file.text()), file.name);
+      setActiveTab('dashboard');
+    } catch (e) {
+      setError(`Failed to load ${file.name}: ${e.message}`);
+      setErrorType('recording');
+      setErrorTiming(null);
+    }
+  };
 
-  // Update available labels for Histogram
-  useEffect(() => {
-      const currentSnapshot = metricsHistory[metricsHistory.length - 1]?.metrics;
-      if (!currentSnapshot || !selectedHist) {
-          setAvailableHistLabels([]);
-          return;
-      }
-      const bucketName = `${selectedHist}_bucket`;
-      const series = currentSnapshot.get(bucketName);
-      if (series && series.length > 0) {
-          const keys = new Set();
-          series.forEach(s => {
-              Object.keys(s.labels).forEach(k => {
-                  if (k !== 'le') keys.add(k);
-              });
-          });
-          const newLabels = Array.from(keys);
-          setAvailableHistLabels(newLabels);
-
-          // Only reset groupBy if the selected histogram actually changed
-          if (prevSelectedHistRef.current !== selectedHist) {
-              setSelectedHistGroupBy('All');
-              prevSelectedHistRef.current = selectedHist;
-          }
-      }
-  }, [selectedHist, metricsHistory]);
+  const toggleReplay = () => {
+    if (replay.playing) {
+      replay.player.pause();
+      setReplay(prev => ({ ...prev, playing: false }));
+    } else if (replay.position >= replay.recording.scrapes.length) {
+      startReplay(replay.recording, replay.name, replay.speed, replay.historyLimit); // from the start again
+    } else {
+      replay.player.play(replay.speed);
+      setReplay(prev => ({ ...prev, playing: true }));
+    }
+  };
+
+  const stepReplay = () => {
+    replay.player.step();
+    setReplay(prev => ({ ...prev, playing: false }));
+  };
+
+  const changeReplaySpeed = (speed) => {
+    if (replay.playing) replay.player.play(speed);
+    setReplay(prev => ({ ...prev, speed }));
+  };
 
-  // Update available labels for Counter
+  const toggleLive = () => {
+    // Live data doesn't continue a replayed session
+    if (replay) {
+      stopReplay();
+      resetView();
+    }
+    setPolling(!polling);
+  };
+
+  // Prefer the server's live stream when requests go through it, so tabs watching the same
+  // target share one scrape; poll directly when the stream is unavailable or drops
   useEffect(() => {
-    const currentSnapshot = metricsHistory[metricsHistory.length - 1]?.metrics;
-    if (!currentSnapshot || !selectedCounter) {
-        setAvailableCounterLabels([]);
-        return;
+    if (!polling) {
+      setLiveMode(null);
+      return undefined;
     }
-    const series = currentSnapshot.get(selectedCounter);
-    if (series && series.length > 0) {
-        const keys = new Set();
-        series.forEach(s => {
-            Object.keys(s.labels).forEach(k => keys.add(k));
-        });
-        const newLabels = Array.from(keys);
-        setAvailableCounterLabels(newLabels);
+    let interval = null;
+    let stream = null;
+    let reconnect = null;
 
-        // Only reset groupBy if the selected counter actually changed
-        if (prevSelectedCounterRef.current !== selectedCounter) {
-            setSelectedCounterGroupBy('All');
-            prevSelectedCounterRef.current = selectedCounter;
-        }
+    const startPolling = () => {
+      if (interval) return;
+      setLiveMode('polling');
+      fetchMetrics(); // Initial fetch
+      interval = setInterval(fetchMetrics, targetIntervalMs);
+    };
+
+    const connect = () => {
+      // Registered targets are resolved by the server, which also applies their headers
+      stream = openMetricsStream(targetId ?? targetUrl, {
+        intervalMs: targetIntervalMs,
+        onOpen: () => {
+          clearInterval(interval);
+          interval = null;
+          setLiveMode('stream');
+        },
+        onScrape: ({ text, fetchedAt, contentType }) => {
+          ingestScrape(text, { fetchedAt, contentType }).catch(e => {
+            console.error('Failed to parse streamed metrics:', e);
+            setError(`Failed to parse metrics: ${e.message}`);
+            setErrorType('parse');
+            setErrorTiming(null);
+          });
+        },
+        onScrapeError: ({ error: message, code }) => {
+          setError(`Server scrape failed: ${message}`);
+          setErrorType(code || 'network');
+          setErrorTiming(null);
+        },
+        onClose: () => {
+          startPolling();
+          reconnect = setTimeout(connect, STREAM_RECONNECT_MS);
+        },
+      });
+    };
+
+    if (targetUseProxy && supportsMetricsStream()) {
+      connect();
+    } else {
+      startPolling();
     }
-  }, [selectedCounter, metricsHistory]);
+    return () => {
+      stream?.close();
+      clearTimeout(reconnect);
+      clearInterval(interval);
+    };
+  }, [polling, targetId, targetUrl, targetIntervalMs, targetUseProxy, fetchMetrics, ingestScrape]);
+
+  // --- Export ---
+
+  // Series the history export would write, counted while the Settings tab is open
+  const exportSeries = useMemo(
+    () => (activeTab === 'settings' ? collectSeries(metricsHistory, { match: exportMatch }) : []),
+    [activeTab, metricsHistory, exportMatch]
+  );
+
+  const exportMetricsHistory = () => {
+    const result = downloadHistory(metricsHistory, exportFormat, 'metrics-history', {
+      match: exportMatch,
+      target: replay?.recording.target ?? activeTarget?.name ?? targetUrl,
+    });
+    setLastExport({ ...result, format: exportFormat });
+  };
 
   // --- Derived Data ---
 
   const currentSnapshot = metricsHistory[metricsHistory.length - 1]?.metrics;
+  const latestDiagnostics = latestSnapshot?.diagnostics;
   const prevSnapshot = metricsHistory.length > 1 ? metricsHistory[metricsHistory.length - 2]?.metrics : null;
   
   const timeDiff = (metricsHistory.length > 1) 
@@ -797,24 +1065,6 @@ export default function App() {
   const writeLatencyDist = writeLatencyRate.length > 0 ? writeLatencyRate : writeLatencyCumulative;
   const writeLatencyIsRate = writeLatencyRate.length > 0;
 
-  // 3. Explorer Data
-  const activeHistResult = useMemo(() => {
-      if (!currentSnapshot || !selectedHist) return { data: [], keys: [] };
-      const groupBy = selectedHistGroupBy === 'All' ? null : selectedHistGroupBy;
-      return computeHistogramData(currentSnapshot, selectedHist, groupBy);
-  }, [currentSnapshot, selectedHist, selectedHistGroupBy]);
-
-  const activeSummaryResult = useMemo(() => {
-      if (!currentSnapshot || !selectedSummary) return { data: [], keys: [] };
-      return computeSummaryData(currentSnapshot, selectedSummary);
-  }, [currentSnapshot, selectedSummary]);
-
-  const activeCounterData = useMemo(() => {
-    if (!currentSnapshot || !selectedCounter) return [];
-    const groupBy = selectedCounterGroupBy === 'All' ? null : selectedCounterGroupBy;
-    return computeCounterBreakdown(currentSnapshot, selectedCounter, groupBy);
-  }, [currentSnapshot, selectedCounter, selectedCounterGroupBy]);
-
   // 4. Stats
   const uptime = currentSnapshot ? getMetricValue(currentSnapshot, 'influxdb_uptime_seconds') : 0;
   const activeQueries = currentSnapshot ? (getMetricValue(currentSnapshot, 'query_control_queries_active') || getMetricValue(currentSnapshot, 'influxdb_query_executor_queries_active')) : 0;
@@ -891,9 +1141,6 @@ export default function App() {
     return computeGoMemstatsBreakdown(currentSnapshot);
   }, [currentSnapshot]);
 
-  // Chart Colors (Cyclic)
-  const CHART_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16'];
-
   // --- UI Render ---
 
   return (
@@ -901,7 +1148,7 @@ export default function App() {
       
       {/* Header */}
       <header className="bg-white dark:bg-slate-800 border-b border-slate-200 dark:border-slate-700 sticky top-0 z-10">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between gap-4">
           <div className="flex items-center gap-3">
             <div className="bg-blue-600 p-2 rounded-lg">
               <Activity className="text-white" size={20} />
@@ -910,9 +1157,26 @@ export default function App() {
               InfluxDB Visualiser
             </h1>
           </div>
+
+          {targets.length > 0 && (
+            <div className="flex items-center gap-2">
+              <Server size={16} className="text-slate-400 flex-shrink-0" />
+              <select
+                value={targetId ?? ''}
+                onChange={(e) => switchTarget(e.target.value || null)}
+                aria-label="Target"
+                className="px-2 py-1.5 bg-slate-100 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Ad hoc URL</option>
+                {targets.map(target => (
+                  <option key={target.id} value={target.id}>{target.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
           
           <div className="flex bg-slate-100 dark:bg-slate-700 rounded-lg p-1 overflow-x-auto">
-            {['dashboard', 'explorer', 'internals', 'settings'].map(tab => (
+            {['dashboard', 'explorer', 'internals', 'cardinality', 'lint', 'settings'].map(tab => (
                  <button
                     key={tab}
                     onClick={() => setActiveTab(tab)}
@@ -933,21 +1197,144 @@ export default function App() {
         
         {/* Connection Bar */}
         <div className="mb-8 flex flex-col sm:flex-row gap-4 items-start sm:items-center justify-between bg-white dark:bg-slate-800 p-4 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm">
-            <div className="flex items-center gap-2 w-full sm:w-auto">
-                <div className={`w-3 h-3 rounded-full animate-pulse ${polling ? 'bg-green-500' : 'bg-slate-400'}`}></div>
+            <div className="flex flex-wrap items-center gap-2 w-full sm:w-auto">
+                <div className={`w-3 h-3 rounded-full animate-pulse ${polling ? 'bg-green-500' : replay?.playing ? 'bg-blue-500' : 'bg-slate-400'}`}></div>
                 <span className="text-sm font-medium text-slate-600 dark:text-slate-300">
-                    {polling ? 'Live Monitoring' : 'Snapshot Mode'}
+                    {polling ? 'Live Monitoring' : replay ? 'Replay' : 'Snapshot Mode'}
                 </span>
+                {replay && (
+                    <span
+                        title={`Replaying ${replay.name}${replay.recording.target ? ` (recorded from ${replay.recording.target})` : ''}`}
+                        className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300"
+                    >
+                        {replay.position} / {replay.recording.scrapes.length}
+                    </span>
+                )}
+                {recording?.active && (
+                    <span
+                        title={`Recording every scrape of ${recording.target}`}
+                        className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300"
+                    >
+                        <Circle size={8} className="fill-current" /> REC {recording.scrapes} · {formatBytes(recording.bytes, 1)}
+                    </span>
+                )}
+                {activeTarget?.tls.insecureSkipVerify && (
+                    <span
+                        title="Certificate verification is disabled for this target"
+                        className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300"
+                    >
+                        <ShieldOff size={12} /> TLS unverified
+                    </span>
+                )}
+                {liveMode && (
+                    <span
+                        title={liveMode === 'stream'
+                            ? 'The server pushes each scrape of this target to every open tab'
+                            : 'This tab requests the target itself every interval'}
+                        className="px-2 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300"
+                    >
+                        {liveMode === 'stream' ? 'Streaming' : 'Polling'}
+                    </span>
+                )}
+                {readiness?.targets.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-1" aria-label="Target status">
+                        {readiness.targets.map(target => (
+                            <span
+                                key={`${target.kind}:${target.id ?? target.name}`}
+                                title={describeTargetStatus(target)}
+                                className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300 ${
+                                    target.id && target.id === targetId ? 'ring-1 ring-blue-400' : ''
+                                }`}
+                            >
+                                <span className={`w-2 h-2 rounded-full ${TARGET_STATUS[target.status]?.color ?? 'bg-slate-400'}`} />
+                                {target.name}
+                            </span>
+                        ))}
+                    </div>
+                )}
                 {lastFetchTime && (
                     <span className="text-xs text-slate-400 ml-2">
-                        Data from: {lastFetchTime.toLocaleTimeString()}
+                        Data from: {replay ? lastFetchTime.toLocaleString() : lastFetchTime.toLocaleTimeString()}
                     </span>
                 )}
+                {lastFetchCache && (lastFetchCache.status === 'HIT' || lastFetchCache.status === 'COALESCED') && (
+                    <span
+                        title={lastFetchCache.status === 'HIT'
+                            ? `Served from the proxy's cache, scraped ${lastFetchCache.age}s earlier`
+                            : 'Shared with an identical request from another widget, tab or user'}
+                        className="px-2 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300"
+                    >
+                        {lastFetchCache.status === 'HIT' ? `Cached ${lastFetchCache.age}s` : 'Shared'}
+                    </span>
+                )}
+                {latestDiagnostics && (latestDiagnostics.errors > 0 || latestDiagnostics.warnings > 0) && (
+                    <button
+                        onClick={() => setShowDiagnostics(!showDiagnostics)}
+                        title="Show parse diagnostics"
+                        className={`ml-2 flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                            latestDiagnostics.errors > 0
+                            ? 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+                            : 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300'
+                        }`}
+                    >
+                        <AlertTriangle size={12} />
+                        {latestDiagnostics.errors > 0 ? `${latestDiagnostics.errors} rejected` : `${latestDiagnostics.warnings} warnings`}
+                    </button>
+                )}
             </div>
             
             <div className="flex items-center gap-2 w-full sm:w-auto">
+                {replay && (
+                    <>
+                        <select
+                            value={replay.speed}
+                            onChange={(e) => changeReplaySpeed(Number(e.target.value))}
+                            aria-label="Replay speed"
+                            className="px-2 py-2 bg-slate-100 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm text-slate-700 dark:text-slate-200 outline-none"
+                        >
+                            {REPLAY_SPEEDS.map(speed => (
+                                <option key={speed} value={speed}>{speed}x</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={toggleReplay}
+                            title={replay.playing ? 'Pause the replay' : 'Play the replay'}
+                            className="p-2 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 dark:bg-slate-700 dark:text-slate-200 dark:hover:bg-slate-600"
+                        >
+                            {replay.playing ? <Pause size={16} /> : <Play size={16} />}
+                        </button>
+                        <button
+                            onClick={stepReplay}
+                            disabled={replay.position >= replay.recording.scrapes.length}
+                            title="Next scrape"
+                            className="p-2 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50 dark:bg-slate-700 dark:text-slate-200 dark:hover:bg-slate-600"
+                        >
+                            <StepForward size={16} />
+                        </button>
+                        <button
+                            onClick={() => { stopReplay(); resetView(); }}
+                            title="Close the replay"
+                            className="p-2 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 dark:bg-slate-700 dark:text-slate-200 dark:hover:bg-slate-600"
+                        >
+                            <X size={16} />
+                        </button>
+                    </>
+                )}
+                {!replay && (
+                    <button
+                        onClick={recording?.active ? stopRecording : startRecording}
+                        title={recording?.active ? 'Stop recording' : 'Record every scrape of this target, to save and replay later'}
+                        className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                            recording?.active
+                            ? 'bg-red-100 text-red-700 hover:bg-red-200 dark:bg-red-900/50 dark:text-red-300'
+                            : 'bg-slate-100 text-slate-700 hover:bg-slate-200 dark:bg-slate-700 dark:text-slate-200 dark:hover:bg-slate-600'
+                        }`}
+                    >
+                        {recording?.active ? <><Square size={14} /> Stop</> : <><Circle size={14} /> Record</>}
+                    </button>
+                )}
                 <button
-                    onClick={() => setPolling(!polling)}
+                    onClick={toggleLive}
                     className={`flex-1 sm:flex-none flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
                         polling
                         ? 'bg-amber-100 text-amber-700 hover:bg-amber-200 dark:bg-amber-900/50 dark:text-amber-300'
@@ -959,6 +1346,12 @@ export default function App() {
             </div>
         </div>
 
+        {showDiagnostics && latestDiagnostics && (
+            <div className="mb-8 -mt-4">
+                <ParseDiagnostics diagnostics={latestDiagnostics} />
+            </div>
+        )}
+
         {error && (
             <div className="mb-8 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl flex items-start gap-3">
                 <AlertCircle className="text-red-600 dark:text-red-400 mt-0.5" size={20} />
@@ -977,14 +1370,11 @@ export default function App() {
                             </ul>
                         </div>
                     )}
-                    {errorType === 'timeout' && (
-                        <p className="text-xs text-red-500 dark:text-red-400 mt-2">The server took too long to respond. Check if the metrics endpoint is accessible.</p>
-                    )}
-                    {errorType === 'http' && (
-                        <p className="text-xs text-red-500 dark:text-red-400 mt-2">The server returned an error. Check the URL and server status.</p>
+                    {getErrorHint(errorType) && (
+                        <p className="text-xs text-red-500 dark:text-red-400 mt-2">{getErrorHint(errorType)}</p>
                     )}
-                    {!errorType && (
-                        <p className="text-xs text-red-500 dark:text-red-400 mt-2">Check connection settings or use "Settings &gt; Manual Input".</p>
+                    {errorTiming && (
+                        <p className="text-xs font-mono text-red-500 dark:text-red-400 mt-1" title="Upstream request timings, from the proxy">{formatTiming(errorTiming)}</p>
                     )}
                 </div>
             </div>
@@ -996,6 +1386,11 @@ export default function App() {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                  <Card title="Connection Settings" icon={Wifi} className="h-full">
                     <div className="space-y-4">
+                        {activeTarget && (
+                            <p className="text-xs p-2 rounded-lg bg-blue-50 text-blue-700 dark:bg-blue-900/20 dark:text-blue-300">
+                                Watching target <strong>{activeTarget.name}</strong>. These settings apply to the ad hoc URL; edit the target under Targets or switch to "Ad hoc URL" in the header.
+                            </p>
+                        )}
                         <div>
                             <label htmlFor="metrics-url" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Metrics URL</label>
                             <input
@@ -1052,16 +1447,171 @@ export default function App() {
                             value={rawInput}
                             onChange={(e) => setRawInput(e.target.value)}
                             className="flex-1 w-full min-h-[200px] p-3 font-mono text-xs bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none resize-none"
-                            placeholder="# Paste raw Prometheus metrics here (e.g., from curl localhost:8086/metrics or a file)..."
+                            placeholder="# Paste raw Prometheus metrics or InfluxDB line protocol here (e.g., from curl localhost:8086/metrics, a Telegraf file output or a file)..."
                         />
+                        <div className="mt-4 flex items-center gap-3">
+                            <label htmlFor="input-format" className="text-sm font-medium text-slate-700 dark:text-slate-300">Format</label>
+                            <select
+                                id="input-format"
+                                value={inputFormat}
+                                onChange={(e) => setInputFormat(e.target.value)}
+                                className="flex-1 px-3 py-1.5 bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg text-sm outline-none"
+                            >
+                                {INPUT_FORMATS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
                         <button 
                             onClick={handleManualParse}
                             className="mt-4 w-full py-2 bg-slate-800 hover:bg-slate-900 dark:bg-slate-700 dark:hover:bg-slate-600 text-white text-sm font-medium rounded-lg transition-colors"
                         >
                             Parse Data & Explore
                         </button>
+                        {parsedFormat && inputFormat === 'auto' && (
+                            <p className="text-xs text-slate-400 mt-2">
+                                Read as {INPUT_FORMATS.find(option => option.value === parsedFormat)?.label}
+                            </p>
+                        )}
+                        {manualDiagnostics && (
+                            <div className="mt-4">
+                                <ParseDiagnostics diagnostics={manualDiagnostics} />
+                            </div>
+                        )}
+                    </div>
+                </Card>
+
+                <Card title="Recording & Replay" icon={Film} className="md:col-span-2">
+                    <div className="space-y-4">
+                        <p className="text-xs text-slate-400">
+                            Record the raw scrapes of a live session, save them as NDJSON and replay them later through every tab,
+                            at the recorded pace, faster, or one scrape at a time.
+                        </p>
+                        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
+                            <p className="text-sm text-slate-600 dark:text-slate-300">
+                                {!recording && 'Nothing recorded yet. Press Record next to Start Live.'}
+                                {recording && (
+                                    <>
+                                        {recording.active ? 'Recording' : 'Recorded'} <strong>{recording.scrapes}</strong> {recording.scrapes === 1 ? 'scrape' : 'scrapes'} ({formatBytes(recording.bytes, 1)})
+                                        {' '}of <span className="font-mono text-xs">{recording.target}</span> since {new Date(recording.startedAt).toLocaleTimeString()}
+                                        {recording.full && <span className="text-amber-600 dark:text-amber-400"> - stopped at the size limit</span>}
+                                    </>
+                                )}
+                            </p>
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                                <button
+                                    onClick={saveRecording}
+                                    disabled={!recording?.scrapes}
+                                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                                >
+                                    <Download size={14} /> Save
+                                </button>
+                                <button
+                                    onClick={() => startReplay(recording.recorder.toRecording(), 'this session')}
+                                    disabled={!recording?.scrapes}
+                                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium bg-slate-200 text-slate-700 hover:bg-slate-300 disabled:opacity-50 dark:bg-slate-600 dark:text-slate-200 dark:hover:bg-slate-500"
+                                >
+                                    <Play size={14} /> Replay
+                                </button>
+                                <button
+                                    onClick={() => { stopRecording(); setRecording(null); }}
+                                    disabled={!recording}
+                                    className="px-3 py-1.5 rounded-lg text-sm font-medium text-slate-500 hover:text-red-600 disabled:opacity-50"
+                                >
+                                    Discard
+                                </button>
+                            </div>
+                        </div>
+                        <label className="flex items-center justify-center gap-2 w-full py-2 border-2 border-dashed border-slate-300 dark:border-slate-600 rounded-lg text-sm text-slate-500 dark:text-slate-400 hover:border-blue-400 hover:text-blue-600 cursor-pointer">
+                            <Upload size={16} /> Load a recording to replay (.ndjson)
+                            <input
+                                type="file"
+                                accept=".ndjson,.jsonl,application/x-ndjson"
+                                className="hidden"
+                                onChange={(e) => {
+                                    const file = e.target.files[0];
+                                    e.target.value = ''; // the same file can be loaded again
+                                    if (file) loadRecording(file);
+                                }}
+                            />
+                        </label>
+                    </div>
+                </Card>
+
+                <Card title="Export History" icon={FileDown} className="md:col-span-2">
+                    <div className="space-y-4">
+                        <p className="text-xs text-slate-400">
+                            Download the Dashboard and Internals metrics collected over the last {HISTORY_LIMIT} polls, to load an incident
+                            back into InfluxDB (line protocol, nanosecond timestamps) or a spreadsheet. Each explorer widget exports its
+                            plotted values from the download button in its header.
+                        </p>
+                        <div className="flex flex-col sm:flex-row gap-3">
+                            <div className="flex-1">
+                                <label htmlFor="export-match" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Series</label>
+                                <input
+                                    id="export-match"
+                                    type="text"
+                                    value={exportMatch}
+                                    onChange={(e) => setExportMatch(e.target.value)}
+                                    placeholder='All, or part of a series like go_memstats or job="influxdb"'
+                                    className="w-full px-3 py-2 bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="export-format" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Format</label>
+                                <select
+                                    id="export-format"
+                                    value={exportFormat}
+                                    onChange={(e) => setExportFormat(e.target.value)}
+                                    className="w-full px-3 py-2 bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg text-sm outline-none"
+                                >
+                                    {EXPORT_FORMATS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
+                            <p className="text-sm text-slate-600 dark:text-slate-300">
+                                <strong>{formatCount(exportSeries.length)}</strong> series over{' '}
+                                <strong>{metricsHistory.length}</strong> {metricsHistory.length === 1 ? 'poll' : 'polls'}
+                                {metricsHistory.length > 0 && (
+                                    <> from {new Date(metricsHistory[0].timestamp).toLocaleTimeString()} to {new Date(metricsHistory[metricsHistory.length - 1].timestamp).toLocaleTimeString()}</>
+                                )}
+                                {lastExport?.skipped > 0 && (
+                                    <span className="text-amber-600 dark:text-amber-400">
+                                        {' '}- the last export left out {formatCount(lastExport.skipped)} NaN or infinite {lastExport.skipped === 1 ? 'value' : 'values'} line protocol can't hold
+                                    </span>
+                                )}
+                            </p>
+                            <button
+                                onClick={exportMetricsHistory}
+                                disabled={exportSeries.length === 0}
+                                className="flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 flex-shrink-0"
+                            >
+                                <Download size={14} /> Export
+                            </button>
+                        </div>
                     </div>
                 </Card>
+
+                <Card title="Targets" icon={Server} className="md:col-span-2">
+                    <TargetsEditor
+                        targets={targets}
+                        activeTargetId={targetId}
+                        onSaved={handleTargetSaved}
+                        onDeleted={handleTargetDeleted}
+                        available={targetsAvailable}
+                    />
+                </Card>
+
+                <Card title="Catalog Grouping" icon={FolderTree} className="md:col-span-2">
+                    <GroupingRulesEditor
+                        rules={groupingRules}
+                        onChange={setGroupingRules}
+                        catalog={latestSnapshot?.catalog}
+                    />
+                </Card>
             </div>
         )}
 
@@ -1310,259 +1860,19 @@ export default function App() {
 
         {/* --- EXPLORER TAB --- */}
         {activeTab === 'explorer' && (
-            <ExplorerDashboard metricsText={currentMetricsText} />
+            <ExplorerDashboard key={targetId ?? 'ad-hoc'} snapshot={latestSnapshot} targetId={targetId} />
         )}
 
-        {/* --- LEGACY EXPLORER TAB (Preserved for comparison, hidden) --- */}
-        {activeTab === 'legacy-explorer' && (
-            <div className="space-y-8">
-                <div className="p-4 bg-slate-100 dark:bg-slate-800 rounded-lg text-sm text-slate-600 dark:text-slate-300">
-                    <p className="font-semibold flex items-center gap-2"><ListFilter size={16}/> Auto-Discovered Metrics</p>
-                    <p>Found <strong>{discovered.histograms.length}</strong> Histograms, <strong>{discovered.summaries.length}</strong> Summaries, and <strong>{discovered.counters.length}</strong> Standard Counters.</p>
-                </div>
-
-                {/* Counter Breakdown Section */}
-                <div>
-                    <h2 className="text-lg font-bold text-slate-800 dark:text-white mb-4 flex items-center gap-2">
-                         <Hash size={20}/> Counters & Gauges Breakdown
-                    </h2>
-                    {discovered.counters.length > 0 ? (
-                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                            <div className="lg:col-span-1 space-y-4">
-                                <MetricSelectorList
-                                    label="Select Metric"
-                                    items={discovered.counters}
-                                    selectedItem={selectedCounter}
-                                    onSelect={setSelectedCounter}
-                                    selectedColorClass="bg-green-100 text-green-700 dark:bg-green-900/50 dark:text-green-300"
-                                    id="counter-selector"
-                                />
-
-                                {selectedCounter && (
-                                    <div className="p-4 bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700">
-                                        <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2 flex items-center gap-2">
-                                            <GripHorizontal size={16} /> Group By
-                                        </label>
-                                        <select 
-                                            value={selectedCounterGroupBy}
-                                            onChange={(e) => setSelectedCounterGroupBy(e.target.value)}
-                                            className="w-full px-3 py-2 bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg text-sm outline-none"
-                                        >
-                                            <option value="All">All (Total)</option>
-                                            {availableCounterLabels.includes('method') && availableCounterLabels.includes('path') && (
-                                                <option value="method + path">Method + Path (Combined)</option>
-                                            )}
-                                            {availableCounterLabels.map(label => (
-                                                <option key={label} value={label}>{label}</option>
-                                            ))}
-                                        </select>
-                                    </div>
-                                )}
-                            </div>
-                            
-                            <div className="lg:col-span-2">
-                                <Card title={getChartTitle('Breakdown', selectedCounter, selectedCounterGroupBy)} className="h-96">
-                                     {activeCounterData.length > 0 ? (
-                                        <ResponsiveContainer width="100%" height="100%">
-                                            <BarChart data={activeCounterData} layout="vertical" margin={{ left: 40, right: 40, bottom: 20 }}>
-                                                <CartesianGrid strokeDasharray="3 3" horizontal={true} vertical={true} />
-                                                <XAxis type="number" stroke="#94a3b8" />
-                                                <YAxis 
-                                                    dataKey="name" 
-                                                    type="category" 
-                                                    width={100} 
-                                                    stroke="#94a3b8" 
-                                                    tick={{fontSize: 10}}
-                                                />
-                                                <RechartsTooltip 
-                                                    cursor={{fill: 'transparent'}} 
-                                                    contentStyle={{ backgroundColor: '#1e293b', border: 'none', borderRadius: '8px', color: '#fff' }}
-                                                />
-                                                <Bar dataKey="value" fill="#10b981" barSize={20} radius={[0, 4, 4, 0]}>
-                                                    {activeCounterData.map((_, index) => (
-                                                        <Cell key={`cell-${index}`} fill={CHART_COLORS[index % CHART_COLORS.length]} />
-                                                    ))}
-                                                </Bar>
-                                            </BarChart>
-                                        </ResponsiveContainer>
-                                     ) : <div className="flex items-center justify-center h-full text-slate-400">Select a counter</div>}
-                                </Card>
-                            </div>
-                        </div>
-                    ) : <p className="text-slate-500 italic">No standard counters found.</p>}
-                </div>
-
-
-                {/* Histogram Section */}
-                <div className="border-t border-slate-200 dark:border-slate-700 pt-8">
-                    <h2 className="text-lg font-bold text-slate-800 dark:text-white mb-4 flex items-center gap-2">
-                        <BarChart2 size={20}/> Histograms (Frequency Distribution)
-                    </h2>
-                    {discovered.histograms.length > 0 ? (
-                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                            <div className="lg:col-span-1 space-y-4">
-                                <MetricSelectorList
-                                    label="Select Metric"
-                                    items={discovered.histograms}
-                                    selectedItem={selectedHist}
-                                    onSelect={setSelectedHist}
-                                    selectedColorClass="bg-blue-100 text-blue-700 dark:bg-blue-900/50 dark:text-blue-300"
-                                    id="histogram-selector"
-                                />
-
-                                {selectedHist && (
-                                    <div className="p-4 bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700">
-                                        <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2 flex items-center gap-2">
-                                            <GripHorizontal size={16} /> Group By
-                                        </label>
-                                        <select 
-                                            value={selectedHistGroupBy}
-                                            onChange={(e) => setSelectedHistGroupBy(e.target.value)}
-                                            className="w-full px-3 py-2 bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg text-sm outline-none"
-                                        >
-                                            <option value="All">All (Total)</option>
-                                            {/* Smart option specifically requested by user */}
-                                            {availableHistLabels.includes('method') && availableHistLabels.includes('path') && (
-                                                <option value="method + path">Method + Path (Combined)</option>
-                                            )}
-                                            {availableHistLabels.map(label => (
-                                                <option key={label} value={label}>{label}</option>
-                                            ))}
-                                        </select>
-                                    </div>
-                                )}
-                            </div>
-
-                            <div className="lg:col-span-2">
-                                <Card title={getChartTitle('Distribution', selectedHist, selectedHistGroupBy)} className="h-96">
-                                     {activeHistResult.data.length > 0 ? (
-                                        <div className="flex flex-col h-full">
-                                            <div className="flex-1 min-h-0">
-                                                <ResponsiveContainer width="100%" height="100%">
-                                                    <BarChart data={activeHistResult.data} margin={{bottom: 20}}>
-                                                        <CartesianGrid strokeDasharray="3 3" vertical={false} />
-                                                        <XAxis
-                                                            dataKey="range"
-                                                            stroke="#94a3b8"
-                                                            angle={-45}
-                                                            textAnchor="end"
-                                                            height={60}
-                                                            fontSize={10}
-                                                        />
-                                                        <YAxis stroke="#94a3b8" />
-                                                        <RechartsTooltip
-                                                            cursor={{fill: 'transparent'}}
-                                                            content={({ active, payload, label }) => {
-                                                                if (!active || !payload || payload.length === 0) return null;
-                                                                const filtered = payload
-                                                                    .filter(item => item.value > 0)
-                                                                    .sort((a, b) => b.value - a.value);
-                                                                if (filtered.length === 0) return null;
-                                                                const maxItems = 10;
-                                                                const displayed = filtered.slice(0, maxItems);
-                                                                const remaining = filtered.length - maxItems;
-                                                                return (
-                                                                    <div className="bg-slate-800 border-none rounded-lg p-2 text-white text-xs">
-                                                                        <div className="font-semibold mb-1 text-slate-300">{label}</div>
-                                                                        {displayed.map((item) => (
-                                                                            <div key={item.dataKey} className="flex items-center gap-2 py-0.5">
-                                                                                <span className="w-2.5 h-2.5 rounded-sm flex-shrink-0" style={{ backgroundColor: item.color }} />
-                                                                                <span className="truncate max-w-[150px]" title={item.name}>{item.name}</span>
-                                                                                <span className="ml-auto font-medium">{item.value}</span>
-                                                                            </div>
-                                                                        ))}
-                                                                        {remaining > 0 && (
-                                                                            <div className="text-slate-400 pt-1 border-t border-slate-600 mt-1">+{remaining} more</div>
-                                                                        )}
-                                                                    </div>
-                                                                );
-                                                            }}
-                                                        />
-                                                        {activeHistResult.keys.map((key, index) => (
-                                                            <Bar
-                                                                key={key}
-                                                                dataKey={key}
-                                                                stackId="a"
-                                                                fill={CHART_COLORS[index % CHART_COLORS.length]}
-                                                                name={key}
-                                                            />
-                                                        ))}
-                                                    </BarChart>
-                                                </ResponsiveContainer>
-                                            </div>
-                                            {activeHistResult.keys.length > 0 && (
-                                                <div className={`flex-shrink-0 pt-2 border-t border-slate-200 dark:border-slate-700 ${activeHistResult.keys.length > 6 ? 'max-h-20 overflow-y-auto' : ''}`}>
-                                                    <div className="flex flex-wrap gap-x-3 gap-y-1 justify-center">
-                                                        {activeHistResult.keys.map((key, index) => (
-                                                            <div key={key} className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300">
-                                                                <span
-                                                                    className="w-3 h-3 rounded-sm flex-shrink-0"
-                                                                    style={{ backgroundColor: CHART_COLORS[index % CHART_COLORS.length] }}
-                                                                />
-                                                                <span className="truncate max-w-[120px]" title={key}>{key}</span>
-                                                            </div>
-                                                        ))}
-                                                    </div>
-                                                </div>
-                                            )}
-                                        </div>
-                                     ) : <div className="flex items-center justify-center h-full text-slate-400">Select a histogram</div>}
-                                </Card>
-                            </div>
-                        </div>
-                    ) : <p className="text-slate-500 italic">No histograms found in the data.</p>}
-                </div>
+        {/* --- CARDINALITY TAB --- */}
+        {activeTab === 'cardinality' && (
+            <CardinalityView snapshot={latestSnapshot} />
+        )}
 
-                {/* Summary Section */}
-                <div className="border-t border-slate-200 dark:border-slate-700 pt-8">
-                    <h2 className="text-lg font-bold text-slate-800 dark:text-white mb-4 flex items-center gap-2">
-                        <Activity size={20}/> Summaries (Percentiles)
-                    </h2>
-                    {discovered.summaries.length > 0 ? (
-                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                            <div className="lg:col-span-1">
-                                <MetricSelectorList
-                                    label="Select Summary"
-                                    items={discovered.summaries}
-                                    selectedItem={selectedSummary}
-                                    onSelect={setSelectedSummary}
-                                    selectedColorClass="bg-purple-100 text-purple-700 dark:bg-purple-900/50 dark:text-purple-300"
-                                    maxHeight="max-h-96"
-                                    id="summary-selector"
-                                />
-                            </div>
-                            <div className="lg:col-span-2">
-                                <Card title={`Percentiles: ${selectedSummary} (Top 5 Slowest)`} className="h-96">
-                                     {activeSummaryResult.data.length > 0 ? (
-                                        <ResponsiveContainer width="100%" height="100%">
-                                            <BarChart data={activeSummaryResult.data} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
-                                                <CartesianGrid strokeDasharray="3 3" vertical={false} />
-                                                <XAxis dataKey="name" stroke="#94a3b8" />
-                                                <YAxis stroke="#94a3b8" tickFormatter={(val) => formatDuration(val)} />
-                                                <RechartsTooltip 
-                                                    cursor={{fill: 'transparent'}} 
-                                                    contentStyle={{ backgroundColor: '#1e293b', border: 'none', borderRadius: '8px', color: '#fff' }} 
-                                                    formatter={(val) => formatDuration(val)}
-                                                />
-                                                <Legend />
-                                                {activeSummaryResult.keys.map((key, index) => (
-                                                     <Bar 
-                                                        key={key} 
-                                                        dataKey={key} 
-                                                        fill={CHART_COLORS[index % CHART_COLORS.length]} 
-                                                        name={key}
-                                                     />
-                                                ))}
-                                            </BarChart>
-                                        </ResponsiveContainer>
-                                     ) : <div className="flex items-center justify-center h-full text-slate-400">Select a summary</div>}
-                                </Card>
-                            </div>
-                        </div>
-                    ) : <p className="text-slate-500 italic">No summaries found in the data.</p>}
-                </div>
-            </div>
+        {/* --- LINT TAB --- */}
+        {activeTab === 'lint' && (
+            <LintView snapshot={latestSnapshot} />
         )}
+
       </main>
     </div>
   );
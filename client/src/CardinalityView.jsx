@@ -0,0 +1,347 @@
+import { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip as RechartsTooltip, ResponsiveContainer } from 'recharts';
+import { ArrowLeft, ArrowUp, ArrowDown, ChevronDown, ChevronRight, Search } from 'lucide-react';
+import { formatCount } from './formatters';
+import { getMetricsWorker } from './metricsWorkerClient';
+
+// Rows rendered in the metrics table; the rest are reachable through the search box
+const MAX_ROWS = 200;
+
+const sortRows = (rows, { key, direction }, getValue = (row) => row[key]) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const va = getValue(a);
+    const vb = getValue(b);
+    if (typeof va === 'string') return sign * va.localeCompare(vb);
+    return sign * ((va ?? -Infinity) - (vb ?? -Infinity));
+  });
+};
+
+/**
+ * Clickable column header; numbers sort descending first, names ascending
+ */
+const SortHeader = ({ label, sortKey, sort, onSort, numeric = false }) => {
+  const active = sort.key === sortKey;
+  const Icon = sort.direction === 'asc' ? ArrowUp : ArrowDown;
+  return (
+    <th className={`px-3 py-2 font-medium ${numeric ? 'text-right' : 'text-left'}`}>
+      <button
+        onClick={() => onSort({
+          key: sortKey,
+          direction: active ? (sort.direction === 'asc' ? 'desc' : 'asc') : (numeric ? 'desc' : 'asc')
+        })}
+        className={`inline-flex items-center gap-1 hover:text-slate-700 dark:hover:text-white ${active ? 'text-slate-700 dark:text-white' : ''}`}
+      >
+        {label}
+        {active && <Icon size={12} />}
+      </button>
+    </th>
+  );
+};
+
+/**
+ * Series count over the recorded polls
+ */
+const HistoryChart = ({ data, dataKey }) => {
+  if (data.length < 2) {
+    return <div className="flex items-center justify-center h-full text-xs text-slate-400">Collecting history... ({data.length}/2 polls)</div>;
+  }
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <LineChart data={data} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+        <XAxis dataKey="timestamp" tickFormatter={(t) => new Date(t).toLocaleTimeString()} tick={{ fontSize: 10 }} minTickGap={40} />
+        <YAxis tickFormatter={formatCount} tick={{ fontSize: 10 }} width={45} allowDecimals={false} />
+        <RechartsTooltip labelFormatter={(t) => new Date(t).toLocaleTimeString()} formatter={(v) => [v, 'Series']} />
+        <Line type="stepAfter" dataKey={dataKey} stroke="#3b82f6" strokeWidth={2} dot={false} isAnimationActive={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+const formatChange = (change) => {
+  if (!change) return <span className="text-slate-400">0</span>;
+  return change > 0
+    ? <span className="text-red-600 dark:text-red-400">+{change}</span>
+    : <span className="text-green-600 dark:text-green-400">{change}</span>;
+};
+
+const tableClass = 'w-full text-sm';
+const headClass = 'text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700';
+const rowClass = 'border-b border-slate-100 dark:border-slate-700/50 last:border-b-0 hover:bg-slate-50 dark:hover:bg-slate-700/50 cursor-pointer';
+const panelClass = 'bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-slate-200 dark:border-slate-700';
+
+/**
+ * Label row that expands into its most common values
+ */
+const LabelRow = ({ label, expanded, onToggle }) => {
+  const maxSeries = label.topValues[0]?.series || 1;
+  return (
+    <>
+      <tr className={rowClass} onClick={onToggle}>
+        <td className="px-3 py-2 font-mono">
+          <span className="inline-flex items-center gap-1.5">
+            {expanded ? <ChevronDown size={14} className="text-slate-400" /> : <ChevronRight size={14} className="text-slate-400" />}
+            {label.name}
+          </span>
+        </td>
+        <td className="px-3 py-2 text-right tabular-nums">{formatCount(label.values)}</td>
+        <td className="px-3 py-2 text-right tabular-nums">{formatCount(label.reduction)}</td>
+      </tr>
+      {expanded && (
+        <tr>
+          <td colSpan={3} className="px-10 pb-3">
+            <ul className="space-y-1 max-h-72 overflow-y-auto">
+              {label.topValues.map(({ value, series }) => (
+                <li key={value} className="flex items-center gap-3 text-xs">
+                  <span className="font-mono text-slate-700 dark:text-slate-300 truncate w-1/2" title={value}>{value || '""'}</span>
+                  <span className="flex-1 h-1.5 bg-slate-100 dark:bg-slate-700 rounded">
+                    <span className="block h-full bg-blue-500 rounded" style={{ width: `${(series / maxSeries) * 100}%` }} />
+                  </span>
+                  <span className="w-16 text-right tabular-nums text-slate-500 dark:text-slate-400">{series} series</span>
+                </li>
+              ))}
+            </ul>
+            {label.values > label.topValues.length && (
+              <p className="mt-1 text-xs text-slate-400">Showing the {label.topValues.length} most common of {label.values} values</p>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+/**
+ * Drill-down for one metric: series history, labels by cardinality and their values
+ */
+const MetricCardinality = ({ metric, snapshot, onBack }) => {
+  const [detail, setDetail] = useState(null);
+  const [sort, setSort] = useState({ key: 'values', direction: 'desc' });
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getMetricsWorker().cardinalityDetail(metric)
+      .then(result => {
+        if (!cancelled) setDetail(result);
+      })
+      .catch(err => console.error('Failed to load cardinality detail:', err));
+    return () => { cancelled = true; };
+  }, [metric, snapshot]);
+
+  if (!detail) {
+    return <div className="flex items-center justify-center h-64 text-slate-500 dark:text-slate-400">Loading...</div>;
+  }
+
+  const labels = sortRows(detail.labels, sort);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3">
+        <button onClick={onBack} className="p-1.5 rounded-lg text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-700" title="Back to all metrics">
+          <ArrowLeft size={16} />
+        </button>
+        <h2 className="font-mono text-sm font-semibold text-slate-800 dark:text-slate-200 truncate">{detail.name}</h2>
+        <span className="text-sm text-slate-500 dark:text-slate-400">{formatCount(detail.series)} series</span>
+      </div>
+
+      <div className={`${panelClass} p-4 h-40`}>
+        <HistoryChart data={detail.history} dataKey="series" />
+      </div>
+
+      <div className={panelClass}>
+        {labels.length === 0 ? (
+          <div className="px-4 py-6 text-sm text-slate-500 dark:text-slate-400">This metric has no labels</div>
+        ) : (
+          <table className={tableClass}>
+            <thead className={headClass}>
+              <tr>
+                <SortHeader label="Label" sortKey="name" sort={sort} onSort={setSort} />
+                <SortHeader label="Distinct values" sortKey="values" sort={sort} onSort={setSort} numeric />
+                <SortHeader label="Series saved if dropped" sortKey="reduction" sort={sort} onSort={setSort} numeric />
+              </tr>
+            </thead>
+            <tbody>
+              {labels.map(label => (
+                <LabelRow
+                  key={label.name}
+                  label={label}
+                  expanded={expanded === label.name}
+                  onToggle={() => setExpanded(expanded === label.name ? null : label.name)}
+                />
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Cardinality view - series counts per metric, label cardinality and the labels driving it.
+ * Computed in the metrics worker from the latest snapshot and its recent polls.
+ */
+const CardinalityView = ({ snapshot }) => {
+  const [summary, setSummary] = useState(null);
+  const [selectedMetric, setSelectedMetric] = useState(null);
+  const [sort, setSort] = useState({ key: 'series', direction: 'desc' });
+  const [search, setSearch] = useState('');
+
+  useEffect(() => {
+    if (!snapshot || selectedMetric) return;
+    let cancelled = false;
+    getMetricsWorker().cardinality()
+      .then(result => {
+        if (!cancelled) setSummary(result);
+      })
+      .catch(err => console.error('Failed to analyze cardinality:', err));
+    return () => { cancelled = true; };
+  }, [snapshot, selectedMetric]);
+
+  const rows = useMemo(() => {
+    if (!summary) return [];
+    const term = search.trim().toLowerCase();
+    const filtered = summary.metrics.filter(row => !term || row.name.toLowerCase().includes(term));
+    return sortRows(filtered, sort, sort.key === 'topLabel' ? (row) => row.topLabel?.values : undefined);
+  }, [summary, sort, search]);
+
+  if (!snapshot) {
+    return (
+      <div className="flex items-center justify-center h-64 text-slate-500 dark:text-slate-400">
+        Connect to InfluxDB to analyze series cardinality
+      </div>
+    );
+  }
+
+  if (selectedMetric) {
+    return <MetricCardinality metric={selectedMetric} snapshot={snapshot} onBack={() => setSelectedMetric(null)} />;
+  }
+
+  if (!summary) {
+    return <div className="flex items-center justify-center h-64 text-slate-500 dark:text-slate-400">Analyzing...</div>;
+  }
+
+  const firstTotal = summary.history[0]?.totalSeries ?? summary.totalSeries;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className={`${panelClass} p-4`}>
+          <p className="text-xs text-slate-500 dark:text-slate-400 uppercase tracking-wider">Total series</p>
+          <p className="text-2xl font-bold text-slate-800 dark:text-slate-100 mt-1">{formatCount(summary.totalSeries)}</p>
+          <p className="text-xs mt-1 text-slate-500 dark:text-slate-400">
+            {formatChange(summary.totalSeries - firstTotal)} over the last {summary.history.length} {summary.history.length === 1 ? 'poll' : 'polls'}
+          </p>
+          <p className="text-xs mt-3 text-slate-500 dark:text-slate-400">
+            {summary.metrics.length} metric names, {summary.labels.length} label names
+          </p>
+        </div>
+        <div className={`${panelClass} p-4 h-36 lg:col-span-2`}>
+          <HistoryChart data={summary.history} dataKey="totalSeries" />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className={panelClass}>
+          <h3 className="px-4 pt-3 pb-2 text-slate-500 dark:text-slate-400 font-medium text-sm uppercase tracking-wider">Top cardinality drivers</h3>
+          {summary.drivers.length === 0 ? (
+            <p className="px-4 pb-4 text-sm text-slate-500 dark:text-slate-400">No label multiplies the series of any metric</p>
+          ) : (
+            <div className="max-h-72 overflow-y-auto">
+              <table className={tableClass}>
+                <thead className={headClass}>
+                  <tr>
+                    <th className="px-3 py-2 font-medium text-left">Metric</th>
+                    <th className="px-3 py-2 font-medium text-left">Label</th>
+                    <th className="px-3 py-2 font-medium text-right" title="Series that would disappear if the label were dropped">Series saved</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.drivers.map(driver => (
+                    <tr key={`${driver.metric}/${driver.label}`} className={rowClass} onClick={() => setSelectedMetric(driver.metric)}>
+                      <td className="px-3 py-1.5 font-mono text-xs truncate max-w-[16rem]" title={driver.metric}>{driver.metric}</td>
+                      <td className="px-3 py-1.5 font-mono text-xs">{driver.label} <span className="text-slate-400">({driver.values})</span></td>
+                      <td className="px-3 py-1.5 text-right tabular-nums">{formatCount(driver.reduction)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+        <div className={panelClass}>
+          <h3 className="px-4 pt-3 pb-2 text-slate-500 dark:text-slate-400 font-medium text-sm uppercase tracking-wider">Labels</h3>
+          <div className="max-h-72 overflow-y-auto">
+            <table className={tableClass}>
+              <thead className={headClass}>
+                <tr>
+                  <th className="px-3 py-2 font-medium text-left">Label</th>
+                  <th className="px-3 py-2 font-medium text-right">Metrics</th>
+                  <th className="px-3 py-2 font-medium text-right" title="Distinct values, summed over the metrics using the label">Values</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.labels.map(label => (
+                  <tr key={label.name} className="border-b border-slate-100 dark:border-slate-700/50 last:border-b-0">
+                    <td className="px-3 py-1.5 font-mono text-xs">{label.name}</td>
+                    <td className="px-3 py-1.5 text-right tabular-nums">{label.metrics}</td>
+                    <td className="px-3 py-1.5 text-right tabular-nums">{formatCount(label.values)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className={panelClass}>
+        <div className="flex items-center gap-3 px-4 pt-3 pb-2">
+          <h3 className="text-slate-500 dark:text-slate-400 font-medium text-sm uppercase tracking-wider">Series per metric</h3>
+          <div className="flex-1" />
+          <div className="relative">
+            <Search size={14} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-slate-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Filter metrics..."
+              className="pl-8 pr-3 py-1.5 text-sm bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+          </div>
+        </div>
+        <table className={tableClass}>
+          <thead className={headClass}>
+            <tr>
+              <SortHeader label="Metric" sortKey="name" sort={sort} onSort={setSort} />
+              <SortHeader label="Series" sortKey="series" sort={sort} onSort={setSort} numeric />
+              <SortHeader label="Labels" sortKey="labels" sort={sort} onSort={setSort} numeric />
+              <SortHeader label="Highest-cardinality label" sortKey="topLabel" sort={sort} onSort={setSort} numeric />
+              <SortHeader label="Change" sortKey="change" sort={sort} onSort={setSort} numeric />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, MAX_ROWS).map(row => (
+              <tr key={row.name} className={rowClass} onClick={() => setSelectedMetric(row.name)}>
+                <td className="px-3 py-1.5 font-mono text-xs truncate max-w-md" title={row.name}>{row.name}</td>
+                <td className="px-3 py-1.5 text-right tabular-nums">{formatCount(row.series)}</td>
+                <td className="px-3 py-1.5 text-right tabular-nums">{row.labels}</td>
+                <td className="px-3 py-1.5 text-right font-mono text-xs">
+                  {row.topLabel ? <>{row.topLabel.name} <span className="text-slate-400">({row.topLabel.values})</span></> : <span className="text-slate-400">-</span>}
+                </td>
+                <td className="px-3 py-1.5 text-right tabular-nums">{formatChange(row.change)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length > MAX_ROWS && (
+          <p className="px-4 py-2 text-xs text-slate-400 border-t border-slate-200 dark:border-slate-700">
+            Showing {MAX_ROWS} of {rows.length} metrics; filter to narrow down
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CardinalityView;
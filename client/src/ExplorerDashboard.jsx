@@ -7,10 +7,13 @@ import {
 } from 'recharts';
 import {
   X, Settings, GripVertical, Info, Plus, Trash2, Lock, Unlock,
-  ChevronDown, ChevronRight, Search, BarChart2, Activity, Gauge, TrendingUp
+  ChevronDown, ChevronRight, Search, BarChart2, Activity, Gauge, TrendingUp, Download
 } from 'lucide-react';
 import { formatCount, formatBytes, formatDuration, formatPercent } from './formatters';
-import { parsePrometheusMetricsWithMetadata, buildMetricsCatalog } from './metricsParser';
+import { findCatalogEntry } from './metricsParser';
+import { getMetricsWorker } from './metricsWorkerClient';
+import { widgetDataSamples } from './widgetData';
+import { EXPORT_FORMATS, downloadHistory } from './historyExport';
 
 import 'react-grid-layout/css/styles.css';
 
@@ -25,6 +28,9 @@ const TYPE_COLORS = {
   counter: { bg: 'bg-green-100 dark:bg-green-900/50', text: 'text-green-700 dark:text-green-300', label: 'Counter' },
   histogram: { bg: 'bg-yellow-100 dark:bg-yellow-900/50', text: 'text-yellow-700 dark:text-yellow-300', label: 'Histogram' },
   summary: { bg: 'bg-purple-100 dark:bg-purple-900/50', text: 'text-purple-700 dark:text-purple-300', label: 'Summary' },
+  gaugehistogram: { bg: 'bg-orange-100 dark:bg-orange-900/50', text: 'text-orange-700 dark:text-orange-300', label: 'Gauge Histogram' },
+  info: { bg: 'bg-cyan-100 dark:bg-cyan-900/50', text: 'text-cyan-700 dark:text-cyan-300', label: 'Info' },
+  stateset: { bg: 'bg-pink-100 dark:bg-pink-900/50', text: 'text-pink-700 dark:text-pink-300', label: 'State Set' },
   untyped: { bg: 'bg-gray-100 dark:bg-gray-700', text: 'text-gray-700 dark:text-gray-300', label: 'Unknown' }
 };
 
@@ -37,13 +43,22 @@ const UNIT_FORMATS = [
   { value: 'percent', label: 'Percentage (%)' }
 ];
 
+// OpenMetrics UNIT values mapped to unit formats
+const UNIT_FORMAT_BY_UNIT = {
+  bytes: 'memory',
+  seconds: 'time',
+  ratio: 'percent'
+};
+
 /**
- * Infer the appropriate unit format based on metric name suffix.
- * Analyzes the last word(s) of the metric name to determine the best display unit.
+ * Infer the appropriate unit format based on the declared unit or metric name suffix.
+ * A declared OpenMetrics UNIT wins; otherwise analyzes the last word(s) of the metric name.
  * @param {string} metricName - The name of the metric
+ * @param {string} [unit] - The unit from the metric's `# UNIT` line, if any
  * @returns {string} The inferred unit format ('raw', 'count', 'memory', 'time', 'percent')
  */
-const inferUnitFromMetricName = (metricName) => {
+const inferUnitFromMetricName = (metricName, unit) => {
+  if (unit && UNIT_FORMAT_BY_UNIT[unit]) return UNIT_FORMAT_BY_UNIT[unit];
   if (!metricName) return 'raw';
 
   const name = metricName.toLowerCase();
@@ -347,6 +362,7 @@ const MetricSelector = ({ catalog, onSelect, isOpen, onToggle }) => {
                       <div className="flex items-center gap-2 mb-1">
                         <TypeBadge type={metric.type} />
                         <span className="text-sm font-mono text-slate-800 dark:text-slate-200 truncate">{metric.name}</span>
+                        {metric.unit && <span className="text-xs text-slate-400 flex-shrink-0">{metric.unit}</span>}
                       </div>
                       {metric.help && (
                         <p className="text-xs text-slate-500 dark:text-slate-400 truncate pl-0">{metric.help}</p>
@@ -772,240 +788,93 @@ const TimelineChart = ({ history, unitFormat }) => {
   );
 };
 
+// Maximum number of history points to keep for timeline charts and widget exports
+const MAX_HISTORY_POINTS = 60;
+
 /**
- * Compute data for different metric types
+ * ExportMenu Component - Format picker shown below a widget's export button
  */
-const computeWidgetData = (metrics, metricName, metricType, config) => {
-  const groupBy = config.groupBy && config.groupBy !== 'none' ? config.groupBy : null;
-
-  if (metricType === 'histogram') {
-    const bucketName = `${metricName}_bucket`;
-    const series = metrics.get(bucketName);
-    if (!series) return { type: 'empty' };
-
-    const groups = {};
-    const allLe = new Set();
-
-    series.forEach(item => {
-      const le = item.labels.le;
-      if (!le) return;
-      allLe.add(le);
-      const groupKey = groupBy ? (item.labels[groupBy] || 'Other') : 'All';
-      if (!groups[groupKey]) groups[groupKey] = {};
-      groups[groupKey][le] = (groups[groupKey][le] || 0) + item.value;
-    });
-
-    const sortedLe = Array.from(allLe)
-      .map(l => l === '+Inf' ? Infinity : Number.parseFloat(l))
-      .sort((a, b) => a - b);
-    const sortedLeStr = sortedLe.map(l => l === Infinity ? '+Inf' : l.toString());
-
-    const data = sortedLe.map((leVal, idx) => {
-      const leStr = sortedLeStr[idx];
-      const prevLeLabel = idx === 0 ? '0' : sortedLeStr[idx - 1];
-      let rangeLabel = '';
-      if (leVal === Infinity) rangeLabel = `> ${prevLeLabel}`;
-      else if (idx === 0) rangeLabel = `≤ ${leStr}`;
-      else rangeLabel = `${prevLeLabel}-${leStr}`;
-
-      const row = { range: rangeLabel, le: leVal };
-      Object.keys(groups).forEach(gKey => {
-        const currVal = groups[gKey][leStr] || 0;
-        const prevVal = idx > 0 ? groups[gKey][sortedLeStr[idx - 1]] || 0 : 0;
-        row[gKey] = Math.max(0, currVal - prevVal);
-      });
-      return row;
-    });
-
-    return { type: 'histogram', data, keys: Object.keys(groups) };
-  }
-
-  if (metricType === 'summary') {
-    const series = metrics.get(metricName);
-    const sumSeries = metrics.get(`${metricName}_sum`);
-    const countSeries = metrics.get(`${metricName}_count`);
+const ExportMenu = ({ anchorRef, points, onExport, onClose }) => {
+  const rect = anchorRef.current.getBoundingClientRect();
+  const width = 192; // w-48
+  const left = Math.max(16, Math.min(rect.right - width, window.innerWidth - width - 16));
 
-    // Get quantiles from base series (if exists)
-    const quantiles = series ? series.filter(s => s.labels.quantile !== undefined) : [];
-
-    // Calculate global sum/count/avg
-    const sum = sumSeries ? sumSeries.reduce((acc, s) => acc + s.value, 0) : 0;
-    const count = countSeries ? countSeries.reduce((acc, s) => acc + s.value, 0) : 0;
-    const avg = count > 0 ? sum / count : 0;
-
-    // If no base series and no sum/count, return empty
-    if (!series && !sumSeries && !countSeries) {
-      return { type: 'empty' };
-    }
-
-    if (groupBy) {
-      // Build per-group averages from sum/count series
-      const groupAvgs = {};
-      if (sumSeries && countSeries) {
-        const groupSums = {};
-        const groupCounts = {};
-        sumSeries.forEach(item => {
-          const gKey = item.labels[groupBy] || 'Other';
-          groupSums[gKey] = (groupSums[gKey] || 0) + item.value;
-        });
-        countSeries.forEach(item => {
-          const gKey = item.labels[groupBy] || 'Other';
-          groupCounts[gKey] = (groupCounts[gKey] || 0) + item.value;
-        });
-        Object.keys(groupSums).forEach(gKey => {
-          const s = groupSums[gKey] || 0;
-          const c = groupCounts[gKey] || 0;
-          groupAvgs[gKey] = c > 0 ? s / c : 0;
-        });
-      }
-
-      // Check if we have quantile data with the groupBy label
-      if (quantiles.length > 0) {
-        // Group quantile data by the selected label
-        const groups = {};
-        const allQuantiles = new Set();
-
-        quantiles.forEach(item => {
-          const quantile = item.labels.quantile;
-          allQuantiles.add(quantile);
-          const groupKey = item.labels[groupBy] || 'Other';
-
-          if (!groups[groupKey]) groups[groupKey] = {};
-          groups[groupKey][quantile] = (groups[groupKey][quantile] || 0) + item.value;
-        });
-
-        const groupKeys = Object.keys(groups);
-        const sortedQuantiles = Array.from(allQuantiles)
-          .sort((a, b) => Number.parseFloat(a) - Number.parseFloat(b));
-
-        // Build data rows for each quantile, filtering out rows where all values are zero/NaN
-        const quantileData = sortedQuantiles
-          .map(q => {
-            const row = { name: `P${Number.parseFloat(q) * 100}` };
-            groupKeys.forEach(gKey => {
-              row[gKey] = groups[gKey][q] || 0;
-            });
-            return row;
-          })
-          .filter(row => {
-            // Keep row only if at least one group has a non-zero, valid value
-            return groupKeys.some(gKey => row[gKey] > 0 && Number.isFinite(row[gKey]));
-          });
-
-        // If all quantile rows were NaN/zero, fall back to showing grouped averages as bar chart
-        if (quantileData.length === 0 && Object.keys(groupAvgs).length > 0) {
-          const data = Object.entries(groupAvgs)
-            .map(([name, value]) => ({ name, value }))
-            .sort((a, b) => b.value - a.value);
-
-          return { type: 'bar', data };
-        }
-
-        // Add Avg row at the beginning using per-group averages from sum/count
-        const avgRow = { name: 'Avg' };
-        groupKeys.forEach(gKey => {
-          avgRow[gKey] = groupAvgs[gKey] || 0;
-        });
-        quantileData.unshift(avgRow);
-
-        return { type: 'summary-grouped', data: quantileData, keys: groupKeys, avg, sum, count };
-      }
-
-      // No quantile data, but we have sum/count - show grouped averages
-      if (Object.keys(groupAvgs).length > 0) {
-        const data = Object.entries(groupAvgs)
-          .map(([name, value]) => ({ name, value }))
-          .sort((a, b) => b.value - a.value);
-
-        return { type: 'bar', data };
-      }
-    }
-
-    // No grouping - aggregate by quantile percentile
-    if (quantiles.length > 0) {
-      const quantileGroups = {};
-      quantiles.forEach(q => {
-        const pctKey = `P${Number.parseFloat(q.labels.quantile) * 100}`;
-        quantileGroups[pctKey] = Math.max(quantileGroups[pctKey] || 0, q.value);
-      });
-
-      const data = Object.entries(quantileGroups)
-        .sort((a, b) => Number.parseFloat(a[0].slice(1)) - Number.parseFloat(b[0].slice(1)))
-        .map(([name, value]) => ({ name, value }));
-      data.unshift({ name: 'Avg', value: avg, isAvg: true });
-
-      return { type: 'summary', data, avg, sum, count };
-    }
-
-    // Only have sum/count, no quantiles - show single average value
-    return { type: 'single', value: avg };
-  }
-
-  // Counter or Gauge
-  const series = metrics.get(metricName);
-  if (!series) return { type: 'empty' };
-
-  if (groupBy) {
-    const groups = {};
-    series.forEach(item => {
-      const key = item.labels[groupBy] || 'Other';
-      groups[key] = (groups[key] || 0) + item.value;
-    });
-    const data = Object.entries(groups)
-      .map(([name, value]) => ({ name, value }))
-      .sort((a, b) => b.value - a.value);
-    return { type: 'bar', data };
-  }
-
-  // Single value
-  const total = series.reduce((acc, s) => acc + s.value, 0);
-  return { type: 'single', value: total };
+  return createPortal(
+    <>
+      <div className="fixed inset-0 z-[9998]" onClick={onClose} />
+      <div
+        className="fixed w-48 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-2xl z-[9999] py-1"
+        style={{ top: rect.bottom + 4, left }}
+      >
+        <p className="px-3 py-1 text-xs text-slate-400">
+          Export {points} {points === 1 ? 'poll' : 'polls'} as
+        </p>
+        {EXPORT_FORMATS.map(format => (
+          <button
+            key={format.value}
+            onClick={() => { onExport(format.value); onClose(); }}
+            className="w-full px-3 py-1.5 text-left text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-700"
+          >
+            {format.label}
+          </button>
+        ))}
+      </div>
+    </>,
+    document.body
+  );
 };
 
-// Maximum number of history points to keep for timeline charts
-const MAX_HISTORY_POINTS = 60;
-
 /**
  * MetricWidget Component - Renders appropriate visualization based on metric type
  */
-const MetricWidget = ({ widgetId, config, metrics, metadata, catalog, onRemove, onUpdate }) => {
+const MetricWidget = ({ widgetId, config, widgetData, catalog, timestamp, onRemove, onUpdate }) => {
   const [showSettings, setShowSettings] = useState(false);
   const settingsButtonRef = useRef(null);
+  const [showExport, setShowExport] = useState(false);
+  const exportButtonRef = useRef(null);
+
+  // Plotted values of recent polls in any display mode, for export: [{ timestamp, metrics }]
+  const [exportHistory, setExportHistory] = useState([]);
 
   // History tracking for timeline display mode
   const [timelineHistory, setTimelineHistory] = useState([]);
   const lastGroupByRef = useRef(config.groupBy);
   const lastTimeRef = useRef(null);
 
-  const metricMeta = useMemo(() => {
-    for (const group of catalog) {
-      const found = group.metrics.find(m => m.name === config.metricName);
-      if (found) return found;
-    }
-    return metadata.get(config.metricName) || { name: config.metricName, type: 'untyped', help: '', labels: [] };
-  }, [catalog, metadata, config.metricName]);
-
-  const widgetData = useMemo(() =>
-    computeWidgetData(metrics, config.metricName, metricMeta.type, config),
-    [metrics, config, metricMeta.type]
+  const metricMeta = useMemo(() =>
+    findCatalogEntry(catalog, config.metricName) || { name: config.metricName, type: 'untyped', help: '', labels: [] },
+    [catalog, config.metricName]
   );
 
   // Clear history when groupBy changes
   useEffect(() => {
     if (lastGroupByRef.current !== config.groupBy) {
       setTimelineHistory([]);
+      setExportHistory([]);
       lastTimeRef.current = null;
       lastGroupByRef.current = config.groupBy;
     }
   }, [config.groupBy]);
 
+  // Track plotted values for export
+  useEffect(() => {
+    const samples = widgetDataSamples(widgetData, config.groupBy);
+    if (samples.length === 0) return;
+    const sampleTime = timestamp ?? Date.now();
+    setExportHistory(prev => {
+      if (prev.length > 0 && prev[prev.length - 1].timestamp === sampleTime) return prev;
+      return [...prev, { timestamp: sampleTime, metrics: new Map([[config.metricName, samples]]) }].slice(-MAX_HISTORY_POINTS);
+    });
+  }, [widgetData, timestamp, config.groupBy, config.metricName]);
+
   // Track history for timeline display
   useEffect(() => {
     if (config.displayMode !== 'timeline') return;
-    if (widgetData.type === 'empty') return;
+    if (!widgetData || widgetData.type === 'empty') return;
 
-    const now = new Date();
-    const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    // Use the exposition timestamp when the samples carry one
+    const sampleTime = new Date(timestamp ?? Date.now());
+    const timeStr = sampleTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
 
     // Skip if we already added a point at this exact timestamp
     if (lastTimeRef.current === timeStr) return;
@@ -1030,11 +899,16 @@ const MetricWidget = ({ widgetId, config, metrics, metadata, catalog, onRemove,
       // Keep only the last MAX_HISTORY_POINTS entries
       return updated.slice(-MAX_HISTORY_POINTS);
     });
-  }, [widgetData, config.displayMode]);
+  }, [widgetData, config.displayMode, timestamp]);
 
   const renderChart = () => {
     const unitFormat = config.unitFormat || 'raw';
 
+    // Data is aggregated in the metrics worker and arrives shortly after the widget is added
+    if (!widgetData) {
+      return <div className="flex items-center justify-center h-full text-slate-400">Loading...</div>;
+    }
+
     if (widgetData.type === 'empty') {
       return <div className="flex items-center justify-center h-full text-slate-400">No data available</div>;
     }
@@ -1140,6 +1014,44 @@ const MetricWidget = ({ widgetId, config, metrics, metadata, catalog, onRemove,
       );
     }
 
+    if (widgetData.type === 'info') {
+      return (
+        <div className="h-full overflow-auto space-y-2 p-1">
+          {widgetData.data.map((labels, i) => (
+            <table key={i} className="w-full text-xs">
+              <tbody>
+                {Object.entries(labels).map(([k, v]) => (
+                  <tr key={k} className="border-b border-slate-100 dark:border-slate-700 last:border-b-0">
+                    <td className="py-1 pr-3 font-mono text-slate-500 dark:text-slate-400 whitespace-nowrap">{k}</td>
+                    <td className="py-1 text-slate-800 dark:text-slate-200 break-all">{v}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+        </div>
+      );
+    }
+
+    if (widgetData.type === 'stateset') {
+      return (
+        <div className="flex flex-wrap content-start gap-2 h-full p-2 overflow-auto">
+          {widgetData.data.map(item => (
+            <span
+              key={item.name}
+              className={`px-2 py-1 rounded-md text-xs font-medium ${
+                item.active
+                  ? 'bg-green-100 text-green-700 dark:bg-green-900/50 dark:text-green-300'
+                  : 'bg-slate-100 text-slate-400 dark:bg-slate-700/50 dark:text-slate-500'
+              }`}
+            >
+              {item.name}
+            </span>
+          ))}
+        </div>
+      );
+    }
+
     if (widgetData.type === 'summary-grouped') {
       const { data, keys } = widgetData;
       if (data.length === 0 || keys.length === 0) {
@@ -1186,6 +1098,23 @@ const MetricWidget = ({ widgetId, config, metrics, metadata, catalog, onRemove,
             </button>
           </Tooltip>
         )}
+        <button
+          ref={exportButtonRef}
+          onClick={() => setShowExport(!showExport)}
+          disabled={exportHistory.length === 0}
+          title="Export plotted values"
+          className="p-1 hover:bg-slate-200 dark:hover:bg-slate-700 rounded disabled:opacity-50"
+        >
+          <Download size={14} className="text-slate-400" />
+        </button>
+        {showExport && (
+          <ExportMenu
+            anchorRef={exportButtonRef}
+            points={exportHistory.length}
+            onExport={(format) => downloadHistory(exportHistory, format, config.metricName)}
+            onClose={() => setShowExport(false)}
+          />
+        )}
         <button
           ref={settingsButtonRef}
           onClick={() => setShowSettings(!showSettings)}
@@ -1242,10 +1171,14 @@ const EmptyState = ({ onAddMetric }) => (
   </div>
 );
 
-// Helper to load saved state from localStorage
-const loadSavedState = () => {
+// Stand-in used before the first snapshot arrives
+const EMPTY_SNAPSHOT = { catalog: [], timestamp: null };
+
+// Helper to load saved state from localStorage. A target without a dashboard of its own
+// starts from the default one.
+const loadSavedState = (storageKey) => {
   try {
-    const saved = localStorage.getItem(STORAGE_KEY);
+    const saved = localStorage.getItem(storageKey) || localStorage.getItem(STORAGE_KEY);
     if (saved) {
       return JSON.parse(saved);
     }
@@ -1257,37 +1190,48 @@ const loadSavedState = () => {
 
 /**
  * Main ExplorerDashboard Component
+ * @param {Object} snapshot - Latest parsed snapshot
+ * @param {string} [targetId] - Registered target whose dashboard to show; the default dashboard otherwise
  */
-const ExplorerDashboard = ({ metricsText }) => {
+const ExplorerDashboard = ({ snapshot, targetId }) => {
+  const storageKey = targetId ? `${STORAGE_KEY}:${targetId}` : STORAGE_KEY;
   // Load from localStorage during initial state (lazy initialization)
-  const [widgets, setWidgets] = useState(() => loadSavedState().widgets);
-  const [layouts, setLayouts] = useState(() => loadSavedState().layouts);
+  const [widgets, setWidgets] = useState(() => loadSavedState(storageKey).widgets);
+  const [layouts, setLayouts] = useState(() => loadSavedState(storageKey).layouts);
   const [showSelector, setShowSelector] = useState(false);
   const [isLocked, setIsLocked] = useState(false);
+  const [widgetResults, setWidgetResults] = useState({ timestamp: null, data: {} });
 
-  // Parse metrics and build catalog
-  const { metrics, metadata, catalog } = useMemo(() => {
-    if (!metricsText) return { metrics: new Map(), metadata: new Map(), catalog: [] };
-    const { metrics: m, metadata: meta } = parsePrometheusMetricsWithMetadata(metricsText);
-    const cat = buildMetricsCatalog(meta, m);
-    return { metrics: m, metadata: meta, catalog: cat };
-  }, [metricsText]);
+  // Snapshot is parsed once by the poller; the worker keeps the full series
+  const { catalog } = snapshot || EMPTY_SNAPSHOT;
+
+  // Aggregate widget data in the worker whenever a new snapshot arrives or widgets change
+  useEffect(() => {
+    if (!snapshot || widgets.length === 0) return;
+    let cancelled = false;
+    getMetricsWorker().computeWidgets(widgets)
+      .then(result => {
+        if (!cancelled) setWidgetResults(result);
+      })
+      .catch(err => console.error('Failed to compute widget data:', err));
+    return () => { cancelled = true; };
+  }, [snapshot, widgets]);
 
   // Save state to localStorage whenever it changes
   useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify({ widgets, layouts }));
+      localStorage.setItem(storageKey, JSON.stringify({ widgets, layouts }));
     } catch (e) {
       console.error('Failed to save dashboard state:', e);
     }
-  }, [widgets, layouts]);
+  }, [storageKey, widgets, layouts]);
 
   const handleAddMetric = useCallback((metric) => {
     const newWidget = {
       id: `widget-${Date.now()}`,
       metricName: metric.name,
       displayMode: metric.type === 'gauge' ? 'value' : 'bar',
-      unitFormat: inferUnitFromMetricName(metric.name),
+      unitFormat: inferUnitFromMetricName(metric.name, metric.unit),
       groupBy: 'none',
       maxValue: null
     };
@@ -1382,7 +1326,7 @@ const ExplorerDashboard = ({ metricsText }) => {
     }
   }, []);
 
-  if (!metricsText) {
+  if (!snapshot) {
     return (
       <div className="flex items-center justify-center h-64 text-slate-500 dark:text-slate-400">
         Connect to InfluxDB to start exploring metrics
@@ -1465,9 +1409,9 @@ const ExplorerDashboard = ({ metricsText }) => {
               <MetricWidget
                 widgetId={widget.id}
                 config={widget}
-                metrics={metrics}
-                metadata={metadata}
+                widgetData={widgetResults.data[widget.id]}
                 catalog={catalog}
+                timestamp={widgetResults.timestamp}
                 onRemove={handleRemoveWidget}
                 onUpdate={handleUpdateWidget}
               />
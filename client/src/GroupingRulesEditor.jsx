@@ -0,0 +1,146 @@
+import { useMemo } from 'react';
+import { ArrowUp, ArrowDown, Trash2, Plus, RotateCcw } from 'lucide-react';
+import {
+  DEFAULT_GROUPING_RULES, UNGROUPED, compileGroupingRules, matchGroupingRule, validateGroupingRule
+} from './catalogGrouping';
+
+/**
+ * Editor for the catalog grouping rules shown in Settings.
+ * Rules are tried top to bottom; each row shows how many catalog metrics it groups.
+ * @param {Array} rules - [{ id, pattern, group }] in priority order
+ * @param {Function} onChange - Called with the new rules array
+ * @param {Array} catalog - Current catalog, used for match counts (may be empty)
+ */
+const GroupingRulesEditor = ({ rules, onChange, catalog = [] }) => {
+  const matchCounts = useMemo(() => {
+    const compiled = compileGroupingRules(rules);
+    const counts = { [UNGROUPED]: 0 };
+    catalog.forEach(group => {
+      group.metrics.forEach(metric => {
+        const { ruleId } = matchGroupingRule(metric.name, compiled);
+        const key = ruleId ?? UNGROUPED;
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [rules, catalog]);
+
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((_, i) => i !== index));
+  };
+
+  const addRule = () => {
+    onChange([...rules, { id: `rule-${Date.now()}`, pattern: '', group: '' }]);
+  };
+
+  const hasCatalog = catalog.length > 0;
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-slate-400">
+        Metrics are grouped in the explorer by the first rule whose regex matches their name.
+        Use <code className="font-mono">$1</code>, <code className="font-mono">$2</code>... in the group name to insert capture groups.
+        Metrics no rule matches go to <span className="font-mono">{UNGROUPED}</span>.
+      </p>
+
+      <div className="space-y-2">
+        {rules.map((rule, index) => {
+          const error = validateGroupingRule(rule);
+          return (
+            <div key={rule.id}>
+              <div className="flex items-center gap-2">
+                <span className="w-5 text-xs font-mono text-slate-400 text-right flex-shrink-0">{index + 1}</span>
+                <input
+                  type="text"
+                  value={rule.pattern}
+                  onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                  placeholder="Regex, e.g. ^node_"
+                  aria-label={`Rule ${index + 1} pattern`}
+                  className={`flex-1 min-w-0 px-3 py-1.5 bg-slate-50 dark:bg-slate-900 border rounded-lg text-sm font-mono outline-none focus:ring-2 focus:ring-blue-500 ${
+                    error ? 'border-red-400 dark:border-red-500' : 'border-slate-300 dark:border-slate-600'
+                  }`}
+                />
+                <input
+                  type="text"
+                  value={rule.group}
+                  onChange={(e) => updateRule(index, { group: e.target.value })}
+                  placeholder="Group name"
+                  aria-label={`Rule ${index + 1} group`}
+                  className="w-40 px-3 py-1.5 bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg text-sm outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                {hasCatalog && (
+                  <span className="w-16 text-xs text-slate-400 text-right flex-shrink-0" title="Catalog metrics grouped by this rule">
+                    {matchCounts[rule.id] || 0} metrics
+                  </span>
+                )}
+                <button
+                  onClick={() => moveRule(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-slate-400 hover:text-slate-700 dark:hover:text-white disabled:opacity-30"
+                  title="Move up"
+                >
+                  <ArrowUp size={14} />
+                </button>
+                <button
+                  onClick={() => moveRule(index, 1)}
+                  disabled={index === rules.length - 1}
+                  className="p-1 text-slate-400 hover:text-slate-700 dark:hover:text-white disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ArrowDown size={14} />
+                </button>
+                <button
+                  onClick={() => removeRule(index)}
+                  className="p-1 text-slate-400 hover:text-red-500"
+                  title="Remove rule"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              {error && (rule.pattern || rule.group) && (
+                <p className="ml-7 mt-0.5 text-xs text-red-500">{error} - rule is ignored</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {hasCatalog && (
+        <p className="text-xs text-slate-400 ml-7">
+          {matchCounts[UNGROUPED]} {matchCounts[UNGROUPED] === 1 ? 'metric' : 'metrics'} ungrouped
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={addRule}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-lg transition-colors"
+        >
+          <Plus size={14} />
+          Add rule
+        </button>
+        <button
+          onClick={() => onChange(DEFAULT_GROUPING_RULES)}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+        >
+          <RotateCcw size={14} />
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GroupingRulesEditor;
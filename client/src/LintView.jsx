@@ -0,0 +1,168 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ChevronDown, ChevronRight, Search, AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+import { getMetricsWorker } from './metricsWorkerClient';
+
+const SEVERITY_STYLES = {
+  error: { text: 'text-red-600 dark:text-red-400', badge: 'bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300', icon: AlertCircle },
+  warning: { text: 'text-amber-600 dark:text-amber-400', badge: 'bg-amber-100 dark:bg-amber-900/50 text-amber-700 dark:text-amber-300', icon: AlertTriangle }
+};
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'error', label: 'Errors' },
+  { value: 'warning', label: 'Warnings' }
+];
+
+/**
+ * One metric family with its lint findings, collapsed by default
+ */
+const LintMetric = ({ entry, expanded, onToggle }) => (
+  <div className="border-b border-slate-100 dark:border-slate-700 last:border-b-0">
+    <button
+      onClick={onToggle}
+      className="w-full px-4 py-2.5 flex items-center gap-2 text-left hover:bg-slate-50 dark:hover:bg-slate-700/50"
+    >
+      {expanded ? <ChevronDown size={14} className="text-slate-400" /> : <ChevronRight size={14} className="text-slate-400" />}
+      <span className="font-mono text-sm text-slate-800 dark:text-slate-200 truncate flex-1">{entry.metric}</span>
+      {entry.errors > 0 && (
+        <span className={`text-xs px-1.5 py-0.5 rounded ${SEVERITY_STYLES.error.badge}`}>{entry.errors}</span>
+      )}
+      {entry.warnings > 0 && (
+        <span className={`text-xs px-1.5 py-0.5 rounded ${SEVERITY_STYLES.warning.badge}`}>{entry.warnings}</span>
+      )}
+    </button>
+    {expanded && (
+      <ul className="pb-2 pl-10 pr-4 space-y-1">
+        {entry.findings.map((finding, index) => {
+          const style = SEVERITY_STYLES[finding.severity];
+          const Icon = style.icon;
+          return (
+            <li key={index} className="flex items-start gap-2 text-xs">
+              <Icon size={14} className={`${style.text} flex-shrink-0 mt-px`} />
+              <span className="text-slate-700 dark:text-slate-300 break-all">{finding.message}</span>
+              <span className="ml-auto font-mono text-slate-400 flex-shrink-0">{finding.rule}</span>
+            </li>
+          );
+        })}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * Lint view - semantic checks of the latest scrape, grouped by metric.
+ * Re-runs in the metrics worker whenever a new snapshot arrives.
+ */
+const LintView = ({ snapshot }) => {
+  const [report, setReport] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!snapshot) return;
+    let cancelled = false;
+    getMetricsWorker().lint()
+      .then(result => {
+        if (!cancelled) setReport(result);
+      })
+      .catch(err => console.error('Failed to lint metrics:', err));
+    return () => { cancelled = true; };
+  }, [snapshot]);
+
+  const visible = useMemo(() => {
+    if (!report) return [];
+    const term = search.trim().toLowerCase();
+    return report.metrics
+      .filter(entry => !term || entry.metric.toLowerCase().includes(term))
+      .map(entry => filter === 'all'
+        ? entry
+        : { ...entry, findings: entry.findings.filter(f => f.severity === filter) })
+      .filter(entry => entry.findings.length > 0);
+  }, [report, filter, search]);
+
+  const toggle = (metric) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(metric)) next.delete(metric);
+      else next.add(metric);
+      return next;
+    });
+  };
+
+  if (!snapshot) {
+    return (
+      <div className="flex items-center justify-center h-64 text-slate-500 dark:text-slate-400">
+        Connect to InfluxDB to lint its metrics
+      </div>
+    );
+  }
+
+  if (!report) {
+    return (
+      <div className="flex items-center justify-center h-64 text-slate-500 dark:text-slate-400">
+        Linting...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-3 text-sm font-medium">
+          <span className={SEVERITY_STYLES.error.text}>{report.errors} {report.errors === 1 ? 'error' : 'errors'}</span>
+          <span className={SEVERITY_STYLES.warning.text}>{report.warnings} {report.warnings === 1 ? 'warning' : 'warnings'}</span>
+          <span className="text-slate-500 dark:text-slate-400">across {report.metrics.length} {report.metrics.length === 1 ? 'metric' : 'metrics'}</span>
+        </div>
+        <div className="flex-1" />
+        <div className="relative">
+          <Search size={14} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-slate-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter metrics..."
+            className="pl-8 pr-3 py-1.5 text-sm bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          />
+        </div>
+        <div className="flex bg-slate-100 dark:bg-slate-700 rounded-lg p-1">
+          {FILTERS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setFilter(option.value)}
+              className={`px-2.5 py-1 text-xs font-medium rounded-md transition-all ${
+                filter === option.value
+                  ? 'bg-white dark:bg-slate-600 text-slate-900 dark:text-white shadow-sm'
+                  : 'text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-white'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-slate-200 dark:border-slate-700">
+        {report.metrics.length === 0 ? (
+          <div className="flex items-center gap-2 px-4 py-6 text-sm text-green-600 dark:text-green-400">
+            <CheckCircle size={16} />
+            No problems found in the latest scrape
+          </div>
+        ) : visible.length === 0 ? (
+          <div className="px-4 py-6 text-sm text-slate-500 dark:text-slate-400">No findings match the current filter</div>
+        ) : (
+          visible.map(entry => (
+            <LintMetric
+              key={entry.metric}
+              entry={entry}
+              expanded={expanded.has(entry.metric)}
+              onToggle={() => toggle(entry.metric)}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LintView;
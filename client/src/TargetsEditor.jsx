@@ -0,0 +1,318 @@
+import { useState } from 'react';
+import { Pencil, Trash2, Plus, Check, X, ShieldOff } from 'lucide-react';
+import { createTarget, updateTarget, deleteTarget } from './targetsApi';
+
+const EMPTY_FORM = {
+  name: '', url: '', intervalMs: 2000, useProxy: true, headers: '', tags: '',
+  authType: 'none', authToken: '', authUsername: '', authPassword: '',
+  tlsCaFile: '', tlsCertFile: '', tlsKeyFile: '', tlsServerName: '', tlsInsecure: false,
+};
+
+const AUTH_LABELS = {
+  none: 'None',
+  bearer: 'Bearer token',
+  token: 'InfluxDB API token',
+  basic: 'Basic auth',
+};
+
+// Headers are edited as `Name: value` lines and tags as `key=value` lines
+const formatPairs = (pairs, separator) => Object.entries(pairs || {}).map(([key, value]) => `${key}${separator}${value}`).join('\n');
+
+const parsePairs = (text, separator) => {
+  const pairs = {};
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const index = line.indexOf(separator);
+    if (index <= 0) throw new Error(`Expected "key${separator.trim()}value": ${line}`);
+    pairs[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  });
+  return pairs;
+};
+
+const toForm = (target) => ({
+  name: target.name,
+  url: target.url,
+  intervalMs: target.intervalMs,
+  useProxy: target.useProxy,
+  headers: formatPairs(target.headers, ': '),
+  tags: formatPairs(target.tags, '='),
+  authType: target.auth.type,
+  // Stored secrets are never sent back; left empty they stay as they are
+  authToken: '',
+  authUsername: target.auth.username || '',
+  authPassword: '',
+  tlsCaFile: target.tls.caFile || '',
+  tlsCertFile: target.tls.certFile || '',
+  tlsKeyFile: target.tls.keyFile || '',
+  tlsServerName: target.tls.serverName || '',
+  tlsInsecure: Boolean(target.tls.insecureSkipVerify),
+});
+
+const toAuth = (form) => {
+  if (form.authType === 'bearer' || form.authType === 'token') {
+    return { type: form.authType, token: form.authToken || undefined };
+  }
+  if (form.authType === 'basic') {
+    return { type: 'basic', username: form.authUsername, password: form.authPassword || undefined };
+  }
+  return { type: 'none' };
+};
+
+const inputClass = 'w-full px-3 py-1.5 bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-lg text-sm outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Settings editor for the server's named targets registry.
+ * @param {Array} targets - Registered targets
+ * @param {string | null} activeTargetId - Target the header switcher has selected
+ * @param {Function} onSaved - Called with the stored target after a create or update
+ * @param {Function} onDeleted - Called with the id of a removed target
+ * @param {boolean} available - false when the server's registry can't be reached
+ */
+const TargetsEditor = ({ targets, activeTargetId, onSaved, onDeleted, available }) => {
+  const [editingId, setEditingId] = useState(null); // target id, 'new', or null
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const startEdit = (target) => {
+    setEditingId(target ? target.id : 'new');
+    setForm(target ? toForm(target) : EMPTY_FORM);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const body = {
+        name: form.name,
+        url: form.url,
+        intervalMs: Number.parseInt(form.intervalMs, 10),
+        useProxy: form.useProxy,
+        headers: parsePairs(form.headers, ':'),
+        tags: parsePairs(form.tags, '='),
+        auth: toAuth(form),
+        tls: {
+          caFile: form.tlsCaFile,
+          certFile: form.tlsCertFile,
+          keyFile: form.tlsKeyFile,
+          serverName: form.tlsServerName,
+          insecureSkipVerify: form.tlsInsecure,
+        },
+      };
+      const saved = editingId === 'new' ? await createTarget(body) : await updateTarget(editingId, body);
+      onSaved(saved);
+      setEditingId(null);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!window.confirm(`Remove target "${target.name}"?`)) return;
+    try {
+      await deleteTarget(target.id);
+      onDeleted(target.id);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  if (!available) {
+    return (
+      <p className="text-sm text-slate-500 dark:text-slate-400">
+        The target registry is stored by the server. Run the app with its backend (<code className="font-mono">npm run dev</code> or <code className="font-mono">npm start</code>) to save named targets.
+      </p>
+    );
+  }
+
+  // An edited target's secret is kept unless a new one is typed
+  const editingTarget = targets.find(target => target.id === editingId);
+  const secretPlaceholder = (type) => (editingTarget?.auth.type === type ? 'Unchanged' : '');
+
+  const renderForm = () => (
+    <div className="space-y-3 p-3 rounded-lg border border-blue-200 dark:border-blue-800 bg-blue-50/50 dark:bg-blue-900/10">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+          Name
+          <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="prod-influx" className={`${inputClass} mt-1`} />
+        </label>
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+          Metrics URL
+          <input type="text" value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="http://localhost:8086/metrics" className={`${inputClass} mt-1 font-mono`} />
+        </label>
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+          Poll Interval (ms)
+          <input type="number" min="100" max="60000" step="100" value={form.intervalMs}
+            onChange={(e) => setForm({ ...form, intervalMs: e.target.value })} className={`${inputClass} mt-1`} />
+        </label>
+        <label className="flex items-center gap-2 text-xs font-medium text-slate-600 dark:text-slate-300 sm:mt-5">
+          <input type="checkbox" checked={form.useProxy} onChange={(e) => setForm({ ...form, useProxy: e.target.checked })} />
+          Use CORS Proxy
+        </label>
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+          Headers <span className="font-normal text-slate-400">(one <code className="font-mono">Name: value</code> per line)</span>
+          <textarea value={form.headers} onChange={(e) => setForm({ ...form, headers: e.target.value })} rows={3}
+            placeholder="X-Org-Id: 42" className={`${inputClass} mt-1 font-mono text-xs`} />
+        </label>
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+          Tags <span className="font-normal text-slate-400">(one <code className="font-mono">key=value</code> per line)</span>
+          <textarea value={form.tags} onChange={(e) => setForm({ ...form, tags: e.target.value })} rows={3}
+            placeholder="env=prod" className={`${inputClass} mt-1 font-mono text-xs`} />
+        </label>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+          Authentication
+          <select value={form.authType} onChange={(e) => setForm({ ...form, authType: e.target.value })} className={`${inputClass} mt-1`}>
+            {Object.entries(AUTH_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </label>
+        {(form.authType === 'bearer' || form.authType === 'token') && (
+          <label className="block text-xs font-medium text-slate-600 dark:text-slate-300 sm:col-span-2">
+            Token
+            <input type="password" autoComplete="off" value={form.authToken} onChange={(e) => setForm({ ...form, authToken: e.target.value })}
+              placeholder={secretPlaceholder(form.authType)} className={`${inputClass} mt-1 font-mono`} />
+          </label>
+        )}
+        {form.authType === 'basic' && (
+          <>
+            <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+              Username
+              <input type="text" autoComplete="off" value={form.authUsername} onChange={(e) => setForm({ ...form, authUsername: e.target.value })}
+                className={`${inputClass} mt-1`} />
+            </label>
+            <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+              Password
+              <input type="password" autoComplete="new-password" value={form.authPassword} onChange={(e) => setForm({ ...form, authPassword: e.target.value })}
+                placeholder={secretPlaceholder('basic')} className={`${inputClass} mt-1`} />
+            </label>
+          </>
+        )}
+      </div>
+      {form.authType !== 'none' && (
+        <p className="text-xs text-slate-400">
+          Credentials are stored on the server and added by the proxy; the browser never receives them, so this target must use the CORS proxy.
+        </p>
+      )}
+      {form.url.trim().startsWith('https://') && (
+        <details className="text-xs" open={Boolean(form.tlsCaFile || form.tlsCertFile || form.tlsServerName || form.tlsInsecure)}>
+          <summary className="cursor-pointer font-medium text-slate-600 dark:text-slate-300">TLS</summary>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-2">
+            <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+              CA bundle <span className="font-normal text-slate-400">(file in the server's TLS_FILES_DIR)</span>
+              <input type="text" value={form.tlsCaFile} onChange={(e) => setForm({ ...form, tlsCaFile: e.target.value })}
+                placeholder="internal-ca.pem" className={`${inputClass} mt-1 font-mono`} />
+            </label>
+            <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+              Server name (SNI)
+              <input type="text" value={form.tlsServerName} onChange={(e) => setForm({ ...form, tlsServerName: e.target.value })}
+                placeholder="Defaults to the URL's host" className={`${inputClass} mt-1 font-mono`} />
+            </label>
+            <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+              Client certificate <span className="font-normal text-slate-400">(mTLS)</span>
+              <input type="text" value={form.tlsCertFile} onChange={(e) => setForm({ ...form, tlsCertFile: e.target.value })}
+                placeholder="client.crt" className={`${inputClass} mt-1 font-mono`} />
+            </label>
+            <label className="block text-xs font-medium text-slate-600 dark:text-slate-300">
+              Client key
+              <input type="text" value={form.tlsKeyFile} onChange={(e) => setForm({ ...form, tlsKeyFile: e.target.value })}
+                placeholder="client.key" className={`${inputClass} mt-1 font-mono`} />
+            </label>
+          </div>
+          <label className="flex items-center gap-2 mt-3 text-xs font-medium text-slate-600 dark:text-slate-300">
+            <input type="checkbox" checked={form.tlsInsecure} onChange={(e) => setForm({ ...form, tlsInsecure: e.target.checked })} />
+            Skip certificate verification
+          </label>
+          {form.tlsInsecure && (
+            <p className="mt-1 flex items-center gap-1 text-xs font-medium text-red-600 dark:text-red-400">
+              <ShieldOff size={12} />
+              Anyone between the server and this target can read or alter its metrics and credentials. Prefer setting the CA bundle.
+            </p>
+          )}
+          {!form.useProxy && (
+            <p className="mt-1 text-xs text-amber-600 dark:text-amber-400">TLS settings only apply to requests made through the proxy.</p>
+          )}
+        </details>
+      )}
+      {!form.useProxy && form.headers.trim() && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          Without the proxy the browser sends these headers itself, so the target must allow them in its CORS policy.
+        </p>
+      )}
+      <div className="flex items-center gap-2">
+        <button onClick={handleSave} disabled={saving}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50">
+          <Check size={14} /> Save
+        </button>
+        <button onClick={() => setEditingId(null)}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700">
+          <X size={14} /> Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-slate-400">
+        Targets are saved on the server and shared by everyone using it. Pick one in the header to watch it;
+        each target keeps its own history and Explorer dashboard. Credentials, including the values of
+        token, key and cookie headers, are shown as <code className="font-mono">[redacted]</code> once saved.
+      </p>
+
+      {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+      <div className="space-y-2">
+        {targets.map(target => (editingId === target.id ? (
+          <div key={target.id}>{renderForm()}</div>
+        ) : (
+          <div key={target.id} className="flex items-center gap-3 p-2 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium text-slate-800 dark:text-slate-200">{target.name}</span>
+                {target.tls.insecureSkipVerify && (
+                  <span title="TLS certificate verification is disabled" className="flex items-center gap-0.5 px-1.5 py-0.5 rounded text-[10px] font-medium bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300">
+                    <ShieldOff size={10} /> TLS unverified
+                  </span>
+                )}
+                {target.id === activeTargetId && (
+                  <span className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300">active</span>
+                )}
+                {Object.entries(target.tags).map(([key, value]) => (
+                  <span key={key} className="px-1.5 py-0.5 rounded text-[10px] font-mono bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300">{key}={value}</span>
+                ))}
+              </div>
+              <div className="text-xs text-slate-400 font-mono truncate">
+                {target.url} · {target.intervalMs}ms · {target.useProxy ? 'proxy' : 'direct'}
+                {Object.keys(target.headers).length > 0 && ` · ${Object.keys(target.headers).length} headers`}
+                {target.auth.type !== 'none' && ` · ${AUTH_LABELS[target.auth.type]}`}
+              </div>
+            </div>
+            <button onClick={() => startEdit(target)} title="Edit target" className="p-1.5 text-slate-400 hover:text-blue-600 rounded">
+              <Pencil size={14} />
+            </button>
+            <button onClick={() => handleDelete(target)} title="Remove target" className="p-1.5 text-slate-400 hover:text-red-600 rounded">
+              <Trash2 size={14} />
+            </button>
+          </div>
+        )))}
+        {targets.length === 0 && editingId !== 'new' && (
+          <p className="text-sm text-slate-400">No targets yet.</p>
+        )}
+      </div>
+
+      {editingId === 'new' ? renderForm() : (
+        <button onClick={() => startEdit(null)}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20">
+          <Plus size={14} /> Add Target
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TargetsEditor;
@@ -0,0 +1,101 @@
+/**
+ * Cardinality analysis over the parsed metrics map.
+ * Pure functions shared with the metrics worker, which also keeps the per-poll history.
+ */
+import { getSeriesKey } from './metricsParser.js';
+
+// Label values listed per label when drilling down
+const MAX_LABEL_VALUES = 100;
+// Metric/label pairs listed as top cardinality drivers
+const MAX_DRIVERS = 50;
+
+/**
+ * Count the distinct series of each metric name
+ * @param {Map} metrics - Metrics data map (name -> samples)
+ * @returns {Map} - name -> series count
+ */
+const countSeriesByMetric = (metrics) => {
+  const counts = new Map();
+  for (const [name, samples] of metrics) {
+    counts.set(name, new Set(samples.map(s => getSeriesKey(name, s.labels))).size);
+  }
+  return counts;
+};
+
+/**
+ * Analyze the labels of one metric
+ * @param {Array} samples - Samples of a single metric name
+ * @returns {Array} - [{ name, values, reduction, valueCounts: Map value -> series }] where
+ *   reduction is how many series would disappear if the label were dropped
+ */
+const analyzeLabels = (samples) => {
+  const labelNames = new Set();
+  samples.forEach(s => Object.keys(s.labels).forEach(k => labelNames.add(k)));
+  const seriesCount = new Set(samples.map(s => getSeriesKey('', s.labels))).size;
+
+  return Array.from(labelNames).map(label => {
+    const valueCounts = new Map();
+    const withoutLabel = new Set();
+    samples.forEach(s => {
+      const { [label]: value, ...rest } = s.labels;
+      if (value !== undefined) valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+      withoutLabel.add(getSeriesKey('', rest));
+    });
+    return { name: label, values: valueCounts.size, reduction: seriesCount - withoutLabel.size, valueCounts };
+  });
+};
+
+/**
+ * Summarize cardinality across all metrics
+ * @param {Map} metrics - Metrics data map (name -> samples)
+ * @returns {{ totalSeries: number, metrics: Array, labels: Array, drivers: Array }}
+ *   metrics: [{ name, series, labels, topLabel }] per metric name
+ *   labels: [{ name, metrics, values }] per label name across metrics (values summed per metric)
+ *   drivers: [{ metric, label, values, reduction }] - metric/label pairs whose removal saves the most series
+ */
+export const summarizeCardinality = (metrics) => {
+  const seriesByMetric = countSeriesByMetric(metrics);
+  const labelTotals = new Map();
+  const drivers = [];
+  const metricRows = [];
+  let totalSeries = 0;
+
+  for (const [name, samples] of metrics) {
+    const series = seriesByMetric.get(name);
+    totalSeries += series;
+    const labels = analyzeLabels(samples);
+
+    labels.forEach(label => {
+      if (!labelTotals.has(label.name)) labelTotals.set(label.name, { name: label.name, metrics: 0, values: 0 });
+      const total = labelTotals.get(label.name);
+      total.metrics++;
+      total.values += label.values;
+      if (label.reduction > 0) drivers.push({ metric: name, label: label.name, values: label.values, reduction: label.reduction });
+    });
+
+    const top = labels.reduce((best, label) => (!best || label.values > best.values ? label : best), null);
+    metricRows.push({ name, series, labels: labels.length, topLabel: top ? { name: top.name, values: top.values } : null });
+  }
+
+  return {
+    totalSeries,
+    metrics: metricRows,
+    labels: Array.from(labelTotals.values()).sort((a, b) => b.values - a.values),
+    drivers: drivers.sort((a, b) => b.reduction - a.reduction).slice(0, MAX_DRIVERS),
+  };
+};
+
+/**
+ * Drill down into one metric: every label with its most common values
+ * @param {Array} samples - Samples of the metric
+ * @returns {Array} - [{ name, values, reduction, topValues: [{ value, series }] }], highest cardinality first
+ */
+export const describeMetricCardinality = (samples = []) =>
+  analyzeLabels(samples)
+    .map(({ valueCounts, ...label }) => ({
+      ...label,
+      topValues: Array.from(valueCounts, ([value, series]) => ({ value, series }))
+        .sort((a, b) => b.series - a.series || a.value.localeCompare(b.value))
+        .slice(0, MAX_LABEL_VALUES),
+    }))
+    .sort((a, b) => b.values - a.values);
@@ -0,0 +1,59 @@
+/**
+ * Metric catalog grouping rules.
+ * Each rule maps metric names matching a regex to a group name; rules are tried in
+ * order and the first match wins. Names no rule matches land in UNGROUPED.
+ */
+
+export const UNGROUPED = 'ungrouped';
+
+/**
+ * Default rules: the common two-part prefixes, then the first name token.
+ * `$1`, `$2`... in a group name are replaced by the regex's capture groups.
+ */
+export const DEFAULT_GROUPING_RULES = [
+  { id: 'default-two-part', pattern: '^(go|http|storage|task|service|qc|influxdb)_([^_]+)', group: '$1_$2' },
+  { id: 'default-first-token', pattern: '^([^_]+)', group: '$1' },
+];
+
+/**
+ * Check a rule before it is saved
+ * @param {{ pattern: string, group: string }} rule - Grouping rule
+ * @returns {string | null} - Error message, or null when the rule is usable
+ */
+export const validateGroupingRule = (rule) => {
+  if (!rule.pattern) return 'Pattern is required';
+  try {
+    new RegExp(rule.pattern);
+  } catch (err) {
+    return err.message;
+  }
+  if (!rule.group?.trim()) return 'Group name is required';
+  return null;
+};
+
+/**
+ * Compile rules for repeated matching; invalid rules are skipped
+ * @param {Array} rules - [{ id, pattern, group }] in priority order
+ * @returns {Array} - [{ id, regex, group }]
+ */
+export const compileGroupingRules = (rules = DEFAULT_GROUPING_RULES) =>
+  rules
+    .filter(rule => validateGroupingRule(rule) === null)
+    .map(rule => ({ id: rule.id, regex: new RegExp(rule.pattern), group: rule.group.trim() }));
+
+/**
+ * Find the group of a metric name using compiled rules
+ * @param {string} name - Catalog metric name
+ * @param {Array} compiledRules - From compileGroupingRules
+ * @returns {{ group: string, ruleId: string | null }} - ruleId is null for UNGROUPED
+ */
+export const matchGroupingRule = (name, compiledRules) => {
+  for (const rule of compiledRules) {
+    const match = name.match(rule.regex);
+    if (match) {
+      const group = rule.group.replace(/\$(\d+)/g, (_, index) => match[index] ?? '');
+      return { group: group || UNGROUPED, ruleId: rule.id };
+    }
+  }
+  return { group: UNGROUPED, ruleId: null };
+};
@@ -0,0 +1,31 @@
+/**
+ * Parse diagnostics shared by the exposition parsers.
+ * Rejected lines count as errors; anything read with a caveat counts as a warning.
+ */
+
+// Diagnostics beyond this many are counted but not listed
+const MAX_DIAGNOSTIC_ITEMS = 200;
+const MAX_DIAGNOSTIC_TEXT = 200;
+
+/**
+ * Create an empty diagnostics report
+ * @returns {{ errors: number, warnings: number, items: Array }} - items are
+ *   { line, severity: 'error' | 'warning', message, text }; errors are rejected lines
+ */
+export const createDiagnostics = () => ({ errors: 0, warnings: 0, items: [] });
+
+/**
+ * Record a diagnostic, keeping the listed items and their text bounded
+ * @param {Object} diagnostics - Report from createDiagnostics
+ * @param {'error' | 'warning'} severity - Errors are rejected lines
+ * @param {number} line - 1-based line number
+ * @param {string} message - Human-readable reason
+ * @param {string} [text] - Offending line
+ */
+export const addDiagnostic = (diagnostics, severity, line, message, text = '') => {
+  if (severity === 'error') diagnostics.errors++;
+  else diagnostics.warnings++;
+  if (diagnostics.items.length < MAX_DIAGNOSTIC_ITEMS) {
+    diagnostics.items.push({ line, severity, message, text: text.slice(0, MAX_DIAGNOSTIC_TEXT) });
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * InfluxDB 1.x `/debug/vars` (expvar JSON) adapter.
+ * Flattens the expvar document into the same metrics model as the Prometheus parser:
+ * `{ name, tags, values }` stats such as `shard`, `tsm1_wal`, `write` and `httpd`
+ * become `name_value` series labelled with their tags.
+ */
+import { createDiagnostics, addDiagnostic } from './diagnostics.js';
+
+// Go runtime memstats mapped onto the names the Prometheus Go client exposes,
+// so the Dashboard's memory panels work against 1.x servers too
+const MEMSTATS_NAMES = {
+  Alloc: 'go_memstats_alloc_bytes',
+  BuckHashSys: 'go_memstats_buck_hash_sys_bytes',
+  GCCPUFraction: 'go_memstats_gc_cpu_fraction',
+  GCSys: 'go_memstats_gc_sys_bytes',
+  HeapAlloc: 'go_memstats_heap_alloc_bytes',
+  HeapIdle: 'go_memstats_heap_idle_bytes',
+  HeapInuse: 'go_memstats_heap_inuse_bytes',
+  HeapObjects: 'go_memstats_heap_objects',
+  HeapSys: 'go_memstats_heap_sys_bytes',
+  MCacheInuse: 'go_memstats_mcache_inuse_bytes',
+  MSpanInuse: 'go_memstats_mspan_inuse_bytes',
+  NextGC: 'go_memstats_next_gc_bytes',
+  OtherSys: 'go_memstats_other_sys_bytes',
+  StackInuse: 'go_memstats_stack_inuse_bytes',
+  Sys: 'go_memstats_sys_bytes',
+};
+
+const toMetricName = (str) => str.replace(/[^a-zA-Z0-9_:]/g, '_').replace(/^(\d)/, '_$1');
+const toLabelName = (str) => str.replace(/[^a-zA-Z0-9_]/g, '_').replace(/^(\d)/, '_$1');
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return null;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// InfluxDB stats carry their dimensions in `tags` and their numbers in `values`
+const isTaggedStat = (value) => isPlainObject(value) && isPlainObject(value.values);
+
+/**
+ * Check whether text looks like an expvar JSON document
+ * @param {string} text - Raw input text
+ * @returns {boolean}
+ */
+export const isExpvarJson = (text) => text.trimStart().startsWith('{');
+
+/**
+ * Parse an expvar JSON document into the parser model shared with parsePrometheusMetricsWithMetadata.
+ * Tagged stats (`{ name, tags, values }`) become gauges named `name_value` labelled with the tags;
+ * `memstats` uses the Prometheus Go client names; any other nested numbers are flattened with `_`.
+ * Strings and arrays (e.g. `cmdline`, `memstats.PauseNs`) are skipped.
+ * @param {string} text - Raw JSON from `/debug/vars`
+ * @returns {{ metrics: Map, metadata: Map, diagnostics: Object, typeDeclarations: Map }}
+ */
+export const parseExpvar = (text) => {
+  const metrics = new Map();
+  const metadata = new Map();
+  const diagnostics = createDiagnostics();
+  const result = { metrics, metadata, diagnostics, typeDeclarations: new Map() };
+
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    addDiagnostic(diagnostics, 'error', 1, `Invalid JSON: ${err.message}`, text.trim().split('\n')[0]);
+    return result;
+  }
+  if (!isPlainObject(doc)) {
+    addDiagnostic(diagnostics, 'error', 1, 'Expected a JSON object of expvar stats', text.trim().split('\n')[0]);
+    return result;
+  }
+
+  const addSample = (name, labels, value, help) => {
+    if (!metrics.has(name)) {
+      metrics.set(name, []);
+      metadata.set(name, { help, type: 'gauge', unit: '' });
+    }
+    metrics.get(name).push({ labels, value });
+  };
+
+  const flatten = (prefix, value) => {
+    const number = toNumber(value);
+    if (number !== null) {
+      addSample(toMetricName(prefix), {}, number, `expvar ${prefix}`);
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => flatten(`${prefix}_${key}`, child));
+    }
+  };
+
+  for (const [key, value] of Object.entries(doc)) {
+    if (key === 'memstats' && isPlainObject(value)) {
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        const number = toNumber(fieldValue);
+        if (number === null) return;
+        addSample(MEMSTATS_NAMES[field] || toMetricName(`memstats_${field}`), {}, number, `Go runtime memstats ${field}`);
+      });
+    } else if (isTaggedStat(value)) {
+      // Keys look like `shard:/var/lib/influxdb/data/db/rp/1:1`; `name` is the stat itself
+      const stat = value.name || key.split(':')[0];
+      const labels = {};
+      Object.entries(value.tags || {}).forEach(([tag, tagValue]) => {
+        labels[toLabelName(tag)] = String(tagValue);
+      });
+      Object.entries(value.values).forEach(([field, fieldValue]) => {
+        const number = toNumber(fieldValue);
+        if (number === null) return;
+        addSample(toMetricName(`${stat}_${field}`), labels, number, `Field "${field}" of stat "${stat}"`);
+      });
+    } else {
+      flatten(key, value);
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,185 @@
+/**
+ * Export of collected history for loading into InfluxDB, a spreadsheet or a script.
+ * Works on the App's metrics history shape: [{ timestamp, metrics: Map name -> [{ labels, value }] }],
+ * oldest first, with timestamps in milliseconds.
+ */
+
+export const EXPORT_FORMATS = [
+  { value: 'csv-long', label: 'CSV (long)', extension: 'csv', type: 'text/csv' },
+  { value: 'csv-wide', label: 'CSV (wide)', extension: 'csv', type: 'text/csv' },
+  { value: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+  { value: 'line-protocol', label: 'Line protocol', extension: 'lp', type: 'text/plain' },
+];
+
+// Exposition spelling of values JSON and InfluxDB can't hold as numbers
+const formatNumber = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const seriesKey = (name, labels) => {
+  const pairs = Object.keys(labels).sort().map(key => `${key}="${labels[key]}"`);
+  return pairs.length > 0 ? `${name}{${pairs.join(',')}}` : name;
+};
+
+/**
+ * Regroup history by series
+ * @param {Array} history - [{ timestamp, metrics }], oldest first
+ * @param {Object} [options]
+ * @param {string} [options.match] - Keep only series whose key, e.g. `go_threads{job="influx"}`,
+ *   contains this text (case-insensitive)
+ * @returns {Array} - [{ key, name, labels, points: [[timestamp, value]] }] sorted by key
+ */
+export const collectSeries = (history, { match = '' } = {}) => {
+  const needle = match.trim().toLowerCase();
+  const byKey = new Map();
+  history.forEach(({ timestamp, metrics }) => {
+    metrics.forEach((samples, name) => {
+      samples.forEach(({ labels, value }) => {
+        const key = seriesKey(name, labels);
+        if (needle && !key.toLowerCase().includes(needle)) return;
+        if (!byKey.has(key)) byKey.set(key, { key, name, labels, points: [] });
+        byKey.get(key).points.push([timestamp, value]);
+      });
+    });
+  });
+  return Array.from(byKey.values()).sort((a, b) => a.key.localeCompare(b.key));
+};
+
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (fields) => fields.map(csvField).join(',');
+
+const isoTime = (timestamp) => new Date(timestamp).toISOString();
+
+/**
+ * One row per sample with a column for each label name
+ */
+const toCsvLong = (series) => {
+  const labelNames = Array.from(new Set(series.flatMap(s => Object.keys(s.labels)))).sort();
+  const rows = series.flatMap(({ name, labels, points }) => points.map(([timestamp, value]) => [
+    timestamp, csvLine([isoTime(timestamp), name, ...labelNames.map(label => labels[label] ?? ''), formatNumber(value)]),
+  ]));
+  // Oldest first across series; the sort is stable so series order holds within a timestamp
+  rows.sort((a, b) => a[0] - b[0]);
+  return [csvLine(['timestamp', 'metric', ...labelNames, 'value']), ...rows.map(([, line]) => line)].join('\n') + '\n';
+};
+
+/**
+ * One row per timestamp with a column for each series; empty where a series has no sample
+ */
+const toCsvWide = (series) => {
+  const timestamps = Array.from(new Set(series.flatMap(s => s.points.map(([timestamp]) => timestamp))))
+    .sort((a, b) => a - b);
+  const columns = series.map(({ points }) => new Map(points));
+  const rows = timestamps.map(timestamp => csvLine([
+    isoTime(timestamp),
+    ...columns.map(values => (values.has(timestamp) ? formatNumber(values.get(timestamp)) : '')),
+  ]));
+  return [csvLine(['timestamp', ...series.map(s => s.key)]), ...rows].join('\n') + '\n';
+};
+
+/**
+ * Same series shape as the server's /api/query_range, with NaN and infinities as strings
+ */
+const toJson = (series, target) => JSON.stringify({
+  target: target ?? null,
+  exportedAt: Date.now(),
+  series: series.map(({ name, labels, points }) => ({
+    name,
+    labels,
+    points: points.map(([timestamp, value]) => [timestamp, Number.isFinite(value) ? value : formatNumber(value)]),
+  })),
+}) + '\n';
+
+// Line protocol escaping; newlines end a line, so they're written as the two characters \n
+const escapeMeasurement = (text) => text.replace(/\n/g, '\\n').replace(/[, ]/g, '\\$&');
+const escapeTag = (text) => text.replace(/\n/g, '\\n').replace(/[,= ]/g, '\\$&');
+
+/**
+ * One line per sample: `<metric>,<labels as tags> value=<float> <nanoseconds>`.
+ * InfluxDB rejects NaN and infinite fields and empty tag values, so those are left out.
+ * @returns {{ text: string, skipped: number }}
+ */
+const toLineProtocol = (series) => {
+  const lines = [];
+  let skipped = 0;
+  series.forEach(({ name, labels, points }) => {
+    const tags = Object.keys(labels).sort()
+      .filter(key => labels[key] !== '')
+      .map(key => `,${escapeTag(key)}=${escapeTag(labels[key])}`)
+      .join('');
+    const prefix = `${escapeMeasurement(name)}${tags} value=`;
+    points.forEach(([timestamp, value]) => {
+      if (!Number.isFinite(value)) {
+        skipped++;
+        return;
+      }
+      // Milliseconds to nanoseconds without going past Number.MAX_SAFE_INTEGER
+      lines.push(`${prefix}${value} ${Math.round(timestamp)}000000`);
+    });
+  });
+  return { text: lines.length > 0 ? `${lines.join('\n')}\n` : '', skipped };
+};
+
+/**
+ * Write history in one of the EXPORT_FORMATS
+ * @param {Array} history - [{ timestamp, metrics }], oldest first
+ * @param {string} format - EXPORT_FORMATS value
+ * @param {Object} [options]
+ * @param {string} [options.match] - Series filter, see collectSeries
+ * @param {string} [options.target] - Target the history came from, recorded in JSON exports
+ * @returns {{ text: string, series: number, points: number, skipped: number }} - skipped counts
+ *   samples the format can't hold
+ */
+export const exportHistory = (history, format, { match, target } = {}) => {
+  const series = collectSeries(history, { match });
+  const points = series.reduce((total, s) => total + s.points.length, 0);
+  switch (format) {
+    case 'csv-long':
+      return { text: toCsvLong(series), series: series.length, points, skipped: 0 };
+    case 'csv-wide':
+      return { text: toCsvWide(series), series: series.length, points, skipped: 0 };
+    case 'json':
+      return { text: toJson(series, target), series: series.length, points, skipped: 0 };
+    case 'line-protocol':
+      return { ...toLineProtocol(series), series: series.length, points };
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+};
+
+/**
+ * Save text through the browser's download prompt
+ * @param {string} text
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+export const downloadText = (text, fileName, type) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+/**
+ * Export history and download it as `<prefix>-<time>.<extension>`
+ * @param {Array} history - [{ timestamp, metrics }], oldest first
+ * @param {string} format - EXPORT_FORMATS value
+ * @param {string} prefix - File name prefix, e.g. the metric name
+ * @param {Object} [options] - See exportHistory
+ * @returns {Object} - The exportHistory result
+ */
+export const downloadHistory = (history, format, prefix, options) => {
+  const { extension, type } = EXPORT_FORMATS.find(option => option.value === format);
+  const result = exportHistory(history, format, options);
+  const time = new Date(history[history.length - 1]?.timestamp ?? Date.now()).toISOString().replace(/[:.]/g, '-');
+  downloadText(result.text, `${prefix.replace(/[^\w.-]+/g, '_')}-${time}.${extension}`, type);
+  return result;
+};
@@ -0,0 +1,226 @@
+/**
+ * InfluxDB line protocol parser.
+ * Maps `measurement,tag=v field=1i 1700000000000000000` points onto the same
+ * metrics model as the Prometheus parser: tags become labels and every numeric
+ * field becomes a `measurement_field` series.
+ */
+import { createDiagnostics, addDiagnostic } from './diagnostics.js';
+
+const FLOAT_REGEX = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const INTEGER_REGEX = /^[+-]?\d+i$/;
+const UINTEGER_REGEX = /^\d+u$/;
+const TRUE_REGEX = /^(?:t|T|true|True|TRUE)$/;
+const FALSE_REGEX = /^(?:f|F|false|False|FALSE)$/;
+const TIMESTAMP_REGEX = /^-?\d+$/;
+const NS_PER_MS = 1000000n;
+
+/**
+ * Split on a separator that is not backslash-escaped (and, optionally, not inside double quotes)
+ * @param {string} str - Text to split
+ * @param {string} separator - Single separator character
+ * @param {boolean} quotes - Whether double-quoted strings may contain the separator
+ * @param {number} limit - Maximum number of parts; the last part keeps the remainder
+ * @returns {string[]} - Parts, still escaped
+ */
+const splitUnescaped = (str, separator, quotes = false, limit = Infinity) => {
+  const parts = [];
+  let start = 0;
+  let inQuotes = false;
+  for (let i = 0; i < str.length && parts.length < limit - 1; i++) {
+    const ch = str[i];
+    if (ch === '\\') {
+      i++;
+    } else if (quotes && ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (ch === separator && !inQuotes) {
+      parts.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(str.slice(start));
+  return parts;
+};
+
+const unescape = (str) => str.replace(/\\([,= "\\])/g, '$1');
+
+// Line protocol allows any characters in names; Prometheus names and labels do not
+const toMetricName = (str) => str.replace(/[^a-zA-Z0-9_:]/g, '_').replace(/^(\d)/, '_$1');
+const toLabelName = (str) => str.replace(/[^a-zA-Z0-9_]/g, '_').replace(/^(\d)/, '_$1');
+
+/**
+ * Read a field value
+ * @returns {{ value: number } | { string: true } | null} - null when the value is malformed
+ */
+const parseFieldValue = (raw) => {
+  if (raw.startsWith('"')) return raw.length > 1 && raw.endsWith('"') ? { string: true } : null;
+  if (INTEGER_REGEX.test(raw) || UINTEGER_REGEX.test(raw)) return { value: Number(raw.slice(0, -1)) };
+  if (FLOAT_REGEX.test(raw)) return { value: Number(raw) };
+  if (TRUE_REGEX.test(raw)) return { value: 1 };
+  if (FALSE_REGEX.test(raw)) return { value: 0 };
+  return null;
+};
+
+/**
+ * Parse one point into its measurement, tags, fields and timestamp
+ * @returns {{ measurement, tags, fields, timestamp } | { error: string }}
+ */
+const parsePoint = (line) => {
+  const [key, rest] = splitUnescaped(line, ' ', false, 2);
+  if (rest === undefined || !rest.trim()) return { error: 'Missing field set' };
+
+  const [measurement, ...tagPairs] = splitUnescaped(key, ',');
+  if (!measurement) return { error: 'Missing measurement name' };
+
+  const tags = {};
+  for (const pair of tagPairs) {
+    const [tagKey, tagValue] = splitUnescaped(pair, '=', false, 2);
+    if (!tagKey || !tagValue) return { error: `Malformed tag "${pair}"` };
+    tags[toLabelName(unescape(tagKey))] = unescape(tagValue);
+  }
+
+  const [fieldSet, timestampStr, ...extra] = splitUnescaped(rest.trim(), ' ', true).filter(Boolean);
+  if (extra.length > 0) return { error: 'Unexpected content after timestamp' };
+
+  const fields = [];
+  for (const pair of splitUnescaped(fieldSet, ',', true)) {
+    const [fieldKey, rawValue] = splitUnescaped(pair, '=', true, 2);
+    if (!fieldKey || rawValue === undefined) return { error: `Malformed field "${pair}"` };
+    const parsed = parseFieldValue(rawValue);
+    if (!parsed) return { error: `Invalid value for field "${unescape(fieldKey)}"` };
+    fields.push({ key: unescape(fieldKey), ...parsed });
+  }
+
+  let timestamp;
+  if (timestampStr !== undefined) {
+    if (!TIMESTAMP_REGEX.test(timestampStr)) return { error: `Invalid timestamp "${timestampStr}"` };
+    // Nanosecond timestamps exceed Number precision, so convert to ms as a BigInt
+    timestamp = Number(BigInt(timestampStr) / NS_PER_MS);
+  }
+
+  return { measurement: unescape(measurement), tags, fields, timestamp };
+};
+
+/**
+ * Check whether text looks like line protocol rather than Prometheus exposition:
+ * the first data line has a `key=value` field set after the measurement and tags.
+ * @param {string} text - Raw input text
+ * @returns {boolean}
+ */
+export const isLineProtocol = (text) => {
+  for (const rawLine of text.split('\n', 50)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    return /^(?:[^\s{\\]|\\.)+\s+(?:[^\s=\\]|\\.)+=/.test(line);
+  }
+  return false;
+};
+
+/**
+ * Parse InfluxDB line protocol into the parser model shared with parsePrometheusMetricsWithMetadata.
+ * Each numeric or boolean field becomes a gauge named `measurement_field`, labelled with the tags;
+ * string fields are skipped. Timestamps are read as nanoseconds and stored in milliseconds.
+ * When a series has points at several times, the model holds the newest, as a scrape would;
+ * splitLineProtocolByTimestamp gives the whole timeline.
+ * @param {string} text - Line protocol, one point per line; `#` lines are comments
+ * @returns {{ metrics: Map, metadata: Map, diagnostics: Object, typeDeclarations: Map }}
+ */
+export const parseLineProtocol = (text) => {
+  const lines = text.split('\n');
+  const metrics = new Map();
+  const metadata = new Map();
+  const diagnostics = createDiagnostics();
+  const seriesIndex = new Map(); // name + tags -> sample already in metrics
+  const skippedStringFields = new Set();
+  let duplicatePoints = 0;
+  let firstDuplicateLine = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    const trimmed = lines[i].trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const point = parsePoint(trimmed);
+    if (point.error) {
+      addDiagnostic(diagnostics, 'error', lineNumber, point.error, trimmed);
+      continue;
+    }
+
+    const tagKey = JSON.stringify(Object.entries(point.tags).sort(([a], [b]) => a.localeCompare(b)));
+
+    point.fields.forEach(field => {
+      const name = toMetricName(`${point.measurement}_${field.key}`);
+      if (field.string) {
+        if (!skippedStringFields.has(name)) {
+          skippedStringFields.add(name);
+          addDiagnostic(diagnostics, 'warning', lineNumber, `String field "${field.key}" of ${point.measurement} ignored`, trimmed);
+        }
+        return;
+      }
+
+      const sample = { labels: { ...point.tags }, value: field.value };
+      if (point.timestamp !== undefined) sample.timestamp = point.timestamp;
+
+      if (!metadata.has(name)) {
+        metadata.set(name, { help: `Field "${field.key}" of measurement "${point.measurement}"`, type: 'gauge', unit: '' });
+        metrics.set(name, []);
+      }
+
+      const seriesKey = `${name}${tagKey}`;
+      const existing = seriesIndex.get(seriesKey);
+      if (!existing) {
+        seriesIndex.set(seriesKey, sample);
+        metrics.get(name).push(sample);
+        return;
+      }
+
+      // Writing a series twice at the same time overwrites it in InfluxDB too
+      if (sample.timestamp === existing.timestamp) {
+        duplicatePoints++;
+        if (firstDuplicateLine === null) firstDuplicateLine = lineNumber;
+      }
+      if ((sample.timestamp ?? Infinity) >= (existing.timestamp ?? -Infinity)) {
+        existing.value = sample.value;
+        if (sample.timestamp !== undefined) existing.timestamp = sample.timestamp;
+      }
+    });
+  }
+
+  if (duplicatePoints > 0) {
+    addDiagnostic(diagnostics, 'warning', firstDuplicateLine,
+      `${duplicatePoints} ${duplicatePoints === 1 ? 'point' : 'points'} replaced by a later point of the same series and time`);
+  }
+  diagnostics.items.sort((a, b) => a.line - b.line);
+
+  return { metrics, metadata, diagnostics, typeDeclarations: new Map() };
+};
+
+/**
+ * Split line protocol with points at several times into one scrape per timestamp, oldest first,
+ * so a multi-timestamp dump (Telegraf file output, `influx query`) can be fed through the same
+ * history path as a replayed recording. Points without a timestamp join the newest scrape;
+ * lines that don't parse are left out (parseLineProtocol reports them).
+ * @param {string} text - Line protocol
+ * @returns {Array} - [{ fetchedAt, contentType, text }] as from parseRecording; fewer than two
+ *   entries when the input has a single timestamp
+ */
+export const splitLineProtocolByTimestamp = (text) => {
+  const byTimestamp = new Map(); // ms -> lines
+  const untimed = [];
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const point = parsePoint(line);
+    if (point.error) return;
+    if (point.timestamp === undefined) {
+      untimed.push(line);
+      return;
+    }
+    if (!byTimestamp.has(point.timestamp)) byTimestamp.set(point.timestamp, []);
+    byTimestamp.get(point.timestamp).push(line);
+  });
+
+  const timestamps = Array.from(byTimestamp.keys()).sort((a, b) => a - b);
+  if (timestamps.length === 0) return [];
+  byTimestamp.get(timestamps[timestamps.length - 1]).push(...untimed);
+  return timestamps.map(timestamp => ({ fetchedAt: timestamp, contentType: null, text: byTimestamp.get(timestamp).join('\n') }));
+};
@@ -0,0 +1,238 @@
+/**
+ * Exposition lint - semantic checks on a parsed scrape that go beyond syntax.
+ * Runs in the metrics worker against the latest snapshot; findings are grouped by metric family.
+ */
+import { getSeriesKey, resolveFamily } from './metricsParser.js';
+
+// Family suffixes carrying the observation count checked against the +Inf bucket
+const COUNT_SUFFIX = {
+  histogram: '_count',
+  gaugehistogram: '_gcount',
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+/**
+ * Format a label set for display, e.g. `{method="GET"}` or `(no labels)`
+ */
+const formatLabelSet = (labels) => getSeriesKey('', labels) || '(no labels)';
+
+/**
+ * Parse an `le`/`quantile` label value, accepting the +Inf spellings
+ * @returns {number} - NaN when the value is not a number
+ */
+const parseBound = (value) => {
+  if (value === undefined) return NaN;
+  if (/^\+?Inf$/i.test(value)) return Infinity;
+  if (/^-Inf$/i.test(value)) return -Infinity;
+  return value.trim() === '' ? NaN : Number(value);
+};
+
+/**
+ * Group samples by their label set without one label (e.g. `le`)
+ * @returns {Map} - label set key -> { labels, samples }
+ */
+const groupWithout = (samples, labelName) => {
+  const groups = new Map();
+  samples.forEach(sample => {
+    const { [labelName]: _omitted, ...rest } = sample.labels;
+    const key = getSeriesKey('', rest);
+    if (!groups.has(key)) groups.set(key, { labels: rest, samples: [] });
+    groups.get(key).samples.push(sample);
+  });
+  return groups;
+};
+
+/**
+ * Index samples by label set for matching `_count` against buckets
+ */
+const indexByLabels = (samples = []) => {
+  const index = new Map();
+  samples.forEach(sample => index.set(getSeriesKey('', sample.labels), sample));
+  return index;
+};
+
+const lintTypeDeclarations = (typeDeclarations, report) => {
+  for (const [name, declarations] of typeDeclarations) {
+    if (declarations.length < 2) continue;
+    const lines = declarations.map(d => `${d.type} (line ${d.line})`).join(', ');
+    if (new Set(declarations.map(d => d.type)).size > 1) {
+      report(name, 'error', 'conflicting-type', `Conflicting TYPE declarations: ${lines}`);
+    } else {
+      report(name, 'warning', 'duplicate-type', `TYPE declared ${declarations.length} times: ${lines}`);
+    }
+  }
+};
+
+const lintDuplicateSeries = (metrics, metadata, report) => {
+  for (const [name, samples] of metrics) {
+    const counts = new Map();
+    samples.forEach(sample => {
+      const key = getSeriesKey(name, sample.labels);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const family = resolveFamily(name, metadata)?.family || name;
+    counts.forEach((count, key) => {
+      if (count > 1) report(family, 'error', 'duplicate-series', `Duplicate series ${key} (${count} samples)`);
+    });
+  }
+};
+
+const lintHistogram = (family, type, metrics, report) => {
+  const buckets = metrics.get(`${family}_bucket`);
+  if (!buckets) {
+    report(family, 'error', 'missing-buckets', `Declared as ${type} but has no ${family}_bucket samples`);
+    return;
+  }
+
+  const counts = indexByLabels(metrics.get(`${family}${COUNT_SUFFIX[type]}`));
+
+  for (const [key, { labels, samples }] of groupWithout(buckets, 'le')) {
+    const labelSet = formatLabelSet(labels);
+    const bounds = [];
+    samples.forEach(sample => {
+      const le = parseBound(sample.labels.le);
+      if (sample.labels.le === undefined) {
+        report(family, 'error', 'missing-le', `Bucket without an le label for ${labelSet}`);
+      } else if (Number.isNaN(le)) {
+        report(family, 'error', 'invalid-le', `Invalid bucket bound le="${sample.labels.le}" for ${labelSet}`);
+      } else {
+        bounds.push({ le, raw: sample.labels.le, value: sample.value });
+      }
+    });
+    bounds.sort((a, b) => a.le - b.le);
+
+    // Buckets are cumulative, so counts must never decrease as the bound grows
+    for (let i = 1; i < bounds.length; i++) {
+      const prev = bounds[i - 1];
+      const curr = bounds[i];
+      if (curr.value < prev.value) {
+        report(family, 'error', 'non-monotonic-buckets',
+          `Bucket counts decrease from le="${prev.raw}" (${prev.value}) to le="${curr.raw}" (${curr.value}) for ${labelSet}`);
+      }
+    }
+
+    const inf = bounds.find(b => b.le === Infinity);
+    if (!inf) {
+      report(family, 'error', 'missing-inf-bucket', `No le="+Inf" bucket for ${labelSet}`);
+      continue;
+    }
+
+    const count = counts.get(key);
+    if (!count) {
+      report(family, 'warning', 'missing-count', `No ${family}${COUNT_SUFFIX[type]} sample for ${labelSet}`);
+    } else if (count.value !== inf.value) {
+      report(family, 'error', 'count-mismatch',
+        `${family}${COUNT_SUFFIX[type]} (${count.value}) does not match the +Inf bucket (${inf.value}) for ${labelSet}`);
+    }
+  }
+};
+
+const lintSummary = (family, metrics, report) => {
+  const quantiles = metrics.get(family) || [];
+  const counts = indexByLabels(metrics.get(`${family}_count`));
+
+  for (const [key, { labels, samples }] of groupWithout(quantiles, 'quantile')) {
+    const labelSet = formatLabelSet(labels);
+    const points = [];
+    samples.forEach(sample => {
+      const q = parseBound(sample.labels.quantile);
+      if (sample.labels.quantile === undefined) {
+        report(family, 'error', 'missing-quantile', `Summary sample without a quantile label for ${labelSet}`);
+      } else if (!(q >= 0 && q <= 1)) {
+        report(family, 'error', 'invalid-quantile', `Quantile "${sample.labels.quantile}" is outside 0..1 for ${labelSet}`);
+      } else {
+        points.push({ q, raw: sample.labels.quantile, value: sample.value });
+      }
+    });
+    points.sort((a, b) => a.q - b.q);
+
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const curr = points[i];
+      if (curr.value < prev.value) {
+        report(family, 'warning', 'non-monotonic-quantiles',
+          `Quantile ${curr.raw} (${curr.value}) is below quantile ${prev.raw} (${prev.value}) for ${labelSet}`);
+      }
+    }
+
+    if (!counts.has(key)) {
+      report(family, 'warning', 'missing-count', `No ${family}_count sample for ${labelSet}`);
+    }
+  }
+
+  // Quantile-less summaries are valid, but still need a count per label set
+  if (quantiles.length === 0 && !metrics.has(`${family}_count`)) {
+    report(family, 'warning', 'missing-count', `Declared as summary but has no ${family}_count samples`);
+  }
+};
+
+const lintCounter = (family, metrics, report) => {
+  [family, `${family}_total`].forEach(name => {
+    (metrics.get(name) || []).forEach(sample => {
+      if (sample.value < 0) {
+        report(family, 'error', 'negative-counter', `Negative counter value ${sample.value} for ${getSeriesKey(name, sample.labels)}`);
+      }
+    });
+  });
+};
+
+/**
+ * Check a parsed scrape for semantic problems:
+ * conflicting TYPE lines, duplicate series, histogram buckets that are non-monotonic,
+ * lack a +Inf bucket or disagree with `_count`, malformed summary quantiles and negative counters.
+ * @param {{ metrics: Map, metadata: Map, typeDeclarations: Map }} parsed - Parser output or a metrics snapshot
+ * @returns {{ errors: number, warnings: number, metrics: Array }}
+ *   metrics: [{ metric, errors, warnings, findings: [{ severity, rule, message }] }], worst first
+ */
+export const lintMetrics = ({ metrics, metadata, typeDeclarations }) => {
+  const byMetric = new Map();
+  let errors = 0;
+  let warnings = 0;
+
+  const report = (metric, severity, rule, message) => {
+    if (!byMetric.has(metric)) byMetric.set(metric, { metric, errors: 0, warnings: 0, findings: [] });
+    const entry = byMetric.get(metric);
+    entry.findings.push({ severity, rule, message });
+    if (severity === 'error') {
+      entry.errors++;
+      errors++;
+    } else {
+      entry.warnings++;
+      warnings++;
+    }
+  };
+
+  lintTypeDeclarations(typeDeclarations, report);
+  lintDuplicateSeries(metrics, metadata, report);
+
+  // Families without samples are already reported by the parser
+  const sampledFamilies = new Set();
+  for (const name of metrics.keys()) sampledFamilies.add(resolveFamily(name, metadata)?.family || name);
+
+  const lintFamily = (family, type) => {
+    if (type === 'histogram' || type === 'gaugehistogram') lintHistogram(family, type, metrics, report);
+    else if (type === 'summary') lintSummary(family, metrics, report);
+    else if (type === 'counter') lintCounter(family, metrics, report);
+  };
+
+  for (const [family, meta] of metadata) {
+    const declaredTypes = new Set((typeDeclarations.get(family) || []).map(d => d.type));
+    if (declaredTypes.size < 2) {
+      if (sampledFamilies.has(family)) lintFamily(family, meta.type);
+      continue;
+    }
+    // With conflicting TYPE lines the metadata holds the last one only, so the samples are checked
+    // as every declared type they could belong to
+    declaredTypes.forEach(type => {
+      const asType = new Map([[family, { type }]]);
+      if ([...metrics.keys()].some(name => resolveFamily(name, asType)?.family === family)) lintFamily(family, type);
+    });
+  }
+
+  const grouped = [...byMetric.values()];
+  grouped.forEach(entry => entry.findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]));
+  grouped.sort((a, b) => b.errors - a.errors || b.warnings - a.warnings || a.metric.localeCompare(b.metric));
+
+  return { errors, warnings, metrics: grouped };
+};
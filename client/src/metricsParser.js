@@ -1,34 +1,195 @@
 /**
- * Enhanced Prometheus metrics parser that extracts HELP/TYPE metadata
+ * Enhanced Prometheus metrics parser that extracts HELP/TYPE metadata.
+ * Understands both the classic Prometheus text format and the OpenMetrics
+ * exposition format (UNIT, EOF, exemplars and the extra metric types).
  */
+// Imports carry explicit extensions because the server's scraper loads this module in Node
+import { createDiagnostics, addDiagnostic } from './diagnostics.js';
+import { isLineProtocol, parseLineProtocol } from './lineProtocolParser.js';
+import { isExpvarJson, parseExpvar } from './expvarParser.js';
+import { UNGROUPED, compileGroupingRules, matchGroupingRule } from './catalogGrouping.js';
+
+// Sample name suffixes that belong to a metric family, keyed by family type.
+// OpenMetrics declares TYPE/HELP/UNIT on the family name (e.g. `foo`) while
+// the samples carry a suffix (e.g. `foo_total`, `foo_created`).
+const FAMILY_SUFFIXES = {
+  counter: ['_total', '_created'],
+  histogram: ['_bucket', '_count', '_sum', '_created'],
+  gaugehistogram: ['_bucket', '_gcount', '_gsum'],
+  summary: ['_count', '_sum', '_created'],
+  info: ['_info'],
+};
+
+const KNOWN_TYPES = new Set(['counter', 'gauge', 'histogram', 'gaugehistogram', 'summary', 'info', 'stateset', 'unknown', 'untyped']);
+
+// Valid sample values: decimal/scientific numbers plus the Inf and NaN spellings
+const VALUE_REGEX = /^(?:[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|[+-]?Inf|NaN)$/;
+const TIMESTAMP_REGEX = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+// Comma-separated name="value" pairs, optionally with a trailing comma
+const LABEL_BODY_REGEX = /^\s*(?:[a-zA-Z_][a-zA-Z0-9_]*\s*=\s*"(?:[^"\\]|\\.)*"\s*(?:,\s*|$))*$/;
+
+const createMetadata = () => ({ help: '', type: 'untyped', unit: '' });
+
+/**
+ * Explain why a sample line did not match the data pattern
+ * @param {string} line - Trimmed sample line
+ * @returns {string} - Human-readable rejection reason
+ */
+const describeRejectedLine = (line) => {
+  const nameMatch = line.match(/^[a-zA-Z_:][a-zA-Z0-9_:]*/);
+  if (!nameMatch) return 'Invalid metric name';
+
+  let rest = line.slice(nameMatch[0].length);
+  if (rest.startsWith('{')) {
+    const labelsMatch = rest.match(/^\{((?:[^"}]|"(?:[^"\\]|\\.)*")*)\}/);
+    if (!labelsMatch) return 'Unterminated label set';
+    rest = rest.slice(labelsMatch[0].length);
+  }
+  if (rest && !/^\s/.test(rest)) return 'Invalid metric name';
+
+  const [valueStr, timestampStr] = rest.split('#')[0].trim().split(/\s+/);
+  if (!valueStr) return 'Missing sample value';
+  if (!VALUE_REGEX.test(valueStr)) return `Invalid sample value "${valueStr}"`;
+  if (timestampStr !== undefined && !TIMESTAMP_REGEX.test(timestampStr)) return `Invalid timestamp "${timestampStr}"`;
+  return 'Unexpected content after sample value';
+};
+
+/**
+ * Check whether a metric family declared in metadata has any samples
+ */
+const familyHasSamples = (name, type, metrics) => {
+  if (metrics.has(name)) return true;
+  // Untyped families may still be classic histograms or summaries
+  const suffixes = FAMILY_SUFFIXES[type] || ['_bucket', '_count', '_sum'];
+  return suffixes.some(suffix => metrics.has(`${name}${suffix}`));
+};
+
+/**
+ * Parse a label body (the text between the braces) into a plain object
+ * @param {string} labelStr - e.g. `method="GET",path="/api/v2/write"`
+ * @returns {Object} - label name to unescaped value
+ */
+const parseLabels = (labelStr) => {
+  const labels = {};
+  if (!labelStr) return labels;
+
+  const labelRegex = /([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"/g;
+  let labelMatch;
+  while ((labelMatch = labelRegex.exec(labelStr)) !== null) {
+    const k = labelMatch[1];
+    // Unescape escaped characters: \" -> ", \\ -> \, \n -> newline
+    const v = labelMatch[2]
+      .replaceAll(String.raw`\"`, '"')
+      .replaceAll(String.raw`\\`, '\\')
+      .replaceAll(String.raw`\n`, '\n');
+    labels[k] = v;
+  }
+  return labels;
+};
+
+/**
+ * Parse a sample value, including the +Inf/-Inf spellings.
+ * NaN is read as 0 so it doesn't poison sums; the parser reports it as a warning.
+ */
+const parseSampleValue = (valueStr) => {
+  let value = Number.parseFloat(valueStr);
+  if (Number.isNaN(value)) {
+    if (valueStr === "+Inf" || valueStr === "Inf") value = Infinity;
+    else if (valueStr === "-Inf") value = -Infinity;
+    else value = 0;
+  }
+  return value;
+};
 
 /**
- * Parse Prometheus metrics text and extract both data and metadata
- * @param {string} text - Raw Prometheus metrics text
- * @returns {{ metrics: Map, metadata: Map }} - metrics data and metadata catalog
+ * Parse an exemplar trailer, e.g. `{trace_id="KOO5S4vxi0o"} 0.67 1520879607.789`
+ * @param {string} exemplarStr - Text after the `#` on a sample line
+ * @returns {{ labels: Object, value: number, timestamp?: number } | null} - timestamp in seconds
  */
-export const parsePrometheusMetricsWithMetadata = (text) => {
+const parseExemplar = (exemplarStr) => {
+  const match = exemplarStr.match(/^\{((?:[^"}]|"(?:[^"\\]|\\.)*")*)\}\s+(\S+)(?:\s+(\S+))?$/);
+  if (!match) return null;
+
+  const [, labelStr, valueStr, timestampStr] = match;
+  const exemplar = { labels: parseLabels(labelStr), value: parseSampleValue(valueStr) };
+  if (timestampStr !== undefined) exemplar.timestamp = Number.parseFloat(timestampStr);
+  return exemplar;
+};
+
+/**
+ * Find the newest exposition timestamp among parsed samples
+ * @param {Map} metrics - Metrics data map from a parser
+ * @returns {number | null} - Unix time in milliseconds, or null when no sample carries one
+ */
+export const getLatestSampleTimestamp = (metrics) => {
+  let latest = null;
+  for (const series of metrics.values()) {
+    for (const sample of series) {
+      if (sample.timestamp !== undefined && (latest === null || sample.timestamp > latest)) {
+        latest = sample.timestamp;
+      }
+    }
+  }
+  return latest;
+};
+
+/**
+ * Parse Prometheus or OpenMetrics text and extract both data and metadata.
+ * Samples are `{ labels, value, timestamp?, exemplar? }`; timestamps are normalised to
+ * Unix milliseconds (Prometheus text uses milliseconds, OpenMetrics uses seconds).
+ * Rejected lines and suspicious metadata are reported in `diagnostics` (see createDiagnostics).
+ * Every TYPE line is kept in `typeDeclarations` (name -> [{ type, line }]) for linting.
+ * @param {string} text - Raw metrics exposition text
+ * @param {Object} [options]
+ * @param {boolean} [options.openMetrics] - Whether the text is OpenMetrics, e.g. from its Content-Type.
+ *   When not given, a `# EOF` line or an exemplar marks it as OpenMetrics
+ * @returns {{ metrics: Map, metadata: Map, diagnostics: Object, typeDeclarations: Map }}
+ */
+export const parsePrometheusMetricsWithMetadata = (text, { openMetrics } = {}) => {
   const lines = text.split('\n');
   const metrics = new Map();
-  const metadata = new Map(); // { name: { help: string, type: string } }
+  const metadata = new Map(); // { name: { help: string, type: string, unit: string } }
+  const diagnostics = createDiagnostics();
+  const metadataLines = new Map(); // name -> line number of its first HELP/TYPE/UNIT
+  const typeDeclarations = new Map();
+  const timestampedSamples = [];
+  let isOpenMetrics = openMetrics ?? false;
+  let previousHelp = null; // HELP line directly above the current line
 
   // Regex patterns
   const helpRegex = /^#\s*HELP\s+([a-zA-Z_:][a-zA-Z0-9_:]*)\s+(.*)$/;
-  const typeRegex = /^#\s*TYPE\s+([a-zA-Z_:][a-zA-Z0-9_:]*)\s+(counter|gauge|histogram|summary|untyped)$/i;
-  const dataRegex = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{([^}]*)\})?\s+([0-9eE.+\-NaNInf]+)(?:\s+([0-9]+))?$/;
+  const typeRegex = /^#\s*TYPE\s+([a-zA-Z_:][a-zA-Z0-9_:]*)\s+(\S+)$/i;
+  const unitRegex = /^#\s*UNIT\s+([a-zA-Z_:][a-zA-Z0-9_:]*)\s+(\S*)$/;
+  // 1=Name, 2=Labels(optional), 3=Value, 4=Timestamp(optional), 5=Exemplar(optional)
+  // Label values are matched as quoted strings so they may contain '}' or '#'
+  const dataRegex = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{((?:[^"}]|"(?:[^"\\]|\\.)*")*)\})?\s+([0-9eE.+\-NaNInf]+)(?:\s+(-?[0-9][0-9eE.+\-]*))?(?:\s*#\s*(\{.*))?$/;
 
-  for (const line of lines) {
-    const trimmed = line.trim();
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    const trimmed = lines[i].trim();
     if (!trimmed) continue;
 
+    const lastHelp = previousHelp;
+    previousHelp = null;
+
+    // OpenMetrics end-of-exposition marker
+    if (trimmed === '# EOF') {
+      isOpenMetrics = openMetrics ?? true;
+      break;
+    }
+
     // Parse HELP comment
     const helpMatch = trimmed.match(helpRegex);
     if (helpMatch) {
       const [, name, help] = helpMatch;
       if (!metadata.has(name)) {
-        metadata.set(name, { help: '', type: 'untyped' });
+        metadata.set(name, createMetadata());
+      } else if (metadata.get(name).help) {
+        addDiagnostic(diagnostics, 'warning', lineNumber, `Duplicate HELP for ${name}`, trimmed);
       }
+      if (!metadataLines.has(name)) metadataLines.set(name, lineNumber);
       metadata.get(name).help = help;
+      previousHelp = name;
       continue;
     }
 
@@ -36,75 +197,156 @@ export const parsePrometheusMetricsWithMetadata = (text) => {
     const typeMatch = trimmed.match(typeRegex);
     if (typeMatch) {
       const [, name, type] = typeMatch;
+      const normalizedType = type.toLowerCase();
+      if (!KNOWN_TYPES.has(normalizedType)) {
+        addDiagnostic(diagnostics, 'warning', lineNumber, `Unknown metric type "${type}" for ${name}`, trimmed);
+        continue;
+      }
+      if (lastHelp && lastHelp !== name) {
+        addDiagnostic(diagnostics, 'warning', lineNumber, `HELP for ${lastHelp} is followed by TYPE for ${name}`, trimmed);
+      }
       if (!metadata.has(name)) {
-        metadata.set(name, { help: '', type: 'untyped' });
+        metadata.set(name, createMetadata());
       }
-      metadata.get(name).type = type.toLowerCase();
+      if (!metadataLines.has(name)) metadataLines.set(name, lineNumber);
+      // OpenMetrics calls untyped metrics "unknown"
+      metadata.get(name).type = normalizedType === 'unknown' ? 'untyped' : normalizedType;
+      if (!typeDeclarations.has(name)) typeDeclarations.set(name, []);
+      typeDeclarations.get(name).push({ type: metadata.get(name).type, line: lineNumber });
       continue;
     }
 
-    // Skip other comments
-    if (trimmed.startsWith('#')) continue;
+    // Parse UNIT comment (OpenMetrics)
+    const unitMatch = trimmed.match(unitRegex);
+    if (unitMatch) {
+      const [, name, unit] = unitMatch;
+      if (!metadata.has(name)) {
+        metadata.set(name, createMetadata());
+      }
+      if (!metadataLines.has(name)) metadataLines.set(name, lineNumber);
+      metadata.get(name).unit = unit;
+      continue;
+    }
+
+    // Skip other comments, but flag metadata lines we couldn't read
+    if (trimmed.startsWith('#')) {
+      if (/^#\s*(HELP|TYPE|UNIT)\b/.test(trimmed)) {
+        addDiagnostic(diagnostics, 'warning', lineNumber, 'Malformed metadata line ignored', trimmed);
+      }
+      continue;
+    }
 
     // Parse data line
     const dataMatch = trimmed.match(dataRegex);
-    if (dataMatch) {
-      const [, name, labelStr, valueStr] = dataMatch;
-      let value = Number.parseFloat(valueStr);
-      if (Number.isNaN(value)) {
-        if (valueStr === "+Inf" || valueStr === "Inf") value = Infinity;
-        else if (valueStr === "-Inf") value = -Infinity;
-        else value = 0;
-      }
+    if (!dataMatch) {
+      addDiagnostic(diagnostics, 'error', lineNumber, describeRejectedLine(trimmed), trimmed);
+      continue;
+    }
 
-      const labels = {};
-      if (labelStr) {
-        const labelRegex = /([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"/g;
-        let labelMatch;
-        while ((labelMatch = labelRegex.exec(labelStr)) !== null) {
-          const k = labelMatch[1];
-          const v = labelMatch[2]
-            .replaceAll(String.raw`\"`, '"')
-            .replaceAll(String.raw`\\`, '\\')
-            .replaceAll(String.raw`\n`, '\n');
-          labels[k] = v;
-        }
-      }
+    const [, name, labelStr, valueStr, timestampStr, exemplarStr] = dataMatch;
+    if (labelStr && !LABEL_BODY_REGEX.test(labelStr)) {
+      addDiagnostic(diagnostics, 'error', lineNumber, 'Malformed label set', trimmed);
+      continue;
+    }
+    if (!VALUE_REGEX.test(valueStr)) {
+      addDiagnostic(diagnostics, 'error', lineNumber, `Invalid sample value "${valueStr}"`, trimmed);
+      continue;
+    }
+    if (valueStr === 'NaN') {
+      addDiagnostic(diagnostics, 'warning', lineNumber, 'NaN value read as 0', trimmed);
+    }
+    const sample = { labels: parseLabels(labelStr), value: parseSampleValue(valueStr) };
 
-      if (!metrics.has(name)) {
-        metrics.set(name, []);
+    if (timestampStr !== undefined) {
+      sample.timestamp = Number.parseFloat(timestampStr);
+      timestampedSamples.push(sample);
+    }
+    if (exemplarStr !== undefined) {
+      const exemplar = parseExemplar(exemplarStr);
+      if (exemplar) {
+        // Exemplars only exist in OpenMetrics, where timestamps are in seconds
+        if (exemplar.timestamp !== undefined) exemplar.timestamp *= 1000;
+        sample.exemplar = exemplar;
+        isOpenMetrics = openMetrics ?? true;
+      } else {
+        addDiagnostic(diagnostics, 'warning', lineNumber, 'Malformed exemplar ignored', trimmed);
       }
-      metrics.get(name).push({ labels, value });
     }
+
+    if (!metrics.has(name)) {
+      metrics.set(name, []);
+    }
+    metrics.get(name).push(sample);
   }
 
-  return { metrics, metadata };
+  // The format is only known once the whole exposition has been read
+  if (isOpenMetrics) {
+    timestampedSamples.forEach(sample => { sample.timestamp *= 1000; });
+  }
+
+  for (const [name, meta] of metadata) {
+    if (!familyHasSamples(name, meta.type, metrics)) {
+      addDiagnostic(diagnostics, 'warning', metadataLines.get(name), `Metadata for ${name} has no samples`);
+    }
+  }
+  diagnostics.items.sort((a, b) => a.line - b.line);
+
+  return { metrics, metadata, diagnostics, typeDeclarations };
 };
 
 /**
- * Build a catalog of metrics grouped by prefix
+ * Resolve the metric family a sample name belongs to, using the declared types
+ * @param {string} name - Sample name, e.g. `foo_bucket`
+ * @param {Map} metadata - Metadata map from parser
+ * @returns {{ family: string, suffix: string } | null} - null when no family is declared
+ */
+export const resolveFamily = (name, metadata) => {
+  if (metadata.has(name)) return { family: name, suffix: '' };
+
+  for (const [type, suffixes] of Object.entries(FAMILY_SUFFIXES)) {
+    for (const suffix of suffixes) {
+      if (!name.endsWith(suffix)) continue;
+      const family = name.slice(0, -suffix.length);
+      if (metadata.get(family)?.type === type) return { family, suffix };
+    }
+  }
+  return null;
+};
+
+/**
+ * Build a catalog of metrics grouped by the grouping rules (see catalogGrouping.js)
  * @param {Map} metadata - Metadata map from parser
  * @param {Map} metrics - Metrics data map
- * @returns {Array} - Array of { prefix, metrics: [{ name, help, type, labels }] }
+ * @param {Array} [groupingRules] - [{ id, pattern, group }] in priority order; defaults to DEFAULT_GROUPING_RULES
+ * @returns {Array} - Array of { prefix, metrics: [{ name, help, type, unit, labels }] }, where prefix is the
+ *   group name; groups are sorted by name with the ungrouped bucket last
  */
-export const buildMetricsCatalog = (metadata, metrics) => {
-  const catalog = new Map(); // prefix -> metrics[]
+export const buildMetricsCatalog = (metadata, metrics, groupingRules) => {
+  const catalog = new Map(); // group -> metrics[]
+  const compiledRules = compileGroupingRules(groupingRules);
 
   // Collect all unique metric base names (strip _bucket, _sum, _count, _total suffixes for grouping)
   const processedNames = new Set();
   
   for (const [name] of metrics) {
-    // Get base name for histograms and summaries
     let baseName = name;
-    if (name.endsWith('_bucket')) baseName = name.replace('_bucket', '');
-    else if (name.endsWith('_count') && metadata.has(name.replace('_count', ''))) baseName = name.replace('_count', '');
-    else if (name.endsWith('_sum') && metadata.has(name.replace('_sum', ''))) baseName = name.replace('_sum', '');
+    let meta;
+
+    const resolved = resolveFamily(name, metadata);
+    if (resolved) {
+      // _created samples hold creation timestamps, not values worth charting
+      if (resolved.suffix === '_created') continue;
+      meta = metadata.get(resolved.family);
+      // Counters and info metrics are read by sample name, distributions by family name
+      if (meta.type !== 'counter' && meta.type !== 'info') baseName = resolved.family;
+    } else {
+      // No declared family - fall back to suffix heuristics
+      if (name.endsWith('_bucket')) baseName = name.slice(0, -'_bucket'.length);
+      meta = metadata.get(baseName) || createMetadata();
+    }
     
     if (processedNames.has(baseName)) continue;
     processedNames.add(baseName);
-
-    // Get metadata (might be under base name for histograms/summaries)
-    const meta = metadata.get(baseName) || metadata.get(name) || { help: '', type: 'untyped' };
     
     // Determine actual type from data if not in metadata
     let actualType = meta.type;
@@ -113,20 +355,16 @@ export const buildMetricsCatalog = (metadata, metrics) => {
       else if (metrics.get(baseName)?.some(s => s.labels.quantile !== undefined)) actualType = 'summary';
     }
 
-    // Extract prefix (first part before underscore, or first two parts for common prefixes)
-    const parts = baseName.split('_');
-    let prefix = parts[0];
-    // Common two-part prefixes
-    if (['go', 'http', 'storage', 'task', 'service', 'qc', 'influxdb'].includes(parts[0]) && parts.length > 1) {
-      prefix = `${parts[0]}_${parts[1]}`;
-    }
+    const { group: prefix } = matchGroupingRule(baseName, compiledRules);
 
-    // Collect available labels (excluding le, quantile)
+    // Collect available labels (excluding le, quantile and the stateset state label)
     const labelSet = new Set();
     const series = metrics.get(baseName) || metrics.get(`${baseName}_bucket`) || [];
     series.forEach(s => {
       Object.keys(s.labels).forEach(k => {
-        if (k !== 'le' && k !== 'quantile') labelSet.add(k);
+        if (k === 'le' || k === 'quantile') return;
+        if (actualType === 'stateset' && k === baseName) return;
+        labelSet.add(k);
       });
     });
 
@@ -137,6 +375,7 @@ export const buildMetricsCatalog = (metadata, metrics) => {
       name: baseName,
       help: meta.help,
       type: actualType,
+      unit: meta.unit,
       labels: Array.from(labelSet)
     });
   }
@@ -147,6 +386,100 @@ export const buildMetricsCatalog = (metadata, metrics) => {
       prefix,
       metrics: items.sort((a, b) => a.name.localeCompare(b.name))
     }))
-    .sort((a, b) => a.prefix.localeCompare(b.prefix));
+    .sort((a, b) => (a.prefix === UNGROUPED) - (b.prefix === UNGROUPED) || a.prefix.localeCompare(b.prefix));
 };
 
+/**
+ * Look up a metric's catalog entry by name
+ * @param {Array} catalog - Catalog from buildMetricsCatalog
+ * @param {string} name - Catalog metric name
+ * @returns {Object | null} - { name, help, type, unit, labels } or null when not in the catalog
+ */
+export const findCatalogEntry = (catalog, name) => {
+  for (const group of catalog) {
+    const found = group.metrics.find(m => m.name === name);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Build a stable identity for a series from its name and label set.
+ * Labels are sorted so the key does not depend on their exposition order.
+ * @param {string} name - Sample name
+ * @param {Object} labels - Sample labels
+ * @returns {string} - e.g. `http_requests_total{method="GET",path="/"}`
+ */
+export const getSeriesKey = (name, labels) => {
+  const pairs = Object.keys(labels)
+    .sort()
+    .map(k => `${k}=${JSON.stringify(labels[k])}`);
+  return pairs.length > 0 ? `${name}{${pairs.join(',')}}` : name;
+};
+
+// Parsers by input format; each returns { metrics, metadata, diagnostics, typeDeclarations }.
+// 'prometheus' tells Prometheus text from OpenMetrics by its content; 'openmetrics' is for callers who know
+const FORMAT_PARSERS = {
+  prometheus: text => parsePrometheusMetricsWithMetadata(text),
+  openmetrics: text => parsePrometheusMetricsWithMetadata(text, { openMetrics: true }),
+  lineprotocol: parseLineProtocol,
+  expvar: parseExpvar,
+};
+
+/**
+ * Guess the input format of metrics text from its content
+ * @param {string} text - Raw metrics text
+ * @returns {'prometheus' | 'lineprotocol' | 'expvar'}
+ */
+export const detectMetricsFormat = (text) => {
+  if (isExpvarJson(text)) return 'expvar';
+  if (isLineProtocol(text)) return 'lineprotocol';
+  return 'prometheus';
+};
+
+/**
+ * Map a response Content-Type to an input format
+ * @param {string | null} contentType - e.g. `application/json; charset=utf-8`
+ * @returns {'prometheus' | 'openmetrics' | 'expvar' | 'auto'} - 'auto' when the type doesn't say (e.g. bare text/plain)
+ */
+export const formatFromContentType = (contentType) => {
+  const [mediaType, ...params] = (contentType || '').toLowerCase().split(';').map(part => part.trim());
+  if (mediaType === 'application/json') return 'expvar';
+  if (mediaType === 'application/openmetrics-text') return 'openmetrics';
+  // Prometheus text is served as `text/plain; version=0.0.4`
+  if (mediaType === 'text/plain' && params.some(param => param.startsWith('version='))) return 'prometheus';
+  return 'auto';
+};
+
+/**
+ * Parse metrics text once into the snapshot shared by every view
+ * @param {string} text - Raw metrics text
+ * @param {Object} [options]
+ * @param {number} [options.fetchedAt] - Fallback time (ms) when no sample carries a timestamp
+ * @param {'auto' | 'prometheus' | 'openmetrics' | 'lineprotocol' | 'expvar'} [options.format] - Input format; 'auto' detects it
+ * @param {Array} [options.groupingRules] - Catalog grouping rules (see buildMetricsCatalog)
+ * @returns {{ timestamp: number, format: string, metrics: Map, series: Map, metadata: Map, catalog: Array, diagnostics: Object, typeDeclarations: Map }}
+ *   metrics: name -> samples, series: series key -> { name, labels, value, timestamp?, exemplar? }
+ */
+export const createMetricsSnapshot = (text, { fetchedAt = Date.now(), format = 'auto', groupingRules } = {}) => {
+  const resolvedFormat = FORMAT_PARSERS[format] ? format : detectMetricsFormat(text);
+  const { metrics, metadata, diagnostics, typeDeclarations } = FORMAT_PARSERS[resolvedFormat](text);
+
+  const series = new Map();
+  for (const [name, samples] of metrics) {
+    for (const sample of samples) {
+      series.set(getSeriesKey(name, sample.labels), { name, ...sample });
+    }
+  }
+
+  return {
+    timestamp: getLatestSampleTimestamp(metrics) ?? fetchedAt,
+    format: resolvedFormat,
+    metrics,
+    series,
+    metadata,
+    catalog: buildMetricsCatalog(metadata, metrics, groupingRules),
+    diagnostics,
+    typeDeclarations,
+  };
+};
@@ -0,0 +1,48 @@
+/**
+ * Client for the server's live scrape stream (see `/api/stream` in server/index.js).
+ * The server scrapes each target once per interval and pushes the result to every open tab,
+ * so viewers of the same target don't each poll it.
+ */
+
+/**
+ * Whether the browser can open a stream at all
+ * @returns {boolean}
+ */
+export const supportsMetricsStream = () => typeof EventSource !== 'undefined';
+
+/**
+ * Subscribe to a target's scrapes
+ * @param {string} target - Target name or metrics URL
+ * @param {Object} handlers
+ * @param {number} [handlers.intervalMs] - Scrape interval when the server scrapes the URL on demand
+ * @param {Function} [handlers.onOpen] - The stream is connected
+ * @param {Function} handlers.onScrape - ({ target, fetchedAt, contentType, text }) for every scrape
+ * @param {Function} [handlers.onScrapeError] - ({ target, fetchedAt, error }) when the server's scrape fails
+ * @param {Function} [handlers.onClose] - The stream failed or isn't served (e.g. a static build or an
+ *   older server); it is not reopened, so callers fall back to polling
+ * @returns {{ close: Function }}
+ */
+export const openMetricsStream = (target, { intervalMs, onOpen, onScrape, onScrapeError, onClose }) => {
+  const params = new URLSearchParams({ target });
+  if (intervalMs) params.set('interval', String(intervalMs));
+  const source = new EventSource(`/api/stream?${params}`);
+
+  const parse = (handler) => (event) => {
+    try {
+      handler?.(JSON.parse(event.data));
+    } catch (err) {
+      console.error('Invalid stream event:', err);
+    }
+  };
+
+  source.addEventListener('open', () => onOpen?.());
+  source.addEventListener('scrape', parse(onScrape));
+  source.addEventListener('scrape_error', parse(onScrapeError));
+  source.addEventListener('error', () => {
+    // EventSource would keep retrying a dropped connection silently; hand over to polling instead
+    source.close();
+    onClose?.();
+  });
+
+  return { close: () => source.close() };
+};
@@ -0,0 +1,145 @@
+/**
+ * Metrics worker - parses scrapes and aggregates widget data off the UI thread.
+ *
+ * Message protocol (every request carries an `id` that is echoed in the reply):
+ *   { id, type: 'parse', text, fetchedAt, watch, format, timeline }
+ *     -> { id, result: { timestamp, format, catalog, seriesCount, diagnostics, metrics, timeline } }
+ *        `metrics` only holds the metric names listed in `watch`; `format` defaults to 'auto'.
+ *        With `timeline`, line protocol with points at several times also comes back as one
+ *        scrape per timestamp (see splitLineProtocolByTimestamp); otherwise `timeline` is null.
+ *   { id, type: 'computeWidgets', widgets: [{ id, metricName, ...config }] }
+ *     -> { id, result: { timestamp, data: { [widgetId]: widgetData } } }
+ *        Computed against the most recently parsed snapshot.
+ *   { id, type: 'lint' }
+ *     -> { id, result: { timestamp, errors, warnings, metrics } } (see lintMetrics)
+ *   { id, type: 'cardinality' }
+ *     -> { id, result: { timestamp, totalSeries, metrics, labels, drivers, history } } (see summarizeCardinality);
+ *        metrics rows gain `change` (series added since the oldest recorded poll)
+ *   { id, type: 'cardinalityDetail', metric }
+ *     -> { id, result: { timestamp, name, series, labels, history } } (see describeMetricCardinality)
+ *   { id, type: 'reset' }
+ *     -> { id, result: null } - forgets the latest snapshot and cardinality history (e.g. on a target switch)
+ *   { id, type: 'setGroupingRules', rules }
+ *     -> { id, result: { catalog } } - rules apply to later parses; catalog is the latest
+ *        snapshot regrouped (null before the first parse)
+ * Failures reply with { id, error: message }.
+ */
+import { createMetricsSnapshot, findCatalogEntry, buildMetricsCatalog } from './metricsParser.js';
+import { splitLineProtocolByTimestamp } from './lineProtocolParser.js';
+import { computeWidgetData } from './widgetData.js';
+import { lintMetrics } from './metricsLint.js';
+import { summarizeCardinality, describeMetricCardinality } from './cardinality.js';
+
+// Polls kept for cardinality trends (matches the UI's metrics history)
+const CARDINALITY_HISTORY_LIMIT = 60;
+
+// Full snapshot of the latest scrape; never sent to the UI as a whole
+let latest = null;
+// Catalog grouping rules set by the UI; undefined means the defaults
+let groupingRules;
+// Series counts of recent polls, oldest first: [{ timestamp, totalSeries, byMetric: Map name -> series }]
+const cardinalityHistory = [];
+
+const recordCardinality = (snapshot) => {
+  const byMetric = new Map();
+  for (const { name } of snapshot.series.values()) {
+    byMetric.set(name, (byMetric.get(name) || 0) + 1);
+  }
+  cardinalityHistory.push({ timestamp: snapshot.timestamp, totalSeries: snapshot.series.size, byMetric });
+  if (cardinalityHistory.length > CARDINALITY_HISTORY_LIMIT) cardinalityHistory.shift();
+};
+
+const pickMetrics = (metrics, names) => {
+  const picked = new Map();
+  names.forEach(name => {
+    if (metrics.has(name)) picked.set(name, metrics.get(name));
+  });
+  return picked;
+};
+
+const handlers = {
+  parse: ({ text, fetchedAt, watch = [], format = 'auto', timeline = false }) => {
+    latest = createMetricsSnapshot(text, { fetchedAt, format, groupingRules });
+    recordCardinality(latest);
+    const scrapes = timeline && latest.format === 'lineprotocol' ? splitLineProtocolByTimestamp(text) : [];
+    return {
+      timestamp: latest.timestamp,
+      format: latest.format,
+      catalog: latest.catalog,
+      seriesCount: latest.series.size,
+      diagnostics: latest.diagnostics,
+      metrics: pickMetrics(latest.metrics, watch),
+      timeline: scrapes.length > 1 ? scrapes : null,
+    };
+  },
+
+  computeWidgets: ({ widgets }) => {
+    const data = {};
+    widgets.forEach(widget => {
+      if (!latest) {
+        data[widget.id] = { type: 'empty' };
+        return;
+      }
+      const type = findCatalogEntry(latest.catalog, widget.metricName)?.type || 'untyped';
+      data[widget.id] = computeWidgetData(latest.metrics, widget.metricName, type, widget);
+    });
+    return { timestamp: latest?.timestamp ?? null, data };
+  },
+
+  cardinality: () => {
+    if (!latest) return { timestamp: null, totalSeries: 0, metrics: [], labels: [], drivers: [], history: [] };
+    const summary = summarizeCardinality(latest.metrics);
+    const oldest = cardinalityHistory[0]?.byMetric;
+    summary.metrics.forEach(row => {
+      row.change = oldest ? row.series - (oldest.get(row.name) || 0) : 0;
+    });
+    return {
+      timestamp: latest.timestamp,
+      ...summary,
+      history: cardinalityHistory.map(({ timestamp, totalSeries }) => ({ timestamp, totalSeries })),
+    };
+  },
+
+  cardinalityDetail: ({ metric }) => {
+    const samples = latest?.metrics.get(metric) || [];
+    return {
+      timestamp: latest?.timestamp ?? null,
+      name: metric,
+      series: cardinalityHistory[cardinalityHistory.length - 1]?.byMetric.get(metric) || 0,
+      labels: describeMetricCardinality(samples),
+      history: cardinalityHistory.map(({ timestamp, byMetric }) => ({ timestamp, series: byMetric.get(metric) || 0 })),
+    };
+  },
+
+  reset: () => {
+    latest = null;
+    cardinalityHistory.length = 0;
+    return null;
+  },
+
+  setGroupingRules: ({ rules }) => {
+    groupingRules = rules;
+    if (!latest) return { catalog: null };
+    latest.catalog = buildMetricsCatalog(latest.metadata, latest.metrics, groupingRules);
+    return { catalog: latest.catalog };
+  },
+
+  lint: () => {
+    if (!latest) return { timestamp: null, errors: 0, warnings: 0, metrics: [] };
+    return { timestamp: latest.timestamp, ...lintMetrics(latest) };
+  },
+};
+
+self.onmessage = (event) => {
+  const { id, type, ...payload } = event.data;
+  const handler = handlers[type];
+  if (!handler) {
+    self.postMessage({ id, error: `Unknown message type: ${type}` });
+    return;
+  }
+  try {
+    self.postMessage({ id, result: handler(payload) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || 'Metrics worker error' });
+  }
+};
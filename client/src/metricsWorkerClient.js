@@ -0,0 +1,87 @@
+/**
+ * Promise-based client for the metrics worker (see metricsWorker.js for the protocol).
+ * A single worker is shared by the whole app so the explorer aggregates over the
+ * same snapshot the poller just parsed.
+ */
+
+let client = null;
+
+const createClient = () => {
+  const worker = new Worker(new URL('./metricsWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // id -> { resolve, reject }
+  let nextId = 1;
+
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+
+  worker.onerror = (event) => {
+    console.error('Metrics worker error:', event.message);
+    pending.forEach(request => request.reject(new Error(event.message || 'Metrics worker failed')));
+    pending.clear();
+  };
+
+  const request = (type, payload) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, type, ...payload });
+  });
+
+  return {
+    /**
+     * Parse a scrape in the worker and keep it as the latest snapshot
+     * @param {string} text - Raw metrics exposition text
+     * @param {{ fetchedAt: number, watch: string[], format: string, timeline?: boolean }} options - fallback time,
+     *   metric names to return, input format ('auto', 'prometheus', 'openmetrics', 'lineprotocol' or 'expvar'), and whether
+     *   to split multi-timestamp line protocol into one scrape per timestamp
+     */
+    parse: (text, { fetchedAt = Date.now(), watch = [], format = 'auto', timeline = false } = {}) =>
+      request('parse', { text, fetchedAt, watch, format, timeline }),
+
+    /**
+     * Aggregate widget data from the latest snapshot
+     * @param {Array} widgets - Widget configs ({ id, metricName, groupBy, ... })
+     */
+    computeWidgets: (widgets) => request('computeWidgets', { widgets }),
+
+    /**
+     * Lint the latest snapshot (histogram/summary consistency, duplicate series, TYPE conflicts)
+     */
+    lint: () => request('lint', {}),
+
+    /**
+     * Summarize series cardinality of the latest snapshot, with the recent per-poll history
+     */
+    cardinality: () => request('cardinality', {}),
+
+    /**
+     * Drill into one metric's labels and label values
+     * @param {string} metric - Sample name, e.g. `http_api_request_duration_seconds_bucket`
+     */
+    cardinalityDetail: (metric) => request('cardinalityDetail', { metric }),
+
+    /**
+     * Forget the latest snapshot and cardinality history, so a new target starts clean
+     */
+    reset: () => request('reset', {}),
+
+    /**
+     * Replace the catalog grouping rules and regroup the latest snapshot
+     * @param {Array} rules - [{ id, pattern, group }] in priority order
+     */
+    setGroupingRules: (rules) => request('setGroupingRules', { rules }),
+  };
+};
+
+/**
+ * Get the shared metrics worker client, starting the worker on first use
+ */
+export const getMetricsWorker = () => {
+  if (!client) client = createClient();
+  return client;
+};
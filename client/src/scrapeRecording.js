@@ -0,0 +1,194 @@
+/**
+ * Scrape recordings: the raw text of every scrape in a session with the time it was taken,
+ * saved as NDJSON so an incident can be replayed later through the same pipeline as live data.
+ * The first line describes the session; each following line is one scrape, oldest first:
+ *
+ *   {"recording":1,"target":"http://localhost:8086/metrics","startedAt":1760000000000}
+ *   {"fetchedAt":1760000000000,"contentType":"text/plain; version=0.0.4","text":"# HELP ..."}
+ */
+
+export const RECORDING_VERSION = 1;
+
+// Raw scrapes stay in the tab's memory until saved, so stop before they exhaust it
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024;
+
+// Replay skips idle stretches longer than this, e.g. while live monitoring was paused
+const MAX_REPLAY_GAP_MS = 60000;
+
+// Recordings get shared, so a URL's user name and password stay out of them
+const withoutCredentials = (target) => {
+  try {
+    const url = new URL(target);
+    if (!url.username && !url.password) return target;
+    url.username = '';
+    url.password = '';
+    return url.toString();
+  } catch {
+    return target; // a target name
+  }
+};
+
+/**
+ * Create a recorder
+ * @param {Object} options
+ * @param {string} options.target - Recorded target name or URL, saved in the header without credentials
+ * @param {number} [options.maxBytes] - Total scrape text after which add() refuses scrapes
+ */
+export const createRecorder = ({ target: recordedTarget, maxBytes = DEFAULT_MAX_BYTES }) => {
+  const target = withoutCredentials(recordedTarget);
+  const startedAt = Date.now();
+  const scrapes = [];
+  let bytes = 0;
+
+  return {
+    /**
+     * Append one raw scrape
+     * @param {Object} scrape - { fetchedAt, contentType, text }
+     * @returns {boolean} - false when the recording is full and the scrape was dropped
+     */
+    add({ fetchedAt, contentType, text }) {
+      if (bytes + text.length > maxBytes) return false;
+      scrapes.push({ fetchedAt, contentType: contentType ?? null, text });
+      bytes += text.length;
+      return true;
+    },
+
+    /**
+     * @returns {{ target: string, startedAt: number, scrapes: number, bytes: number }}
+     */
+    stats() {
+      return { target, startedAt, scrapes: scrapes.length, bytes };
+    },
+
+    /**
+     * The recording as parseRecording returns it, for replaying without saving first
+     */
+    toRecording() {
+      return { target, startedAt, scrapes: [...scrapes] };
+    },
+
+    /**
+     * The recording as NDJSON
+     * @returns {string}
+     */
+    toNdjson() {
+      const header = JSON.stringify({ recording: RECORDING_VERSION, target, startedAt });
+      return `${[header, ...scrapes.map(scrape => JSON.stringify(scrape))].join('\n')}\n`;
+    },
+  };
+};
+
+/**
+ * Read a saved recording
+ * @param {string} text - NDJSON from a recorder; the header line is optional
+ * @returns {{ target: string | null, startedAt: number, scrapes: Array }} - Scrapes sorted by fetchedAt.
+ *   Throws when a line isn't a scrape or there are no scrapes.
+ */
+export const parseRecording = (text) => {
+  let header = null;
+  const scrapes = [];
+  text.split('\n').forEach((line, index) => {
+    if (line.trim() === '') return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Line ${index + 1}: ${err.message}`);
+    }
+    if (entry?.recording !== undefined) {
+      if (entry.recording > RECORDING_VERSION) {
+        throw new Error(`Recording version ${entry.recording} is newer than this app supports (${RECORDING_VERSION})`);
+      }
+      header = entry;
+      return;
+    }
+    if (!Number.isFinite(entry?.fetchedAt) || typeof entry.text !== 'string') {
+      throw new Error(`Line ${index + 1}: expected a scrape with "fetchedAt" and "text"`);
+    }
+    scrapes.push({ fetchedAt: entry.fetchedAt, contentType: entry.contentType ?? null, text: entry.text });
+  });
+  if (scrapes.length === 0) throw new Error('The recording has no scrapes');
+
+  scrapes.sort((a, b) => a.fetchedAt - b.fetchedAt);
+  return { target: header?.target ?? null, startedAt: header?.startedAt ?? scrapes[0].fetchedAt, scrapes };
+};
+
+/**
+ * Create a player that feeds recorded scrapes back in order, spaced as they were recorded
+ * divided by the speed. Each scrape waits for the previous one to be handled.
+ * @param {Array} scrapes - From parseRecording
+ * @param {Object} handlers
+ * @param {Function} handlers.onScrape - (scrape, index); may return a promise
+ * @param {Function} [handlers.onEnd] - The last scrape was handled
+ * @returns {{ play: Function, pause: Function, step: Function }}
+ */
+export const createReplay = (scrapes, { onScrape, onEnd }) => {
+  let position = 0; // index of the next scrape
+  let playing = false;
+  let speed = 1;
+  let timer = null;
+  let lastEmitAt = 0;
+  let busy = false;
+
+  const emit = async () => {
+    busy = true;
+    const index = position++;
+    lastEmitAt = Date.now();
+    try {
+      await onScrape(scrapes[index], index);
+    } finally {
+      busy = false;
+    }
+    if (position >= scrapes.length) {
+      playing = false;
+      onEnd?.();
+    }
+  };
+
+  const scheduleNext = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!playing || busy || position >= scrapes.length) return;
+    const gap = position === 0 ? 0 : scrapes[position].fetchedAt - scrapes[position - 1].fetchedAt;
+    // Time spent handling the previous scrape counts towards the gap
+    const delay = Math.min(gap, MAX_REPLAY_GAP_MS) / speed - (Date.now() - lastEmitAt);
+    timer = setTimeout(() => {
+      timer = null;
+      emit().then(scheduleNext, err => {
+        playing = false;
+        console.error('Replay stopped:', err);
+      });
+    }, Math.max(0, delay));
+  };
+
+  return {
+    /**
+     * Play from the current position
+     * @param {number} [playSpeed] - Multiple of real time
+     */
+    play(playSpeed = speed) {
+      speed = playSpeed;
+      if (position >= scrapes.length) return;
+      playing = true;
+      scheduleNext();
+    },
+
+    pause() {
+      playing = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    /**
+     * Pause and feed the next scrape only
+     * @returns {Promise<void>}
+     */
+    async step() {
+      this.pause();
+      if (busy || position >= scrapes.length) return;
+      await emit();
+      // Play may have been pressed while the step was handled; scheduleNext skipped it then
+      scheduleNext();
+    },
+  };
+};
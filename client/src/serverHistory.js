@@ -0,0 +1,39 @@
+/**
+ * Client for the server-side scraper's query API (see server/scraper.js).
+ * Used to backfill charts with history the server collected while the tab was closed.
+ */
+
+/**
+ * Fetch a target's recent history in the shape of the App's metrics history
+ * @param {string} target - Target name or the URL being polled
+ * @param {string[]} names - Metric names to fetch
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most recent scrapes to return
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array>} - [{ timestamp, metrics: Map name -> samples }], oldest first;
+ *   empty when the server doesn't scrape the target
+ */
+export const fetchServerHistory = async (target, names, { limit = 60, signal } = {}) => {
+  const params = new URLSearchParams({ target });
+  names.forEach(name => params.append('name', name));
+
+  const response = await fetch(`/api/query_range?${params}`, { signal });
+  if (response.status === 404) return [];
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const { series } = await response.json();
+
+  // Every series of one scrape shares its timestamp, so regroup the points by time
+  const byTimestamp = new Map();
+  series.forEach(({ name, labels, points }) => {
+    points.forEach(([timestamp, value]) => {
+      if (!byTimestamp.has(timestamp)) byTimestamp.set(timestamp, new Map());
+      const metrics = byTimestamp.get(timestamp);
+      if (!metrics.has(name)) metrics.set(name, []);
+      metrics.get(name).push({ labels, value });
+    });
+  });
+
+  return Array.from(byTimestamp, ([timestamp, metrics]) => ({ timestamp, metrics }))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-limit);
+};
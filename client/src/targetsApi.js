@@ -0,0 +1,57 @@
+/**
+ * Client for the server's named targets registry (`/api/targets` in server/index.js).
+ */
+
+const request = async (path, options = {}) => {
+  const response = await fetch(path, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+  });
+  if (!response.ok) {
+    // The server explains validation and conflict errors in the body
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+/**
+ * List registered targets
+ * @returns {Promise<Array>} - [{ id, name, url, intervalMs, useProxy, headers, tags }]
+ */
+export const listTargets = async () => (await request('/api/targets')).targets;
+
+/**
+ * Register a target
+ * @param {Object} target - { name, url, intervalMs, useProxy, headers, tags }
+ * @returns {Promise<Object>} - The stored target with its id
+ */
+export const createTarget = (target) =>
+  request('/api/targets', { method: 'POST', body: JSON.stringify(target) });
+
+/**
+ * Replace a registered target's settings
+ * @param {string} id - Target id
+ * @param {Object} target - { name, url, intervalMs, useProxy, headers, tags }
+ */
+export const updateTarget = (id, target) =>
+  request(`/api/targets/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(target) });
+
+/**
+ * Remove a registered target
+ * @param {string} id - Target id
+ */
+export const deleteTarget = (id) =>
+  request(`/api/targets/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+/**
+ * Reachability and last scrape of every target the server is configured with (`/api/ready`)
+ * @returns {Promise<{ ready: boolean, checkedAt: number, targets: Array }>} - targets are
+ *   [{ name, id?, kind, url, status, lastScrape, durationMs, error, code }]
+ */
+export const fetchReadiness = async () => {
+  const response = await fetch('/api/ready');
+  // 503 means some target is down; the body says which
+  if (!response.ok && response.status !== 503) throw new Error(`HTTP error! status: ${response.status}`);
+  return response.json();
+};
@@ -0,0 +1,259 @@
+/**
+ * Widget data aggregation for the metrics explorer.
+ * Pure functions over the parsed metrics map, shared with the metrics worker.
+ */
+
+/**
+ * Compute the chart data a widget renders from the parsed metrics map.
+ * Runs inside the metrics worker so only this small result crosses to the UI thread.
+ * @param {Map} metrics - Metrics data map (name -> samples)
+ * @param {string} metricName - Catalog name of the widget's metric
+ * @param {string} metricType - Catalog type (gauge, counter, histogram, ...)
+ * @param {Object} config - Widget config (groupBy, displayMode, ...)
+ * @returns {Object} - `{ type, ... }` where type selects the renderer
+ */
+export const computeWidgetData = (metrics, metricName, metricType, config) => {
+  const groupBy = config.groupBy && config.groupBy !== 'none' ? config.groupBy : null;
+
+  // Gauge histograms share the bucket layout of histograms
+  if (metricType === 'histogram' || metricType === 'gaugehistogram') {
+    const bucketName = `${metricName}_bucket`;
+    const series = metrics.get(bucketName);
+    if (!series) return { type: 'empty' };
+
+    const groups = {};
+    const allLe = new Set();
+
+    series.forEach(item => {
+      const le = item.labels.le;
+      if (!le) return;
+      allLe.add(le);
+      const groupKey = groupBy ? (item.labels[groupBy] || 'Other') : 'All';
+      if (!groups[groupKey]) groups[groupKey] = {};
+      groups[groupKey][le] = (groups[groupKey][le] || 0) + item.value;
+    });
+
+    const sortedLe = Array.from(allLe)
+      .map(l => l === '+Inf' ? Infinity : Number.parseFloat(l))
+      .sort((a, b) => a - b);
+    const sortedLeStr = sortedLe.map(l => l === Infinity ? '+Inf' : l.toString());
+
+    const data = sortedLe.map((leVal, idx) => {
+      const leStr = sortedLeStr[idx];
+      const prevLeLabel = idx === 0 ? '0' : sortedLeStr[idx - 1];
+      let rangeLabel = '';
+      if (leVal === Infinity) rangeLabel = `> ${prevLeLabel}`;
+      else if (idx === 0) rangeLabel = `≤ ${leStr}`;
+      else rangeLabel = `${prevLeLabel}-${leStr}`;
+
+      const row = { range: rangeLabel, le: leVal };
+      Object.keys(groups).forEach(gKey => {
+        const currVal = groups[gKey][leStr] || 0;
+        const prevVal = idx > 0 ? groups[gKey][sortedLeStr[idx - 1]] || 0 : 0;
+        row[gKey] = Math.max(0, currVal - prevVal);
+      });
+      return row;
+    });
+
+    return { type: 'histogram', data, keys: Object.keys(groups) };
+  }
+
+  if (metricType === 'summary') {
+    const series = metrics.get(metricName);
+    const sumSeries = metrics.get(`${metricName}_sum`);
+    const countSeries = metrics.get(`${metricName}_count`);
+
+    // Get quantiles from base series (if exists)
+    const quantiles = series ? series.filter(s => s.labels.quantile !== undefined) : [];
+
+    // Calculate global sum/count/avg
+    const sum = sumSeries ? sumSeries.reduce((acc, s) => acc + s.value, 0) : 0;
+    const count = countSeries ? countSeries.reduce((acc, s) => acc + s.value, 0) : 0;
+    const avg = count > 0 ? sum / count : 0;
+
+    // If no base series and no sum/count, return empty
+    if (!series && !sumSeries && !countSeries) {
+      return { type: 'empty' };
+    }
+
+    if (groupBy) {
+      // Build per-group averages from sum/count series
+      const groupAvgs = {};
+      if (sumSeries && countSeries) {
+        const groupSums = {};
+        const groupCounts = {};
+        sumSeries.forEach(item => {
+          const gKey = item.labels[groupBy] || 'Other';
+          groupSums[gKey] = (groupSums[gKey] || 0) + item.value;
+        });
+        countSeries.forEach(item => {
+          const gKey = item.labels[groupBy] || 'Other';
+          groupCounts[gKey] = (groupCounts[gKey] || 0) + item.value;
+        });
+        Object.keys(groupSums).forEach(gKey => {
+          const s = groupSums[gKey] || 0;
+          const c = groupCounts[gKey] || 0;
+          groupAvgs[gKey] = c > 0 ? s / c : 0;
+        });
+      }
+
+      // Check if we have quantile data with the groupBy label
+      if (quantiles.length > 0) {
+        // Group quantile data by the selected label
+        const groups = {};
+        const allQuantiles = new Set();
+
+        quantiles.forEach(item => {
+          const quantile = item.labels.quantile;
+          allQuantiles.add(quantile);
+          const groupKey = item.labels[groupBy] || 'Other';
+
+          if (!groups[groupKey]) groups[groupKey] = {};
+          groups[groupKey][quantile] = (groups[groupKey][quantile] || 0) + item.value;
+        });
+
+        const groupKeys = Object.keys(groups);
+        const sortedQuantiles = Array.from(allQuantiles)
+          .sort((a, b) => Number.parseFloat(a) - Number.parseFloat(b));
+
+        // Build data rows for each quantile, filtering out rows where all values are zero/NaN
+        const quantileData = sortedQuantiles
+          .map(q => {
+            const row = { name: `P${Number.parseFloat(q) * 100}` };
+            groupKeys.forEach(gKey => {
+              row[gKey] = groups[gKey][q] || 0;
+            });
+            return row;
+          })
+          .filter(row => {
+            // Keep row only if at least one group has a non-zero, valid value
+            return groupKeys.some(gKey => row[gKey] > 0 && Number.isFinite(row[gKey]));
+          });
+
+        // If all quantile rows were NaN/zero, fall back to showing grouped averages as bar chart
+        if (quantileData.length === 0 && Object.keys(groupAvgs).length > 0) {
+          const data = Object.entries(groupAvgs)
+            .map(([name, value]) => ({ name, value }))
+            .sort((a, b) => b.value - a.value);
+
+          return { type: 'bar', data };
+        }
+
+        // Add Avg row at the beginning using per-group averages from sum/count
+        const avgRow = { name: 'Avg' };
+        groupKeys.forEach(gKey => {
+          avgRow[gKey] = groupAvgs[gKey] || 0;
+        });
+        quantileData.unshift(avgRow);
+
+        return { type: 'summary-grouped', data: quantileData, keys: groupKeys, avg, sum, count };
+      }
+
+      // No quantile data, but we have sum/count - show grouped averages
+      if (Object.keys(groupAvgs).length > 0) {
+        const data = Object.entries(groupAvgs)
+          .map(([name, value]) => ({ name, value }))
+          .sort((a, b) => b.value - a.value);
+
+        return { type: 'bar', data };
+      }
+    }
+
+    // No grouping - aggregate by quantile percentile
+    if (quantiles.length > 0) {
+      const quantileGroups = {};
+      quantiles.forEach(q => {
+        const pctKey = `P${Number.parseFloat(q.labels.quantile) * 100}`;
+        quantileGroups[pctKey] = Math.max(quantileGroups[pctKey] || 0, q.value);
+      });
+
+      const data = Object.entries(quantileGroups)
+        .sort((a, b) => Number.parseFloat(a[0].slice(1)) - Number.parseFloat(b[0].slice(1)))
+        .map(([name, value]) => ({ name, value }));
+      data.unshift({ name: 'Avg', value: avg, isAvg: true });
+
+      return { type: 'summary', data, avg, sum, count };
+    }
+
+    // Only have sum/count, no quantiles - show single average value
+    return { type: 'single', value: avg };
+  }
+
+  if (metricType === 'info') {
+    const series = metrics.get(metricName);
+    if (!series) return { type: 'empty' };
+    // Info metrics carry their payload in labels; the value is always 1
+    return { type: 'info', data: series.map(item => item.labels) };
+  }
+
+  if (metricType === 'stateset') {
+    const series = metrics.get(metricName);
+    if (!series) return { type: 'empty' };
+    // Each sample is one state, named by the label matching the metric name
+    const data = series.map(item => {
+      const { [metricName]: state, ...otherLabels } = item.labels;
+      const context = Object.values(otherLabels).join(', ');
+      return { name: context ? `${context}: ${state}` : state, active: item.value !== 0 };
+    });
+    return { type: 'stateset', data };
+  }
+
+  // Counter or Gauge
+  const series = metrics.get(metricName);
+  if (!series) return { type: 'empty' };
+
+  if (groupBy) {
+    const groups = {};
+    series.forEach(item => {
+      const key = item.labels[groupBy] || 'Other';
+      groups[key] = (groups[key] || 0) + item.value;
+    });
+    const data = Object.entries(groups)
+      .map(([name, value]) => ({ name, value }))
+      .sort((a, b) => b.value - a.value);
+    return { type: 'bar', data };
+  }
+
+  // Single value
+  const total = series.reduce((acc, s) => acc + s.value, 0);
+  return { type: 'single', value: total };
+};
+
+/**
+ * The values a widget plots as samples, so its history can be exported like the App's
+ * metrics history. Groups become a label named after the groupBy label; histogram buckets
+ * keep the per-range counts the widget shows (not cumulative) with `le` as the upper bound;
+ * summary rows are labelled `stat` (Avg, P50, ...); stateset states are 1 when active.
+ * @param {Object} widgetData - From computeWidgetData
+ * @param {string} [groupBy] - The widget's groupBy, 'none' when ungrouped
+ * @returns {Array} - [{ labels, value }]; empty for 'empty' data
+ */
+export const widgetDataSamples = (widgetData, groupBy) => {
+  const groupLabel = groupBy && groupBy !== 'none' ? groupBy : null;
+  const grouped = (key) => (groupLabel ? { [groupLabel]: key } : {});
+
+  switch (widgetData?.type) {
+    case 'single':
+      return [{ labels: {}, value: widgetData.value }];
+    case 'bar':
+      return widgetData.data.map(({ name, value }) => ({ labels: { [groupLabel ?? 'series']: name }, value }));
+    case 'histogram':
+      return widgetData.data.flatMap(row => widgetData.keys.map(key => ({
+        labels: { le: row.le === Infinity ? '+Inf' : String(row.le), ...grouped(key) },
+        value: row[key] ?? 0,
+      })));
+    case 'summary':
+      return widgetData.data.map(({ name, value }) => ({ labels: { stat: name }, value }));
+    case 'summary-grouped':
+      return widgetData.data.flatMap(row => widgetData.keys.map(key => ({
+        labels: { stat: row.name, ...grouped(key) },
+        value: row[key] ?? 0,
+      })));
+    case 'info':
+      return widgetData.data.map(labels => ({ labels, value: 1 }));
+    case 'stateset':
+      return widgetData.data.map(({ name, active }) => ({ labels: { state: name }, value: active ? 1 : 0 }));
+    default:
+      return [];
+  }
+};
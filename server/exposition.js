@@ -0,0 +1,55 @@
+/**
+ * Prometheus text format (version 0.0.4) writer for the series the server re-exposes:
+ * remote write push targets and the federation endpoint.
+ */
+
+// Sample name suffixes of histogram, summary and counter families
+const FAMILY_SUFFIXES = ['_bucket', '_sum', '_count', '_total', '_created'];
+
+export const EXPOSITION_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+export const escapeHelp = (help) => help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+export const formatValue = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * Render samples as Prometheus text, grouped by family
+ * @param {Iterable} series - { name, labels, value, timestamp? } per sample
+ * @param {Map} metadata - family -> { type, help }; families without an entry get no TYPE line
+ * @returns {string} - Families sorted by name, samples in the order given
+ */
+export const toExposition = (series, metadata) => {
+  const familyOf = (name) => {
+    if (metadata.has(name)) return name;
+    const suffix = FAMILY_SUFFIXES.find(s => name.endsWith(s) && metadata.has(name.slice(0, -s.length)));
+    return suffix ? name.slice(0, -suffix.length) : name;
+  };
+
+  const families = new Map();
+  for (const entry of series) {
+    const family = familyOf(entry.name);
+    if (!families.has(family)) families.set(family, []);
+    families.get(family).push(entry);
+  }
+
+  const lines = [];
+  Array.from(families.keys()).sort().forEach(family => {
+    const meta = metadata.get(family);
+    if (meta) {
+      if (meta.help) lines.push(`# HELP ${family} ${escapeHelp(meta.help)}`);
+      lines.push(`# TYPE ${family} ${meta.type}`);
+    }
+    families.get(family).forEach(({ name, labels, value, timestamp }) => {
+      const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`);
+      const suffix = timestamp === undefined || timestamp === null ? '' : ` ${timestamp}`;
+      lines.push(`${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}${suffix}`);
+    });
+  });
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+};
@@ -0,0 +1,170 @@
+/**
+ * Federation: the latest sample of every series of every target, scraped or pushed, as one
+ * Prometheus text exposition with a `target` label naming the source. Series are chosen with
+ * Prometheus `match[]` series selectors, e.g. `go_goroutines` or `{__name__=~"go_.*",target="influx"}`.
+ */
+import { createMetricsSnapshot, formatFromContentType } from '../client/src/metricsParser.js';
+import { toExposition } from './exposition.js';
+
+// The TYPE values of the Prometheus text format; OpenMetrics-only types are written as untyped
+const TEXT_FORMAT_TYPES = new Set(['counter', 'gauge', 'histogram', 'summary']);
+
+const invalid = (message) => Object.assign(new Error(message), { code: 'invalid_selector' });
+
+const NAME_PATTERN = /[a-zA-Z_:][a-zA-Z0-9_:]*/y;
+const LABEL_PATTERN = /[a-zA-Z_][a-zA-Z0-9_]*/y;
+const OPERATOR_PATTERN = /=~|!~|!=|=/y;
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"', "'": "'" };
+
+const matches = ({ op, value, regex }, labelValue) => {
+  switch (op) {
+    case '=': return labelValue === value;
+    case '!=': return labelValue !== value;
+    case '=~': return regex.test(labelValue);
+    default: return !regex.test(labelValue);
+  }
+};
+
+/**
+ * Parse a series selector: an optional metric name, then optional `{label<op>"value", ...}` with
+ * the operators =, !=, =~ and !~. Regular expressions match whole values, as in PromQL.
+ * @param {string} selector
+ * @returns {Array} - [{ label, op, value, regex? }]. Throws an Error with code invalid_selector
+ *   on bad syntax, or when every matcher also matches series without the label
+ */
+export const parseSelector = (selector) => {
+  const text = selector.trim();
+  let position = 0;
+
+  const skipSpace = () => {
+    while (position < text.length && /\s/.test(text[position])) position++;
+  };
+  const read = (pattern) => {
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (!match) return null;
+    position = pattern.lastIndex;
+    return match[0];
+  };
+  const readString = () => {
+    const quote = text[position];
+    if (quote !== '"' && quote !== "'" && quote !== '`') throw invalid(`Expected a quoted value at position ${position + 1} of ${selector}`);
+    let value = '';
+    for (position++; position < text.length; position++) {
+      const char = text[position];
+      if (char === quote) {
+        position++;
+        return value;
+      }
+      // Backquoted strings are raw
+      if (char === '\\' && quote !== '`') {
+        position++;
+        value += STRING_ESCAPES[text[position]] ?? text[position];
+      } else {
+        value += char;
+      }
+    }
+    throw invalid(`Unterminated string in ${selector}`);
+  };
+
+  const matchers = [];
+  const name = read(NAME_PATTERN);
+  if (name) matchers.push({ label: '__name__', op: '=', value: name });
+  skipSpace();
+
+  if (text[position] === '{') {
+    position++;
+    skipSpace();
+    while (text[position] !== '}') {
+      const label = read(LABEL_PATTERN);
+      if (!label) throw invalid(`Expected a label name at position ${position + 1} of ${selector}`);
+      skipSpace();
+      const op = read(OPERATOR_PATTERN);
+      if (!op) throw invalid(`Expected =, !=, =~ or !~ after ${label} in ${selector}`);
+      skipSpace();
+      const matcher = { label, op, value: readString() };
+      if (op === '=~' || op === '!~') {
+        try {
+          matcher.regex = new RegExp(`^(?:${matcher.value})$`, 's');
+        } catch (err) {
+          throw invalid(`Invalid regular expression for ${label}: ${err.message}`);
+        }
+      }
+      matchers.push(matcher);
+      skipSpace();
+      if (text[position] === ',') {
+        position++;
+        skipSpace();
+      } else if (text[position] !== '}') {
+        throw invalid(`Expected , or } at position ${position + 1} of ${selector}`);
+      }
+    }
+    position++;
+  }
+
+  if (position !== text.length || matchers.length === 0) throw invalid(`Invalid series selector: ${selector}`);
+  // As in Prometheus, a selector has to narrow things down, so {} or {job=~".*"} are refused
+  if (matchers.every(matcher => matches(matcher, ''))) {
+    throw invalid(`Selector ${selector} needs at least one matcher that doesn't match empty values`);
+  }
+  return matchers;
+};
+
+const selected = (selectors, name, labels) => selectors.length === 0 || selectors.some(matchers => matchers.every(
+  matcher => matches(matcher, matcher.label === '__name__' ? name : labels[matcher.label] ?? '')
+));
+
+/**
+ * Create the federation view of a scraper's targets
+ * @param {Object} options
+ * @param {Object} options.scraper - From createScraper
+ */
+export const createFederation = ({ scraper }) => {
+  // Each scrape is parsed once however often it is federated
+  const parsed = new WeakMap(); // scrape payload -> snapshot
+
+  const snapshotOf = (scrape) => {
+    if (!parsed.has(scrape)) {
+      parsed.set(scrape, createMetricsSnapshot(scrape.text, {
+        fetchedAt: scrape.fetchedAt,
+        format: formatFromContentType(scrape.contentType),
+      }));
+    }
+    return parsed.get(scrape);
+  };
+
+  return {
+    /**
+     * Render the selected series of every target
+     * @param {string[]} matchSelectors - `match[]` values; every series when empty
+     * @returns {{ text: string, series: number }} - Throws an Error with code invalid_selector
+     *   for a selector that can't be parsed
+     */
+    render(matchSelectors) {
+      const selectors = matchSelectors.map(parseSelector);
+      const samples = [];
+      const metadata = new Map();
+
+      scraper.latestScrapes()
+        .sort((a, b) => a.target.localeCompare(b.target))
+        .forEach(scrape => {
+          const snapshot = snapshotOf(scrape);
+          for (const { name, labels: sourceLabels, value, timestamp } of snapshot.series.values()) {
+            // A target label of the source's own is kept as exported_target, like honor_labels: false
+            const { target: exportedTarget, ...labels } = sourceLabels;
+            if (exportedTarget !== undefined) labels.exported_target = exportedTarget;
+            labels.target = scrape.target;
+            if (!selected(selectors, name, labels)) continue;
+            samples.push({ name, labels, value, timestamp: timestamp ?? scrape.fetchedAt });
+          }
+          // Families keep the first target's metadata when targets disagree
+          snapshot.metadata.forEach(({ type, help }, family) => {
+            if (metadata.has(family) || !type) return;
+            metadata.set(family, { type: TEXT_FORMAT_TYPES.has(type) ? type : 'untyped', help });
+          });
+        });
+
+      return { text: toExposition(samples, metadata), series: samples.length };
+    },
+  };
+};
@@ -1,15 +1,185 @@
-import http from 'http';
-import https from 'https';
-import { URL } from 'url';
+import crypto from 'crypto';
 import express from 'express';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { METRICS_ACCEPT, classifyUpstreamError, normalizeTargetUrl, requestUpstream, upstreamError } from './upstream.js';
+import { createSeriesStore } from './seriesStore.js';
+import { createScraper, parseScrapeTargets } from './scraper.js';
+import { createTargetRegistry, targetRequestHeaders, toPublicTarget, validateTarget } from './targetRegistry.js';
+import { POLICY_ERROR_CODE, createProxyPolicy, loadProxyPolicyConfig } from './proxyPolicy.js';
+import { createProxyCache } from './proxyCache.js';
+import { SCENARIOS, createMockInflux } from './mockMetrics.js';
+import { createRemoteWriteReceiver } from './remoteWrite.js';
+import { createFederation } from './federation.js';
+import { EXPOSITION_CONTENT_TYPE } from './exposition.js';
+import { createMetricsRegistry } from './selfMetrics.js';
+import { createReadinessCheck } from './readiness.js';
+import { resolveTlsFiles } from './tls.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const { version: VERSION } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+const STARTED_AT = Date.now();
+
+// Server-side scraping of SCRAPE_TARGETS, and of this server's own /metrics unless SCRAPE_SELF=false
+const SCRAPE_INTERVAL_MS = Number.parseInt(process.env.SCRAPE_INTERVAL_MS, 10) || 10000;
+const SCRAPE_RETENTION = Number.parseInt(process.env.SCRAPE_RETENTION, 10) || 360; // points per series
+const SCRAPE_MAX_SERIES = Number.parseInt(process.env.SCRAPE_MAX_SERIES, 10) || 50000;
+// Separate from the interval, which browsers choose for on-demand targets, so a short interval
+// can't fail every scrape of a slower target for everyone watching it
+const SCRAPE_TIMEOUT_MS = Math.max(1000, Number.parseInt(process.env.SCRAPE_TIMEOUT_MS, 10) || 10000);
+const SELF_TARGET = { name: 'visualiser', url: `http://127.0.0.1:${PORT}/metrics` };
+
+// What browsers may make the server fetch: the proxy, streamed URLs and registered targets
+const policyConfig = loadProxyPolicyConfig(process.env);
+const policy = createProxyPolicy(policyConfig);
+
+// The server's own metrics, served at /metrics. Collected values are read when scraped.
+const metrics = createMetricsRegistry();
+const proxyRequests = metrics.counter('visualiser_proxy_requests_total', 'Proxy requests by method and response status', ['method', 'status']);
+const proxyCacheResults = metrics.counter('visualiser_proxy_cache_requests_total', 'Proxied GETs by how the proxy cache answered them', ['result']);
+const proxyPolicyDenials = metrics.counter('visualiser_proxy_policy_denials_total', 'Requests refused by the proxy policy', ['code']);
+const proxyResponseBytes = metrics.counter('visualiser_proxy_response_bytes_total', 'Response body bytes the proxy sent to browsers, cached or not');
+const upstreamDuration = metrics.histogram('visualiser_upstream_request_duration_seconds', 'Time to fetch a response from a metrics endpoint', ['source']);
+const upstreamBytes = metrics.counter('visualiser_upstream_response_bytes_total', 'Response body bytes read from metrics endpoints', ['source']);
+const upstreamErrors = metrics.counter('visualiser_upstream_errors_total', 'Failed requests to metrics endpoints by error code', ['source', 'code']);
+const scrapes = metrics.counter('visualiser_scrapes_total', 'Server-side scrapes by target', ['target']);
+const scrapeErrors = metrics.counter('visualiser_scrape_errors_total', 'Failed server-side scrapes by target and error code', ['target', 'code']);
+const remoteWriteRequests = metrics.counter('visualiser_remote_write_requests_total', 'Remote write requests by response status', ['status']);
+const remoteWriteSamples = metrics.counter('visualiser_remote_write_samples_total', 'Samples received by push target', ['target']);
+let openConnections = 0;
+metrics.gauge('visualiser_http_connections', 'Open HTTP connections, including live streams', [], () => openConnections);
+metrics.gauge('visualiser_target_up', 'Whether the last scrape or push of a target succeeded', ['target'],
+  () => scraper.getTargets().filter(target => target.lastScrape !== null).map(target => ({ labels: { target: target.name }, value: target.lastError ? 0 : 1 })));
+metrics.gauge('visualiser_target_series', 'Series in the last scrape or push of a target', ['target'],
+  () => scraper.getTargets().map(target => ({ labels: { target: target.name }, value: target.series })));
+metrics.gauge('visualiser_stream_subscribers', 'Live stream subscribers by target', ['target'],
+  () => scraper.getTargets().map(target => ({ labels: { target: target.name }, value: target.subscribers })));
+metrics.gauge('visualiser_series_store_series', 'Series held in the series store', [], () => store.stats().series);
+metrics.counter('visualiser_series_store_dropped_series_total', 'New series the full series store refused', [], () => store.stats().droppedSeries);
+metrics.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', [],
+  () => Math.round(Date.now() / 1000 - process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => process.memoryUsage.rss());
+metrics.counter('process_cpu_seconds_total', 'Total user and system CPU time spent in seconds', [], () => {
+  const { user, system } = process.cpuUsage();
+  return (user + system) / 1e6;
+});
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [], () => process.memoryUsage().heapUsed);
+
+const store = createSeriesStore({ retention: SCRAPE_RETENTION, maxSeries: SCRAPE_MAX_SERIES });
+const scraper = createScraper({
+  targets: [
+    ...parseScrapeTargets(process.env.SCRAPE_TARGETS),
+    ...(process.env.SCRAPE_SELF === 'false' ? [] : [SELF_TARGET]),
+  ],
+  intervalMs: SCRAPE_INTERVAL_MS,
+  timeoutMs: SCRAPE_TIMEOUT_MS,
+  store,
+  policy,
+  onScrape: ({ target, durationMs, bytes, code }) => {
+    scrapes.inc({ target });
+    if (code) {
+      scrapeErrors.inc({ target, code });
+      upstreamErrors.inc({ source: 'scrape', code });
+      return;
+    }
+    upstreamDuration.observe({ source: 'scrape' }, durationMs / 1000);
+    upstreamBytes.inc({ source: 'scrape' }, bytes);
+  },
+});
+
+// Prometheus remote write: pushed series become push targets, streamed like scraped ones
+const REMOTE_WRITE_TOKEN = process.env.REMOTE_WRITE_TOKEN || '';
+const REMOTE_WRITE_MAX_BODY_BYTES = 16 * 1024 * 1024; // compressed
+const REMOTE_WRITE_MAX_TARGETS = Number.parseInt(process.env.REMOTE_WRITE_MAX_TARGETS, 10) || 20;
+const remoteWrite = createRemoteWriteReceiver({
+  scraper,
+  store,
+  maxSeries: SCRAPE_MAX_SERIES,
+  maxTargets: REMOTE_WRITE_MAX_TARGETS,
+  publishIntervalMs: 1000,
+  onRemove: target => remoteWriteSamples.remove({ target }),
+});
+
+/**
+ * The push target named by ?target=, or null when it isn't a usable name
+ * (a repeated parameter arrives as an array)
+ */
+const pushTargetName = (req) => {
+  const { target = 'remote_write' } = req.query;
+  return typeof target === 'string' && target.length > 0 && target.length <= 100 ? target : null;
+};
+
+// Named targets shown in the UI's target switcher
+// Targets may only name certificate files in TLS_FILES_DIR, as the targets API is open to any browser
+const TLS_FILES_DIR = path.resolve(process.env.TLS_FILES_DIR || path.join(__dirname, '..', 'data', 'tls'));
+const registry = createTargetRegistry({
+  file: process.env.TARGETS_FILE || path.join(__dirname, '..', 'data', 'targets.json'),
+  tlsFilesDir: TLS_FILES_DIR,
+});
+
+// Proxy
+const PROXY_TIMEOUT_MS = 30000;
+const UPSTREAM_ERROR_BODY_BYTES = 1024; // start of an upstream error page kept in the proxy's error
+const proxyCacheTtlMs = Number.parseInt(process.env.PROXY_CACHE_TTL_MS, 10);
+const PROXY_CACHE_TTL_MS = Number.isNaN(proxyCacheTtlMs) ? 1000 : proxyCacheTtlMs; // 0 only coalesces
+const proxyCache = createProxyCache({ ttlMs: PROXY_CACHE_TTL_MS });
+// Headers browsers add on their own; they don't say whose data is asked for, so requests that
+// differ only in these still share a response. Every other forwarded header is part of the key.
+const SHARED_REQUEST_HEADER = /^(?:connection|user-agent|accept-language|referer|origin|dnt|priority|cache-control|pragma|upgrade-insecure-requests|sec-.*)$/;
+
+/**
+ * Proxy cache key: the target, URL and every forwarded header that may select or scope the
+ * response (e.g. `X-Scope-OrgID`), so one client's response never reaches a client that asked differently
+ */
+const proxyCacheKey = (registeredId, url, headers) => JSON.stringify([
+  registeredId ?? '',
+  url.href,
+  Object.keys(headers).filter(name => !SHARED_REQUEST_HEADER.test(name)).sort().map(name => [name, headers[name]]),
+]);
+
+// Server-Sent Events
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_RETRY_MS = 5000; // reconnect delay suggested to EventSource
+
+// Query params that may repeat (`?name=a&name=b`) arrive as a string or an array
+const toList = (value) => [].concat(value ?? []).filter(Boolean);
+
+// Requests the proxy policy refuses get a 403 saying which rule applied
+const sendPolicyDenial = (res, { message, ...denial }) => {
+  proxyPolicyDenials.inc({ code: denial.code });
+  res.status(403).json({ error: `Forbidden by proxy policy: ${message}`, ...denial });
+};
+
+// Compare digests so the time taken doesn't reveal how much of a token matched
+const tokenMatches = (given, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(given).digest(),
+  crypto.createHash('sha256').update(expected).digest(),
+);
+
+// Read a request body as a Buffer. Express' body parsers refuse Content-Encoding: snappy.
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let length = 0;
+  req.on('data', chunk => {
+    length += chunk.length;
+    // The rest is read and discarded, so the client still gets the 413
+    if (length > maxBytes) reject(Object.assign(new Error(`Request body is larger than ${maxBytes} bytes`), { status: 413 }));
+    else chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const parseTime = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const time = Number(value);
+  return Number.isFinite(time) ? time : NaN;
+};
 
 // Middleware
 app.use(express.json());
@@ -28,116 +198,372 @@ app.use((req, res, next) => {
   next();
 });
 
-// Dynamic CORS proxy endpoint - accepts target URL from client
+// Dynamic CORS proxy endpoint - accepts target URL from client, or a registered target
+// whose URL, headers, credentials and TLS settings are applied here
 app.all('/api/proxy', async (req, res) => {
-  const targetUrl = req.query.url || req.body?.url;
+  res.on('finish', () => proxyRequests.inc({ method: req.method, status: String(res.statusCode) }));
+  const methodDenial = policy.checkMethod(req.method);
+  if (methodDenial) return sendPolicyDenial(res, methodDenial);
 
-  if (!targetUrl) {
-    return res.status(400).json({ error: 'Missing "url" parameter. Provide target URL as query param or in body.' });
+  const registered = req.query.target ? registry.get(req.query.target) : null;
+  if (req.query.target && !registered) {
+    return res.status(404).json({ error: `Unknown target: ${req.query.target}`, code: 'unknown_target' });
   }
+  const targetUrl = registered?.url || req.query.url || req.body?.url;
 
-  // Normalize URL
-  let normalizedUrl = targetUrl;
-  if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
-    normalizedUrl = 'http://' + normalizedUrl;
+  if (!targetUrl) {
+    return res.status(400).json({ error: 'Missing "url" parameter. Provide target URL as query param or in body.', code: 'missing_url' });
   }
 
   let parsedUrl;
   try {
-    parsedUrl = new URL(normalizedUrl);
+    parsedUrl = normalizeTargetUrl(targetUrl);
   } catch (err) {
-    return res.status(400).json({ error: `Invalid URL: ${normalizedUrl}` });
+    return res.status(400).json({ error: `Invalid URL: ${targetUrl}`, code: 'invalid_url' });
   }
 
-  const protocol = parsedUrl.protocol === 'https:' ? https : http;
-
   // Forward headers, excluding host
   const headers = { ...req.headers };
   delete headers.host;
   delete headers['content-length'];
   headers.host = parsedUrl.host;
+  if (!headers.accept || headers.accept === '*/*') {
+    headers.accept = METRICS_ACCEPT;
+  }
+  // The browser's credentials are for this server, not the target. Registered targets
+  // authenticate with their stored credentials instead.
+  delete headers.authorization;
+  delete headers['proxy-authorization'];
+  delete headers.cookie;
+  // Responses are shared between clients, so they mustn't depend on one client's cached copy
+  delete headers['if-none-match'];
+  delete headers['if-modified-since'];
+  if (registered) {
+    Object.entries(targetRequestHeaders(registered)).forEach(([name, value]) => {
+      headers[name.toLowerCase()] = value;
+    });
+  }
 
-  // Track whether response has been sent to prevent "headers already sent" errors
-  let responseSent = false;
-
-  const sendErrorResponse = (statusCode, message) => {
-    if (responseSent || res.headersSent) {
-      console.error(`Cannot send error response (already sent): ${message}`);
-      return;
+  // Errors carry a code the UI turns into advice (see classifyUpstreamError)
+  const sendRequestError = (err) => {
+    if (err.code === POLICY_ERROR_CODE) {
+      console.error(err.message);
+      return sendPolicyDenial(res, err.denial);
     }
-    responseSent = true;
-    res.status(statusCode).json({ error: message });
+    const { code, message } = classifyUpstreamError(err);
+    console.error(`Proxy request error (${code}):`, message);
+    res.status(code === 'upstream_timeout' ? 504 : 502).json({
+      error: `Proxy error: ${message}`,
+      code,
+      ...(err.status ? { status: err.status } : {}),
+      ...(err.body ? { body: err.body } : {}),
+      timing: err.timing,
+    });
   };
 
-  const proxyReq = protocol.request(
-    parsedUrl,
-    {
-      method: req.method === 'OPTIONS' ? 'GET' : req.method,
-      headers,
-    },
-    (proxyRes) => {
-      if (responseSent || res.headersSent) {
-        // Response was already sent (e.g., due to timeout), discard proxy response
-        proxyRes.resume(); // Drain the response to free up memory
-        return;
+  const method = req.method === 'OPTIONS' ? 'GET' : req.method;
+  // Forward body for POST/PUT/PATCH
+  let body;
+  if (method !== 'GET' && method !== 'HEAD' && req.body && Object.keys(req.body).length > 0) {
+    // If body was parsed as JSON, stringify it
+    body = typeof req.body === 'object' ? JSON.stringify(req.body) : req.body;
+  }
+  const load = () => requestUpstream(parsedUrl, {
+    method,
+    headers,
+    body,
+    timeoutMs: PROXY_TIMEOUT_MS,
+    tls: resolveTlsFiles(registered?.tls, TLS_FILES_DIR),
+    policy,
+  }).then((response) => {
+    upstreamDuration.observe({ source: 'proxy' }, response.timing.totalMs / 1000);
+    upstreamBytes.inc({ source: 'proxy' }, response.body.length);
+    if (response.status < 200 || response.status >= 300) upstreamErrors.inc({ source: 'proxy', code: 'upstream_http_error' });
+    return response;
+  }, (err) => {
+    // Policy denials have a counter of their own
+    if (err.code !== POLICY_ERROR_CODE) upstreamErrors.inc({ source: 'proxy', code: classifyUpstreamError(err).code });
+    throw err;
+  });
+
+  // Identical GETs (same target and so credentials, URL and forwarded headers) share one upstream
+  // request. It isn't aborted when a client disconnects, since others may be waiting for it.
+  let result;
+  try {
+    result = method === 'GET'
+      ? await proxyCache.get(proxyCacheKey(registered?.id, parsedUrl, headers), load)
+      : { response: await load(), cache: 'BYPASS', ageMs: 0 };
+  } catch (err) {
+    return sendRequestError(err);
+  }
+  const { response, cache, ageMs } = result;
+  proxyCacheResults.inc({ result: cache });
+
+  if (response.status < 200 || response.status >= 300) {
+    // Report the status with the start of the upstream's explanation, which is usually a line or two
+    const message = `Upstream responded with HTTP ${response.status} ${response.statusMessage}`.trim();
+    return sendRequestError(upstreamError('upstream_http_error', message, {
+      status: response.status,
+      body: response.body.subarray(0, UPSTREAM_ERROR_BODY_BYTES).toString('utf8').trim(),
+      timing: response.timing,
+    }));
+  }
+
+  // Forward response headers
+  Object.entries(response.headers).forEach(([key, value]) => {
+    if (key.toLowerCase() !== 'transfer-encoding') {
+      try {
+        res.setHeader(key, value);
+      } catch (err) {
+        console.error(`Failed to set header ${key}:`, err.message);
       }
+    }
+  });
+  // Age adds to any the target reported, e.g. from a cache in front of it
+  res.setHeader('X-Cache', cache);
+  res.setHeader('Age', String((Number(response.headers.age) || 0) + Math.floor(ageMs / 1000)));
+  proxyResponseBytes.inc({}, response.body.length);
+  res.status(response.status).end(response.body);
+});
+
+// Live scrapes pushed as Server-Sent Events. Configured targets stream on their own schedule;
+// registered targets and any other URL are scraped once per interval for all of their subscribers.
+// GET /api/stream?target=<registered id, scrape target name or url>&interval=<ms>
+app.get('/api/stream', (req, res) => {
+  if (!req.query.target) {
+    return res.status(400).json({ error: 'Missing "target" parameter. Provide a target name or URL.' });
+  }
+  const registered = registry.get(req.query.target);
+  const target = registered?.url || req.query.target;
+  const interval = registered?.intervalMs
+    || Math.min(60000, Math.max(100, Number.parseInt(req.query.interval, 10) || SCRAPE_INTERVAL_MS));
 
-      responseSent = true;
-
-      // Forward response headers
-      Object.entries(proxyRes.headers).forEach(([key, value]) => {
-        if (key.toLowerCase() !== 'transfer-encoding') {
-          try {
-            res.setHeader(key, value);
-          } catch (err) {
-            console.error(`Failed to set header ${key}:`, err.message);
-          }
-        }
-      });
-
-      res.status(proxyRes.statusCode);
-
-      proxyRes.on('error', (err) => {
-        console.error('Proxy response stream error:', err.message);
-        // If headers already sent, we can't send an error response
-        // Just end the response if possible
-        if (!res.writableEnded) {
-          res.end();
-        }
-      });
-
-      proxyRes.pipe(res);
+  // Registered targets and other URLs are scraped on demand, under the proxy policy
+  if (registered || !scraper.findTarget(target)) {
+    let url;
+    try {
+      url = normalizeTargetUrl(target);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid URL: ${target}` });
     }
-  );
+    const denial = policy.checkUrl(url);
+    if (denial) return sendPolicyDenial(res, denial);
+  }
 
-  proxyReq.on('error', (err) => {
-    console.error('Proxy request error:', err.message);
-    sendErrorResponse(502, `Proxy error: ${err.message}`);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
   });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
 
-  // Set a timeout
-  proxyReq.setTimeout(30000, () => {
-    proxyReq.destroy();
-    sendErrorResponse(504, 'Proxy timeout');
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const unsubscribe = scraper.subscribe(target, {
+    onScrape: payload => send('scrape', payload),
+    onError: payload => send('scrape_error', payload),
+  }, {
+    intervalMs: interval,
+    headers: registered ? targetRequestHeaders(registered) : undefined,
+    tls: resolveTlsFiles(registered?.tls, TLS_FILES_DIR),
+    name: registered?.id,
   });
 
-  // Handle client disconnect
+  // Comments keep idle connections open through proxies that time out quiet responses
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
   req.on('close', () => {
-    if (!responseSent && !proxyReq.destroyed) {
-      proxyReq.destroy();
-    }
+    clearInterval(heartbeat);
+    unsubscribe();
   });
+});
 
-  // Forward body for POST/PUT/PATCH
-  if (req.method !== 'GET' && req.method !== 'HEAD') {
-    if (req.body && Object.keys(req.body).length > 0) {
-      // If body was parsed as JSON, stringify it
-      const bodyData = typeof req.body === 'object' ? JSON.stringify(req.body) : req.body;
-      proxyReq.write(bodyData);
+// Prometheus remote write receiver. Samples go to the push target named by `target`, which
+// streams, backfills and lists like a scraped target.
+// POST /api/write?target=<name> with a snappy-compressed protobuf WriteRequest (remote write 1.0)
+app.post('/api/write', async (req, res, next) => {
+  res.on('finish', () => remoteWriteRequests.inc({ status: String(res.statusCode) }));
+  if (REMOTE_WRITE_TOKEN && !tokenMatches(req.get('authorization') || '', `Bearer ${REMOTE_WRITE_TOKEN}`)) {
+    return res.status(401).json({ error: 'Missing or wrong bearer token (REMOTE_WRITE_TOKEN)' });
+  }
+  if (/proto=io\.prometheus\.write\.v2/.test(req.get('content-type') || '')) {
+    return res.status(415).json({ error: 'Remote write 2.0 is not supported; send prometheus.WriteRequest (remote write 1.0)' });
+  }
+  const encoding = req.get('content-encoding');
+  if (req.is('application/json') || (encoding && encoding !== 'snappy')) {
+    return res.status(415).json({ error: 'Expected a snappy-compressed protobuf WriteRequest' });
+  }
+  const target = pushTargetName(req);
+  if (!target) return res.status(400).json({ error: '"target" must be a single name of at most 100 characters' });
+  try {
+    const { samples, dropped } = remoteWrite.receive(target, await readBody(req, REMOTE_WRITE_MAX_BODY_BYTES));
+    remoteWriteSamples.inc({ target }, samples);
+    if (dropped > 0) console.error(`Series limit reached: dropped ${dropped} of ${samples} samples pushed to ${target}`);
+    res.status(204).end();
+  } catch (err) {
+    // 4xx tells the sender not to retry the batch
+    if (err.code === 'invalid_write_request') return res.status(400).json({ error: `Invalid write request: ${err.message}` });
+    if (err.code === 'target_conflict') return res.status(409).json({ error: err.message });
+    if (err.code === 'too_many_targets') return res.status(400).json({ error: err.message });
+    if (err.status === 413) return res.status(413).json({ error: err.message });
+    next(err);
+  }
+});
+
+// The latest pushed sample of every series, for polling a push target like any metrics URL
+// GET /api/write?target=<name>
+app.get('/api/write', (req, res) => {
+  const target = pushTargetName(req);
+  if (!target) return res.status(400).json({ error: '"target" must be a single name of at most 100 characters' });
+  const text = remoteWrite.exposition(target);
+  if (text === null) return res.status(404).json({ error: `Nothing has been pushed to ${target}` });
+  res.type(EXPOSITION_CONTENT_TYPE).send(text);
+});
+
+// Named targets registry. Responses carry the redacted view of each target (see toPublicTarget).
+app.get('/api/targets', (_req, res) => {
+  res.json({ targets: registry.list().map(toPublicTarget) });
+});
+
+app.post('/api/targets', async (req, res, next) => {
+  const { value, errors } = validateTarget(req.body, null, { tlsFilesDir: TLS_FILES_DIR });
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  const denial = value.useProxy ? policy.checkUrl(new URL(value.url)) : null;
+  if (denial) return sendPolicyDenial(res, denial);
+  if (registry.isNameTaken(value.name)) {
+    return res.status(409).json({ error: `A target named "${value.name}" already exists` });
+  }
+  try {
+    res.status(201).json(toPublicTarget(await registry.create(value)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.put('/api/targets/:id', async (req, res, next) => {
+  const existing = registry.list().find(target => target.id === req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: `Unknown target: ${req.params.id}` });
+  }
+  const { value, errors } = validateTarget(req.body, existing, { tlsFilesDir: TLS_FILES_DIR });
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  const denial = value.useProxy ? policy.checkUrl(new URL(value.url)) : null;
+  if (denial) return sendPolicyDenial(res, denial);
+  if (registry.isNameTaken(value.name, req.params.id)) {
+    return res.status(409).json({ error: `A target named "${value.name}" already exists` });
+  }
+  try {
+    const target = await registry.update(req.params.id, value);
+    if (!target) return res.status(404).json({ error: `Unknown target: ${req.params.id}` });
+    res.json(toPublicTarget(target));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.delete('/api/targets/:id', async (req, res, next) => {
+  try {
+    if (!(await registry.remove(req.params.id))) {
+      return res.status(404).json({ error: `Unknown target: ${req.params.id}` });
     }
+    res.sendStatus(204);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Series kept by the server-side scraper
+// GET /api/series?target=<name or url>&name=<metric>&limit=<n>
+app.get('/api/series', (req, res) => {
+  const target = req.query.target ? scraper.findTarget(req.query.target) : null;
+  if (req.query.target && !target) {
+    return res.status(404).json({ error: `Target is not scraped by the server: ${req.query.target}` });
+  }
+  const limit = Number.parseInt(req.query.limit, 10) || 1000;
+  const targets = scraper.getTargets();
+  const names = new Map(targets.map(({ key, name }) => [key, name]));
+  res.json({
+    targets,
+    stats: store.stats(),
+    series: store.listSeries({ target: target?.key, names: toList(req.query.name), limit })
+      .map(series => ({ ...series, target: names.get(series.target) ?? series.target })),
+  });
+});
+
+// Points of the named metrics of one target, for backfilling charts
+// GET /api/query_range?target=<name or url>&name=<metric>[&name=...]&start=<ms>&end=<ms>&step=<ms>
+app.get('/api/query_range', (req, res) => {
+  const target = scraper.findTarget(req.query.target);
+  if (!target) {
+    return res.status(404).json({ error: `Target is not scraped by the server: ${req.query.target || '(none)'}` });
+  }
+  const names = toList(req.query.name);
+  if (names.length === 0) {
+    return res.status(400).json({ error: 'Missing "name" parameter. Provide one or more metric names.' });
+  }
+  const end = parseTime(req.query.end, Date.now());
+  const start = parseTime(req.query.start, 0);
+  const step = parseTime(req.query.step, 0);
+  if (Number.isNaN(start) || Number.isNaN(end) || Number.isNaN(step)) {
+    return res.status(400).json({ error: '"start", "end" and "step" must be Unix times / durations in milliseconds' });
+  }
+
+  res.json({
+    target: target.name,
+    start,
+    end,
+    step,
+    series: store.queryRange({ target: target.key, names, start, end, step }),
+  });
+});
+
+// The latest samples of every target as one exposition, with a `target` label per source
+// GET /api/federate?match[]=<series selector>[&match[]=...] (every series without match[])
+const federation = createFederation({ scraper });
+app.get('/api/federate', (req, res, next) => {
+  try {
+    const { text } = federation.render(toList(req.query.match));
+    res.type(EXPOSITION_CONTENT_TYPE).send(text);
+  } catch (err) {
+    if (err.code === 'invalid_selector') return res.status(400).json({ error: err.message });
+    next(err);
   }
+});
 
-  proxyReq.end();
+// Liveness: the process is up and serving requests. Used by the Docker HEALTHCHECK.
+app.get('/api/health', (_req, res) => {
+  res.json({ status: 'ok', version: VERSION, startedAt: STARTED_AT, uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: reachability and last scrape of every configured target; 503 while any is down or stale.
+// Probes of registered targets are reused well beyond the UI's 15s poll.
+const READINESS_PROBE_TTL_MS = 60000;
+const readiness = createReadinessCheck({ scraper, registry, policy, probeTtlMs: READINESS_PROBE_TTL_MS, timeoutMs: 5000, tlsFilesDir: TLS_FILES_DIR });
+app.get('/api/ready', async (_req, res, next) => {
+  try {
+    const result = await readiness.check();
+    res.status(result.ready ? 200 : 503).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The server's own metrics (see selfMetrics.js), scraped as the built-in "visualiser" target
+app.get('/metrics', (_req, res) => {
+  res.type(EXPOSITION_CONTENT_TYPE).send(metrics.render());
+});
+
+// Simulated InfluxDB metrics for demos and development without a live instance
+// GET /api/mock/metrics?scenario=<name> (default: steady)
+const mockInflux = createMockInflux();
+app.get('/api/mock/metrics', (req, res) => {
+  const scenario = req.query.scenario || 'steady';
+  if (!Object.hasOwn(SCENARIOS, scenario)) {
+    return res.status(404).json({
+      error: `Unknown scenario: ${scenario}. Available: ${Object.keys(SCENARIOS).join(', ')}`,
+      scenarios: Object.fromEntries(Object.entries(SCENARIOS).map(([name, { description }]) => [name, description])),
+    });
+  }
+  res.type(EXPOSITION_CONTENT_TYPE).send(mockInflux.scrape(scenario));
 });
 
 // Global error handler for Express - prevents crashes from unhandled errors in routes
@@ -160,8 +586,17 @@ app.get('*', (_req, res) => {
 });
 
 const server = app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`Server ${VERSION} running on http://localhost:${PORT}`);
   console.log(`CORS proxy available at http://localhost:${PORT}/api/proxy?url=<target>`);
+  console.log(`Remote write receiver at http://localhost:${PORT}/api/write?target=<name>${REMOTE_WRITE_TOKEN ? ' (bearer token required)' : ''}`);
+  console.log(`Server metrics at http://localhost:${PORT}/metrics`);
+  console.log(`Federation endpoint at http://localhost:${PORT}/api/federate?match[]=<selector>`);
+  console.log(`Simulated InfluxDB metrics at http://localhost:${PORT}/api/mock/metrics?scenario=<${Object.keys(SCENARIOS).join('|')}>`);
+  console.log(`Proxy policy: allow ${policyConfig.allow.join(', ') || 'any host'}; deny ${policyConfig.deny.join(', ') || 'nothing'}; methods ${policy.methods.join(', ')}; max response ${policy.maxResponseBytes} bytes`);
+  scraper.getTargets().forEach(target => {
+    console.log(`Scraping ${target.name} (${target.url}) every ${SCRAPE_INTERVAL_MS}ms`);
+  });
+  scraper.start();
   if (process.env.NODE_ENV === 'production') {
     console.log('Serving static files from client/dist');
   } else {
@@ -169,6 +604,13 @@ const server = app.listen(PORT, () => {
   }
 });
 
+server.on('connection', (socket) => {
+  openConnections++;
+  socket.once('close', () => {
+    openConnections--;
+  });
+});
+
 // Handle server-level errors
 server.on('error', (err) => {
   console.error('Server error:', err);
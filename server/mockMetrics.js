@@ -0,0 +1,405 @@
+/**
+ * Simulated InfluxDB 2.x `/metrics` for demos and offline development. Each scenario runs its own
+ * simulated server, started by its first scrape, whose counters, Go memory and storage engine
+ * evolve with real time between scrapes. It covers every metric the Dashboard and Internals tabs read.
+ */
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+// http_api_request_duration_seconds buckets, as InfluxDB exposes them
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const LATENCY_SPREAD = 0.6; // sigma of the log-normal request latency
+
+const ORG_ID = '9a3ec0b0c3d5f1e2';
+const COMPACTION_LEVELS = ['1', '2', '3', '4', 'full'];
+
+// Buckets and the share of written points each receives
+const BUCKETS = [
+  { name: 'telegraf', id: '4f2a9c1d7e3b8a60', share: 0.9, series: 12000, measurements: 24, files: 6 },
+  { name: '_monitoring', id: '0b7d3e5f9a1c2468', share: 0.08, series: 340, measurements: 3, files: 2 },
+  { name: '_tasks', id: '7c1e5a3b9d2f4086', share: 0.02, series: 60, measurements: 1, files: 1 },
+];
+
+const WAL_SNAPSHOT_BYTES = 25 * MB;
+const TASK_RUN_RATE = 0.5; // task runs/s
+
+// Smooth drift around 1 with a little jitter, so rates wander rather than jump
+const wobble = (t, periodSeconds, amount = 0.15) =>
+  1 + amount * Math.sin((2 * Math.PI * t) / periodSeconds) + amount * 0.3 * (Math.random() - 0.5);
+
+/**
+ * Normal load: what each scenario starts from
+ * @param {number} t - Seconds since the scenario's first scrape
+ */
+const steadyLoad = (t) => ({
+  writeRate: 20 * wobble(t, 300), // write requests/s
+  pointsPerWrite: 500,
+  queryRate: 2 * wobble(t, 120, 0.3), // queries/s
+  writeLatency: 0.008 * wobble(t, 90), // median, seconds
+  queryLatency: 0.06 * wobble(t, 60),
+  compactions: t % 60 < 8 ? 1 : 0, // active compactions: a level-1 compaction each minute
+  compactionFailureRate: 0, // failed compactions/s
+  tsmBacklog: 0, // TSM files waiting for compaction, beyond the ones snapshots add
+  leakBytesPerSecond: 0,
+  errorRatio: 0.002, // share of queries and task runs that fail
+});
+
+/**
+ * Scenarios by name. `load(t)` gives the load `t` seconds after the first scrape (see steadyLoad);
+ * `restartEverySeconds` restarts the simulated process, resetting its counters.
+ */
+export const SCENARIOS = {
+  steady: {
+    description: 'Normal load with a small compaction each minute',
+    load: steadyLoad,
+  },
+  write_spike: {
+    description: '8x write bursts for 30s every 2 minutes: slower writes, WAL growth and writer timeouts',
+    load: (t) => {
+      const base = steadyLoad(t);
+      if (t % 120 < 60 || t % 120 >= 90) return base;
+      return {
+        ...base,
+        writeRate: base.writeRate * 8,
+        writeLatency: base.writeLatency * 6,
+        queryLatency: base.queryLatency * 2,
+        compactions: 2,
+      };
+    },
+  },
+  compaction_storm: {
+    description: 'Compactions on every level that keep failing, a growing TSM backlog and slow queries',
+    load: (t) => ({
+      ...steadyLoad(t),
+      writeLatency: 0.025 * wobble(t, 45, 0.3),
+      queryLatency: 0.4 * wobble(t, 30, 0.3),
+      compactions: Math.round(5 + 2 * Math.sin((2 * Math.PI * t) / 40)),
+      compactionFailureRate: 0.05,
+      tsmBacklog: Math.min(60, 20 + t / 10),
+      errorRatio: 0.03,
+    }),
+  },
+  memory_leak: {
+    description: 'Heap and goroutines that grow steadily, with longer GC pauses, until restarted',
+    load: (t) => ({ ...steadyLoad(t), leakBytesPerSecond: 2 * MB }),
+  },
+  counter_reset: {
+    description: 'Normal load, but the process restarts every 90s and its counters start from zero',
+    load: steadyLoad,
+    restartEverySeconds: 90,
+  },
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const createHistogram = () => ({ buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+
+// Record `requests` requests whose latency is log-normal around `median` seconds
+const observe = (histogram, requests, median) => {
+  LATENCY_BUCKETS.forEach((le, i) => {
+    histogram.buckets[i] += requests * normalCdf(Math.log(le / median) / LATENCY_SPREAD);
+  });
+  histogram.sum += requests * median * Math.exp((LATENCY_SPREAD * LATENCY_SPREAD) / 2);
+  histogram.count += requests;
+};
+
+const createProcess = (now) => ({
+  startedAt: now,
+  lastTick: now,
+  http: { write: createHistogram(), query: createHistogram(), health: 0 },
+  writeBytes: 0,
+  queryBytes: 0,
+  writerTimeouts: 0,
+  leaked: 0,
+  memory: { heapAlloc: 40 * MB, heapSys: 96 * MB, allocTotal: 0, mallocs: 0, gcCount: 0, gcPauseSum: 0, gcPause: 0.0003, lastGc: now },
+  buckets: BUCKETS.map((bucket, i) => ({ ...bucket, shardId: String(i + 1), wal: 0, disk: bucket.series * 4 * KB, pendingFiles: 0 })),
+  compactionsFailed: Object.fromEntries(COMPACTION_LEVELS.map(level => [level, 0])),
+  queries: { success: 0, error: 0 },
+  tasks: { success: 0, failed: 0, delayCount: 0, delaySum: 0, executeCount: 0, executeSum: 0 },
+  bolt: { reads: 0, writes: 0 },
+  gauges: {},
+});
+
+// Move a process forward to `now` under `load` (a process's first scrape only sets its gauges)
+const advance = (proc, load, now) => {
+  const dt = (now - proc.lastTick) / 1000;
+  proc.lastTick = now;
+
+  // HTTP API
+  const writes = load.writeRate * dt;
+  const queries = load.queryRate * dt;
+  const points = writes * load.pointsPerWrite;
+  observe(proc.http.write, writes, load.writeLatency);
+  observe(proc.http.query, queries, load.queryLatency);
+  proc.http.health += dt / 10; // a load balancer's health check
+  proc.writeBytes += points * 42;
+  proc.queryBytes += queries * 24 * KB;
+  if (load.writeRate > 100) proc.writerTimeouts += (load.writeRate - 100) * 0.002 * dt;
+
+  // Storage: points land in the WAL, which is snapshotted to new TSM files that compactions merge
+  proc.buckets.forEach(bucket => {
+    bucket.wal += points * bucket.share * 28;
+    bucket.series += writes * bucket.share * 0.002;
+    while (bucket.wal > WAL_SNAPSHOT_BYTES) {
+      bucket.wal -= WAL_SNAPSHOT_BYTES;
+      bucket.disk += WAL_SNAPSHOT_BYTES * 0.3;
+      bucket.pendingFiles += 1;
+    }
+    if (load.compactions > 0) {
+      bucket.pendingFiles = Math.max(0, bucket.pendingFiles - load.compactions * 0.05 * dt);
+    }
+  });
+  const failures = load.compactionFailureRate * dt;
+  proc.compactionsFailed['2'] += failures * 0.3;
+  proc.compactionsFailed.full += failures * 0.7;
+
+  // Queries and tasks
+  proc.queries.success += queries * (1 - load.errorRatio);
+  proc.queries.error += queries * load.errorRatio;
+  const runs = TASK_RUN_RATE * dt;
+  proc.tasks.success += runs * (1 - load.errorRatio);
+  proc.tasks.failed += runs * load.errorRatio;
+  proc.tasks.delayCount += runs;
+  proc.tasks.delaySum += runs * 0.02 * (1 + load.compactions * 0.2);
+  proc.tasks.executeCount += runs;
+  proc.tasks.executeSum += runs * 0.0015;
+  proc.bolt.reads += queries * 3 + runs * 5 + dt;
+  proc.bolt.writes += runs * 2;
+
+  // Go memory: garbage piles up between GCs, which run whenever the heap doubles its live size
+  const memory = proc.memory;
+  proc.leaked += load.leakBytesPerSecond * dt;
+  const live = 40 * MB + load.writeRate * 0.5 * MB + load.queryRate * 2 * MB + proc.leaked;
+  const allocated = (load.writeRate * 160 * KB + load.queryRate * 3 * MB) * dt;
+  const cycle = live; // GOGC=100
+  const garbage = Math.max(0, memory.heapAlloc - live) + allocated;
+  const gcs = Math.floor(garbage / cycle);
+  memory.heapAlloc = live + (garbage - gcs * cycle);
+  memory.nextGc = live * 2;
+  memory.heapSys = Math.max(memory.heapSys, memory.nextGc * 1.12 + 8 * MB);
+  memory.allocTotal += allocated;
+  memory.mallocs += allocated / 180;
+  memory.gcPause = 0.0002 + (live / (1024 * MB)) * 0.004;
+  memory.gcCount += gcs;
+  memory.gcPauseSum += gcs * memory.gcPause;
+  if (gcs > 0) memory.lastGc = now;
+
+  proc.gauges = {
+    goroutines: Math.round(160 + load.writeRate * 0.8 + load.queryRate * 3 + load.compactions * 4 + proc.leaked / MB),
+    threads: 12 + load.compactions,
+    gcCpuFraction: Math.min(0.25, 0.001 + (dt > 0 ? gcs / dt : 0) * memory.gcPause * 4 + load.compactions * 0.002),
+    executing: Math.round(load.queryRate * load.queryLatency + Math.random() * 0.6),
+    compiling: Math.random() < load.queryRate * 0.05 ? 1 : 0,
+    queueing: Math.max(0, Math.round(load.queryRate * load.queryLatency - 2)),
+    runsActive: Math.random() < TASK_RUN_RATE * 0.8 ? 1 : 0,
+    compactions: load.compactions,
+    tsmBacklog: load.tsmBacklog,
+  };
+};
+
+// --- Exposition ---
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${value}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => (Number.isInteger(value) ? String(value) : String(Math.round(value * 1e9) / 1e9));
+
+/**
+ * Collects metric families in exposition order
+ */
+const createExposition = () => {
+  const lines = [];
+  return {
+    // samples: [[labels, value]] or a single value; counters are floored to whole events
+    family(name, type, help, samples) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      const list = Array.isArray(samples) ? samples : [[{}, samples]];
+      list.forEach(([labels, value]) => {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(type === 'counter' ? Math.floor(value) : value)}`);
+      });
+    },
+    histogram(name, help, series) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+      series.forEach(([labels, histogram]) => {
+        // Floors of cumulative counts stay cumulative
+        LATENCY_BUCKETS.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(le) })} ${Math.floor(histogram.buckets[i])}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${Math.floor(histogram.count)}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(histogram.sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${Math.floor(histogram.count)}`);
+      });
+    },
+    summary(name, help, quantiles, sum, count) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} summary`);
+      quantiles.forEach(([quantile, value]) => lines.push(`${name}{quantile="${quantile}"} ${formatValue(value)}`));
+      lines.push(`${name}_sum ${formatValue(sum)}`, `${name}_count ${Math.floor(count)}`);
+    },
+    toString() {
+      return `${lines.join('\n')}\n`;
+    },
+  };
+};
+
+const render = (proc, now) => {
+  const out = createExposition();
+  const { memory, gauges } = proc;
+  const heapInuse = memory.heapAlloc * 1.06 + 2 * MB;
+  const heapIdle = memory.heapSys - heapInuse;
+  const heapObjects = memory.heapAlloc / 180;
+  const stackInuse = gauges.goroutines * 12 * KB;
+  const mspanInuse = heapInuse / 85;
+  const sys = memory.heapSys + stackInuse + 512 * KB + mspanInuse * 1.2 + 31200 + 1.9 * MB + memory.heapSys * 0.035 + 1.4 * MB;
+
+  // Go runtime
+  out.summary('go_gc_duration_seconds', 'A summary of the pause duration of garbage collection cycles.', [
+    ['0', memory.gcPause * 0.4], ['0.25', memory.gcPause * 0.7], ['0.5', memory.gcPause],
+    ['0.75', memory.gcPause * 1.4], ['1', memory.gcPause * 3],
+  ], memory.gcPauseSum, memory.gcCount);
+  out.family('go_goroutines', 'gauge', 'Number of goroutines that currently exist.', gauges.goroutines);
+  out.family('go_info', 'gauge', 'Information about the Go environment.', [[{ version: 'go1.21.13' }, 1]]);
+  out.family('go_memstats_alloc_bytes', 'gauge', 'Number of bytes allocated and still in use.', Math.round(memory.heapAlloc));
+  out.family('go_memstats_alloc_bytes_total', 'counter', 'Total number of bytes allocated, even if freed.', memory.allocTotal);
+  out.family('go_memstats_buck_hash_sys_bytes', 'gauge', 'Number of bytes used by the profiling bucket hash table.', Math.round(1.9 * MB));
+  out.family('go_memstats_frees_total', 'counter', 'Total number of frees.', Math.max(0, memory.mallocs - heapObjects));
+  out.family('go_memstats_gc_cpu_fraction', 'gauge', 'The fraction of this program\'s available CPU time used by the GC since the program started.', gauges.gcCpuFraction);
+  out.family('go_memstats_gc_sys_bytes', 'gauge', 'Number of bytes used for garbage collection system metadata.', Math.round(memory.heapSys * 0.035));
+  out.family('go_memstats_heap_alloc_bytes', 'gauge', 'Number of heap bytes allocated and still in use.', Math.round(memory.heapAlloc));
+  out.family('go_memstats_heap_idle_bytes', 'gauge', 'Number of heap bytes waiting to be used.', Math.round(heapIdle));
+  out.family('go_memstats_heap_inuse_bytes', 'gauge', 'Number of heap bytes that are in use.', Math.round(heapInuse));
+  out.family('go_memstats_heap_objects', 'gauge', 'Number of allocated objects.', Math.round(heapObjects));
+  out.family('go_memstats_heap_released_bytes', 'gauge', 'Number of heap bytes released to OS.', Math.round(heapIdle * 0.6));
+  out.family('go_memstats_heap_sys_bytes', 'gauge', 'Number of heap bytes obtained from system.', Math.round(memory.heapSys));
+  out.family('go_memstats_last_gc_time_seconds', 'gauge', 'Number of seconds since 1970 of last garbage collection.', memory.lastGc / 1000);
+  out.family('go_memstats_mallocs_total', 'counter', 'Total number of mallocs.', memory.mallocs);
+  out.family('go_memstats_mcache_inuse_bytes', 'gauge', 'Number of bytes in use by mcache structures.', 19200);
+  out.family('go_memstats_mcache_sys_bytes', 'gauge', 'Number of bytes used for mcache structures obtained from system.', 31200);
+  out.family('go_memstats_mspan_inuse_bytes', 'gauge', 'Number of bytes in use by mspan structures.', Math.round(mspanInuse));
+  out.family('go_memstats_mspan_sys_bytes', 'gauge', 'Number of bytes used for mspan structures obtained from system.', Math.round(mspanInuse * 1.2));
+  out.family('go_memstats_next_gc_bytes', 'gauge', 'Number of heap bytes when next garbage collection will take place.', Math.round(memory.nextGc));
+  out.family('go_memstats_other_sys_bytes', 'gauge', 'Number of bytes used for other system allocations.', Math.round(1.4 * MB));
+  out.family('go_memstats_stack_inuse_bytes', 'gauge', 'Number of bytes in use by the stack allocator.', stackInuse);
+  out.family('go_memstats_stack_sys_bytes', 'gauge', 'Number of bytes obtained from system for stack allocator.', stackInuse + 512 * KB);
+  out.family('go_memstats_sys_bytes', 'gauge', 'Number of bytes obtained from system.', Math.round(sys));
+  out.family('go_threads', 'gauge', 'Number of OS threads created.', gauges.threads);
+
+  // BoltDB metadata store
+  out.family('boltdb_reads_total', 'counter', 'Total number of boltdb reads', proc.bolt.reads);
+  out.family('boltdb_writes_total', 'counter', 'Total number of boltdb writes', proc.bolt.writes);
+
+  // HTTP API
+  const writeLabels = { handler: 'platform', method: 'POST', path: '/api/v2/write', response_code: '204', status: '2XX', user_agent: 'Telegraf' };
+  const queryLabels = { handler: 'platform', method: 'POST', path: '/api/v2/query', response_code: '200', status: '2XX', user_agent: 'Chrome' };
+  out.histogram('http_api_request_duration_seconds', 'Time taken to respond to HTTP request', [
+    [writeLabels, proc.http.write],
+    [queryLabels, proc.http.query],
+  ]);
+  out.family('http_api_requests_total', 'counter', 'Number of http requests received', [
+    [{ handler: 'platform', method: 'GET', path: '/health', response_code: '200', status: '2XX', user_agent: 'kube-probe' }, proc.http.health],
+    [writeLabels, proc.http.write.count],
+    [queryLabels, proc.http.query.count],
+  ]);
+  out.family('http_query_request_count', 'counter', 'Total number of query requests', [[{ endpoint: '/api/v2/query', org_id: ORG_ID, status: '2XX' }, proc.http.query.count]]);
+  out.family('http_query_response_bytes', 'counter', 'Count of bytes returned by the query endpoint', [[{ endpoint: '/api/v2/query', org_id: ORG_ID, status: '2XX' }, proc.queryBytes]]);
+  out.family('http_write_request_bytes', 'counter', 'Count of bytes received by the write endpoint', [[{ endpoint: '/api/v2/write', org_id: ORG_ID, status: '2XX' }, proc.writeBytes]]);
+  out.family('http_write_request_count', 'counter', 'Total number of write requests', [[{ endpoint: '/api/v2/write', org_id: ORG_ID, status: '2XX' }, proc.http.write.count]]);
+
+  // Instance
+  out.family('influxdb_buckets_total', 'counter', 'Number of total buckets on the server', BUCKETS.length);
+  out.family('influxdb_dashboards_total', 'counter', 'Number of total dashboards on the server', 6);
+  out.family('influxdb_info', 'gauge', 'Information about the influxdb environment.', [[{ arch: 'amd64', build_date: '2024-04-05T16:30:12Z', commit: '19e5c0e1b7', cpus: '8', os: 'linux', version: 'v2.7.6' }, 1]]);
+  out.family('influxdb_organizations_total', 'counter', 'Number of total organizations on the server', 1);
+  out.family('influxdb_tokens_total', 'counter', 'Number of total tokens on the server', 4);
+  out.family('influxdb_uptime_seconds', 'gauge', 'influxdb process uptime in seconds', Math.round((now - proc.startedAt) / 100) / 10);
+  out.family('influxdb_users_total', 'counter', 'Number of total users on the server', 2);
+
+  // Query controller
+  out.family('qc_all_active', 'gauge', 'Number of queries in all states', gauges.compiling + gauges.queueing + gauges.executing);
+  out.family('qc_compiling_active', 'gauge', 'Number of queries actively compiling', gauges.compiling);
+  out.family('qc_executing_active', 'gauge', 'Number of queries actively executing', gauges.executing);
+  out.family('qc_memory_unused_bytes', 'gauge', 'The free memory as seen by the internal memory manager', 1024 * MB - gauges.executing * 16 * MB);
+  out.family('qc_queueing_active', 'gauge', 'Number of queries actively queueing', gauges.queueing);
+  out.family('qc_requests_total', 'counter', 'Count of the query requests', [
+    [{ org: ORG_ID, result: 'success' }, proc.queries.success],
+    [{ org: ORG_ID, result: 'error' }, proc.queries.error],
+  ]);
+  out.family('query_control_queries_active', 'gauge', 'Number of queries executing', gauges.executing);
+  out.family('query_control_queries_queued', 'gauge', 'Number of queries waiting to execute', gauges.queueing);
+
+  // Storage engine, per bucket shard
+  const shard = (bucket) => ({ bucket: bucket.id, engine: 'tsm1', id: bucket.shardId });
+  out.family('storage_bucket_measurement_num', 'gauge', 'Gauge of measurement cardinality per bucket', proc.buckets.map(b => [{ bucket: b.id }, b.measurements]));
+  out.family('storage_bucket_series_num', 'gauge', 'Gauge of series cardinality per bucket', proc.buckets.map(b => [{ bucket: b.id }, Math.round(b.series)]));
+  out.family('storage_compactions_active', 'gauge', 'Gauge of compactions (by level) currently running', COMPACTION_LEVELS.map((level, i) => [
+    { ...shard(proc.buckets[0]), level },
+    Math.floor(gauges.compactions / COMPACTION_LEVELS.length) + (i < gauges.compactions % COMPACTION_LEVELS.length ? 1 : 0),
+  ]));
+  out.family('storage_compactions_failed', 'counter', 'Counter of TSM compactions (by level) that have failed due to error', COMPACTION_LEVELS.map(level => [
+    { ...shard(proc.buckets[0]), level },
+    proc.compactionsFailed[level],
+  ]));
+  out.family('storage_shard_disk_size', 'gauge', 'Gauge of the disk size for the shard', proc.buckets.map(b => [shard(b), Math.round(b.disk + gauges.tsmBacklog * b.share * 4 * MB)]));
+  out.family('storage_tsm_files_total', 'gauge', 'Gauge of number of files per shard', proc.buckets.map(b => [
+    shard(b),
+    b.files + Math.round(b.pendingFiles + gauges.tsmBacklog * b.share),
+  ]));
+  out.family('storage_wal_size', 'gauge', 'Gauge of size of WAL in bytes', proc.buckets.map(b => [shard(b), Math.round(b.wal)]));
+  out.family('storage_writer_timeouts', 'counter', 'Number of shard write request timeouts', [[{ path: '/var/lib/influxdb2/engine/data' }, proc.writerTimeouts]]);
+
+  // Tasks
+  out.family('task_executor_errors_counter', 'counter', 'The number of errors thrown by the executor with the type of error (ex. Invalid, Internal, etc.)', [[{ errorType: 'internal error' }, proc.tasks.failed]]);
+  out.family('task_executor_promise_queue_usage', 'gauge', 'Percent of the promise queue that is currently in use', gauges.runsActive / 1000);
+  out.family('task_executor_total_runs_active', 'gauge', 'Total number of workers currently running tasks', gauges.runsActive);
+  out.family('task_executor_total_runs_complete', 'counter', 'Total number of runs completed across all tasks, split out by success or failure.', [
+    [{ status: 'failed' }, proc.tasks.failed],
+    [{ status: 'success' }, proc.tasks.success],
+  ]);
+  out.family('task_executor_workers_busy', 'gauge', 'Percent of total available workers that are currently busy', gauges.runsActive / 100);
+  out.family('task_scheduler_current_execution', 'gauge', 'Number of tasks currently being executed', gauges.runsActive);
+  out.summary('task_scheduler_execute_delta', 'The duration in seconds between a run starting and finishing.', [
+    ['0.5', 0.0015], ['0.9', 0.003], ['0.99', 0.008],
+  ], proc.tasks.executeSum, proc.tasks.executeCount);
+  out.summary('task_scheduler_schedule_delay', 'The duration between when a Item should be scheduled and when it is told to execute.', [
+    ['0.5', 0.02], ['0.9', 0.04], ['0.99', 0.1],
+  ], proc.tasks.delaySum, proc.tasks.delayCount);
+
+  return out.toString();
+};
+
+/**
+ * Create the simulated servers, one per scenario
+ */
+export const createMockInflux = () => {
+  const simulations = new Map(); // scenario name -> { startedAt, process }
+
+  return {
+    /**
+     * Scrape a scenario's simulated server
+     * @param {string} scenario - A key of SCENARIOS
+     * @param {number} [now] - Unix time in ms
+     * @returns {string} - Prometheus text exposition
+     */
+    scrape(scenario, now = Date.now()) {
+      const { load, restartEverySeconds } = SCENARIOS[scenario];
+      let simulation = simulations.get(scenario);
+      if (!simulation) {
+        simulation = { startedAt: now, process: createProcess(now) };
+        simulations.set(scenario, simulation);
+      }
+      if (restartEverySeconds && now - simulation.process.startedAt >= restartEverySeconds * 1000) {
+        simulation.process = createProcess(now);
+      }
+      advance(simulation.process, load((now - simulation.startedAt) / 1000), now);
+      return render(simulation.process, now);
+    },
+  };
+};
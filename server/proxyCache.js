@@ -0,0 +1,55 @@
+/**
+ * Request coalescing and a short-lived response cache for the CORS proxy. Every widget, tab
+ * and user polling the same target within the cache lifetime shares one upstream request.
+ */
+
+/**
+ * Create a cache
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long a successful response is served again; 0 only
+ *   shares requests that are in flight at the same time
+ */
+export const createProxyCache = ({ ttlMs }) => {
+  const entries = new Map(); // key -> { promise, storedAt } (storedAt is null while in flight)
+
+  const isFresh = (entry) => entry.storedAt === null || Date.now() - entry.storedAt < ttlMs;
+
+  const forget = (key, entry) => {
+    if (entries.get(key) === entry) entries.delete(key);
+  };
+
+  return {
+    /**
+     * Get a response, from the cache, from an identical request in flight, or by loading it
+     * @param {string} key - Identifies requests that get the same response
+     * @param {Function} load - Starts the upstream request; resolves to { status, ... } (see requestUpstream)
+     * @returns {Promise<{ response: Object, cache: 'MISS' | 'HIT' | 'COALESCED', ageMs: number }>} -
+     *   Rejects with load's error, which is shared by every request that joined it
+     */
+    async get(key, load) {
+      const existing = entries.get(key);
+      if (existing && isFresh(existing)) {
+        if (existing.storedAt === null) return { response: await existing.promise, cache: 'COALESCED', ageMs: 0 };
+        return { response: await existing.promise, cache: 'HIT', ageMs: Date.now() - existing.storedAt };
+      }
+
+      const entry = { promise: load(), storedAt: null };
+      entries.set(key, entry);
+      let response;
+      try {
+        response = await entry.promise;
+      } catch (err) {
+        forget(key, entry);
+        throw err;
+      }
+      // Errors are only shared with the requests that were waiting for them
+      if (ttlMs > 0 && response.status >= 200 && response.status < 300) {
+        entry.storedAt = Date.now();
+        setTimeout(() => forget(key, entry), ttlMs).unref();
+      } else {
+        forget(key, entry);
+      }
+      return { response, cache: 'MISS', ageMs: 0 };
+    },
+  };
+};
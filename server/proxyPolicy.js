@@ -0,0 +1,230 @@
+/**
+ * Outbound request policy (SSRF guard) for everything a browser can make the server fetch:
+ * the CORS proxy, streamed URLs and registered targets.
+ *
+ * Rules look like `host`, `*.example.com`, `10.0.0.0/8`, `192.168.1.5`, `[::1]` or `*`, optionally
+ * followed by `:port` or `:from-to` (`*:9100` matches any host on port 9100). Host names match
+ * the URL's host; IPs and CIDRs match every address the host resolves to, checked when the
+ * connection is made so DNS rebinding can't slip past. Deny rules win; when allow rules exist,
+ * a destination must match one of them.
+ */
+import dns from 'dns';
+import fs from 'fs';
+import net from 'net';
+
+// Link-local addresses, where cloud metadata services (169.254.169.254, fd00:ec2::254) live
+const DEFAULT_DENY = ['169.254.0.0/16', 'fe80::/10', 'fd00:ec2::254'];
+const DEFAULT_METHODS = ['GET', 'HEAD'];
+const DEFAULT_MAX_RESPONSE_BYTES = 20 * 1024 * 1024;
+
+// The error code carried by requests the policy refuses
+export const POLICY_ERROR_CODE = 'EPROXYPOLICY';
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(entry => String(entry).trim())
+  .filter(Boolean);
+
+// Report `::ffff:10.0.0.1` as the IPv4 address it is (BlockList already matches it either way)
+const normalizeAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  return mapped ? mapped[1] : address;
+};
+
+const parsePorts = (spec, rule) => {
+  if (spec === undefined || spec === '*') return null;
+  const match = /^(\d+)(?:-(\d+))?$/.exec(spec);
+  if (!match) throw new Error(`Invalid port in proxy rule "${rule}"`);
+  return { from: Number(match[1]), to: Number(match[2] ?? match[1]) };
+};
+
+/**
+ * Parse one allow/deny rule
+ * @param {string} rule - e.g. `*.corp.example.com:9100`
+ * @returns {Object} - { rule, kind: 'any' | 'name' | 'suffix' | 'ip', ports, value | blockList }
+ */
+export const parseRule = (rule) => {
+  let host = rule;
+  let portSpec;
+  if (rule.startsWith('[')) {
+    const end = rule.indexOf(']');
+    if (end < 0) throw new Error(`Invalid proxy rule "${rule}"`);
+    host = rule.slice(1, end);
+    if (rule.length > end + 1) {
+      if (rule[end + 1] !== ':') throw new Error(`Invalid proxy rule "${rule}"`);
+      portSpec = rule.slice(end + 2);
+    }
+  } else if ((rule.match(/:/g) || []).length === 1) {
+    // A single colon separates the port; more than one is an unbracketed IPv6 address
+    [host, portSpec] = rule.split(':');
+  }
+
+  const ports = parsePorts(portSpec, rule);
+  if (host === '' || host === '*') return { rule, kind: 'any', ports };
+
+  const [address, prefix] = host.split('/');
+  const family = net.isIP(address);
+  if (family) {
+    const blockList = new net.BlockList();
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      const bits = Number(prefix);
+      if (!Number.isInteger(bits) || bits < 0 || bits > (family === 6 ? 128 : 32)) {
+        throw new Error(`Invalid prefix length in proxy rule "${rule}"`);
+      }
+      blockList.addSubnet(address, bits, type);
+    }
+    return { rule, kind: 'ip', ports, blockList };
+  }
+  if (prefix !== undefined) throw new Error(`Invalid CIDR in proxy rule "${rule}"`);
+  if (host.startsWith('*.')) return { rule, kind: 'suffix', ports, value: host.slice(1).toLowerCase() };
+  if (!/^[a-zA-Z0-9.-]+$/.test(host)) throw new Error(`Invalid host in proxy rule "${rule}"`);
+  return { rule, kind: 'name', ports, value: host.toLowerCase() };
+};
+
+/**
+ * Whether a rule matches a destination
+ * @param {Object} rule - From parseRule
+ * @param {Object} destination - { hostname, port, address }; address is undefined before DNS
+ * @returns {boolean | undefined} - undefined when an IP rule can't be decided without the address
+ */
+const matchRule = (rule, { hostname, port, address }) => {
+  if (rule.ports && (port < rule.ports.from || port > rule.ports.to)) return false;
+  switch (rule.kind) {
+    case 'any': return true;
+    case 'name': return hostname === rule.value;
+    case 'suffix': return hostname.endsWith(rule.value);
+    default: {
+      if (address === undefined) return undefined;
+      return rule.blockList.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+    }
+  }
+};
+
+const policyError = (denial) => Object.assign(new Error(`Forbidden by proxy policy: ${denial.message}`), {
+  code: POLICY_ERROR_CODE,
+  denial,
+});
+
+/**
+ * Load the policy settings from PROXY_POLICY_FILE and the PROXY_* environment variables
+ * (variables override the file's keys)
+ * @param {Object} env - process.env
+ * @returns {Object} - { allow, deny, methods, maxResponseBytes }
+ */
+export const loadProxyPolicyConfig = (env) => {
+  let file = {};
+  if (env.PROXY_POLICY_FILE) {
+    file = JSON.parse(fs.readFileSync(env.PROXY_POLICY_FILE, 'utf8'));
+  }
+  const maxResponseBytes = Number.parseInt(env.PROXY_MAX_RESPONSE_BYTES, 10);
+  return {
+    allow: splitList(env.PROXY_ALLOW ?? file.allow ?? []),
+    deny: splitList(env.PROXY_DENY ?? file.deny ?? DEFAULT_DENY),
+    methods: splitList(env.PROXY_METHODS ?? file.methods ?? DEFAULT_METHODS).map(method => method.toUpperCase()),
+    maxResponseBytes: Number.isNaN(maxResponseBytes) ? (file.maxResponseBytes ?? DEFAULT_MAX_RESPONSE_BYTES) : maxResponseBytes,
+  };
+};
+
+/**
+ * Create a policy
+ * @param {Object} config - { allow, deny, methods, maxResponseBytes } (see loadProxyPolicyConfig)
+ */
+export const createProxyPolicy = ({ allow = [], deny = [], methods = DEFAULT_METHODS, maxResponseBytes = DEFAULT_MAX_RESPONSE_BYTES }) => {
+  const allowRules = allow.map(parseRule);
+  const denyRules = deny.map(parseRule);
+
+  /**
+   * Decide a destination
+   * @returns {Object | null} - null when allowed, otherwise { code, message, host, port, address?, rule? }
+   */
+  const check = (destination) => {
+    const { hostname, port, address } = destination;
+    const host = net.isIP(hostname) === 6 ? `[${hostname}]` : hostname;
+    const where = `${host}:${port}${address && address !== hostname ? ` (${address})` : ''}`;
+    const denied = denyRules.find(rule => matchRule(rule, destination));
+    if (denied) {
+      return {
+        code: denied.kind === 'ip' ? 'forbidden_address' : 'forbidden_host',
+        message: `${where} is denied by proxy rule "${denied.rule}"`,
+        host: hostname,
+        port,
+        address,
+        rule: denied.rule,
+      };
+    }
+    if (allowRules.length === 0) return null;
+    const results = allowRules.map(rule => matchRule(rule, destination));
+    if (results.includes(true) || results.includes(undefined)) return null; // undefined: decided after DNS
+    return {
+      code: 'forbidden_host',
+      message: `${where} is not in the proxy allowlist`,
+      host: hostname,
+      port,
+      address,
+    };
+  };
+
+  const portOf = (url) => Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+
+  return {
+    methods,
+    maxResponseBytes,
+
+    /**
+     * Check a method against the allowed methods
+     * @returns {Object | null} - A denial like check's
+     */
+    checkMethod(method) {
+      if (methods.includes(method.toUpperCase())) return null;
+      return {
+        code: 'forbidden_method',
+        message: `Method ${method} is not allowed through the proxy (allowed: ${methods.join(', ')})`,
+        method,
+      };
+    },
+
+    /**
+     * Check a URL before connecting. IP rules are only decided here for IP-literal hosts;
+     * for host names they are enforced by lookupFor.
+     * @param {URL} url
+     * @returns {Object | null} - A denial, or null
+     */
+    checkUrl(url) {
+      const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+      const address = net.isIP(hostname) ? normalizeAddress(hostname) : undefined;
+      return check({ hostname, port: portOf(url), address });
+    },
+
+    /**
+     * A `lookup` for http.request that refuses addresses the policy denies
+     * @param {URL} url - Request URL (for the host name and port the rules see)
+     */
+    lookupFor(url) {
+      const port = portOf(url);
+      return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+          if (err) return callback(err);
+          for (const { address } of addresses) {
+            const denial = check({ hostname: hostname.toLowerCase(), port, address: normalizeAddress(address) });
+            if (denial) return callback(policyError(denial));
+          }
+          if (options.all) return callback(null, addresses);
+          return callback(null, addresses[0].address, addresses[0].family);
+        });
+      };
+    },
+
+    /**
+     * Request options that enforce the policy, or throw its error for IP-literal hosts
+     * @param {URL} url
+     * @returns {Object} - { lookup }
+     */
+    requestOptions(url) {
+      const denial = this.checkUrl(url);
+      if (denial) throw policyError(denial);
+      return { lookup: this.lookupFor(url) };
+    },
+  };
+};
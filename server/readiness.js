@@ -0,0 +1,137 @@
+/**
+ * Readiness: whether the server can reach the targets it is configured with. Scraped and
+ * push targets report their last scrape or push; registered targets report their live
+ * stream while someone watches them, and are otherwise probed by the check itself.
+ */
+import { classifyUpstreamError, redactUrl, requestUpstream, upstreamError } from './upstream.js';
+import { targetRequestHeaders } from './targetRegistry.js';
+import { resolveTlsFiles } from './tls.js';
+
+// A scraped target that hasn't finished a scrape for this many intervals is stuck
+const STALE_INTERVALS = 3;
+// Push targets go quiet for this long before they count as stale, as in remote write's published view
+const PUSH_STALE_AFTER_MS = 5 * 60 * 1000;
+// Answers to a HEAD probe from targets that only serve GET; they still show the target is reachable
+const HEAD_UNSUPPORTED = new Set([405, 501]);
+
+/**
+ * Status of a scraper target
+ * @param {Object} target - From scraper.getTargets()
+ * @param {number} now
+ * @returns {'up' | 'down' | 'stale' | 'pending'}
+ */
+const scrapeStatus = ({ lastScrape, lastError, pushed, intervalMs }, now) => {
+  if (lastScrape === null) return 'pending';
+  if (lastError) return 'down';
+  const staleAfterMs = pushed ? PUSH_STALE_AFTER_MS : STALE_INTERVALS * intervalMs;
+  return now - lastScrape > staleAfterMs ? 'stale' : 'up';
+};
+
+/**
+ * Create the readiness check
+ * @param {Object} options
+ * @param {Object} options.scraper - From createScraper
+ * @param {Object} options.registry - From createTargetRegistry
+ * @param {Object} options.policy - Proxy policy; registered targets are only requested where it allows
+ * @param {number} options.probeTtlMs - How long a registered target's result is reused, so frequent checks
+ *   don't add load to it; keep it well above the interval readiness is polled at
+ * @param {number} options.timeoutMs - Time a registered target has to answer
+ * @param {string} options.tlsFilesDir - Directory registered targets' TLS certificate files are in
+ */
+export const createReadinessCheck = ({ scraper, registry, policy, probeTtlMs, timeoutMs, tlsFilesDir }) => {
+  const probes = new Map(); // registered id + url -> { startedAt, promise }
+
+  const probeKey = (target) => `${target.id}\n${target.url}`;
+
+  /**
+   * Probe a registered target with a HEAD request, which costs it no exposition, or reuse a recent
+   * probe's result
+   * @returns {Promise<Object>} - { status, lastScrape, durationMs, error, code }
+   */
+  const probe = (target) => {
+    const key = probeKey(target);
+    const cached = probes.get(key);
+    if (cached && Date.now() - cached.startedAt < probeTtlMs) return cached.promise;
+
+    const startedAt = Date.now();
+    const promise = requestUpstream(new URL(target.url), {
+      method: 'HEAD',
+      timeoutMs,
+      headers: targetRequestHeaders(target),
+      tls: resolveTlsFiles(target.tls, tlsFilesDir),
+      policy,
+    }).then((res) => {
+      if ((res.status < 200 || res.status >= 300) && !HEAD_UNSUPPORTED.has(res.status)) {
+        throw upstreamError('upstream_http_error', `HTTP ${res.status}`, { status: res.status });
+      }
+    }).then(
+      () => ({ status: 'up', lastScrape: startedAt, durationMs: Date.now() - startedAt, error: null, code: null }),
+      (err) => {
+        const { code, message } = classifyUpstreamError(err);
+        return { status: 'down', lastScrape: startedAt, durationMs: Date.now() - startedAt, error: message, code };
+      },
+    );
+    probes.set(key, { startedAt, promise });
+    return promise;
+  };
+
+  return {
+    /**
+     * Check every configured target
+     * @returns {Promise<{ ready: boolean, checkedAt: number, targets: Array }>} - ready is false when any
+     *   target is down or stale. Targets are { name, id?, kind, url, status, lastScrape, durationMs, error, code },
+     *   kind being scrape, push or registered, and status up, down, stale, pending or unchecked
+     */
+    async check() {
+      const now = Date.now();
+      const states = scraper.getTargets();
+      const streamed = new Map(states.map(state => [state.key, state]));
+
+      const configured = states
+        .filter(state => !state.onDemand)
+        .map(state => ({
+          name: state.name,
+          kind: state.pushed ? 'push' : 'scrape',
+          url: state.url,
+          status: scrapeStatus(state, now),
+          lastScrape: state.lastScrape,
+          durationMs: state.lastDurationMs,
+          error: state.lastError,
+          code: state.lastErrorCode,
+        }));
+
+      const registered = await Promise.all(registry.list().map(async (target) => {
+        const base = { name: target.name, id: target.id, kind: 'registered', url: redactUrl(target.url) };
+        // A live stream scrapes the target under its id already
+        const stream = streamed.get(target.id);
+        if (stream?.lastScrape) {
+          return {
+            ...base,
+            status: scrapeStatus(stream, now),
+            lastScrape: stream.lastScrape,
+            durationMs: stream.lastDurationMs,
+            error: stream.lastError,
+            code: stream.lastErrorCode,
+          };
+        }
+        // The browser fetches targets that skip the proxy itself, so the server's view wouldn't be the browser's
+        if (!target.useProxy) {
+          return { ...base, status: 'unchecked', lastScrape: null, durationMs: null, error: null, code: null };
+        }
+        return { ...base, ...(await probe(target)) };
+      }));
+      // Results of deleted or changed targets are dropped
+      const current = new Set(registry.list().map(probeKey));
+      probes.forEach((_probe, key) => {
+        if (!current.has(key)) probes.delete(key);
+      });
+
+      const targets = [...configured, ...registered];
+      return {
+        ready: targets.every(target => target.status !== 'down' && target.status !== 'stale'),
+        checkedAt: now,
+        targets,
+      };
+    },
+  };
+};
@@ -0,0 +1,314 @@
+/**
+ * Prometheus remote write receiver. Services that can't be scraped push snappy-compressed
+ * protobuf WriteRequests; each push target keeps the latest sample of every series and is
+ * published to stream subscribers as Prometheus text, like a scrape, while every sample goes
+ * to the series store.
+ *
+ * Only remote write 1.0 (prometheus.WriteRequest) is understood. Native histograms and
+ * exemplars are skipped.
+ */
+import { getSeriesKey } from '../client/src/metricsParser.js';
+import { toExposition } from './exposition.js';
+
+// Decompressed WriteRequests larger than this are refused before decompressing
+export const MAX_WRITE_REQUEST_BYTES = 64 * 1024 * 1024;
+
+// Series not pushed for this long are dropped from the published view (Prometheus' staleness window)
+const STALE_AFTER_MS = 5 * 60 * 1000;
+// ...and their stored history after this long, as for scraped targets at the default settings
+const HISTORY_STALE_AFTER_MS = 60 * 60 * 1000;
+// Push targets nobody has written to or watched for as long are removed, history and all
+const TARGET_IDLE_AFTER_MS = HISTORY_STALE_AFTER_MS;
+const IDLE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// The NaN Prometheus sends to mark a series as gone
+const STALE_MARKER_HIGH = 0x7ff00000;
+const STALE_MARKER_LOW = 0x00000002;
+
+const METRIC_TYPES = ['untyped', 'counter', 'gauge', 'histogram', 'histogram', 'summary', 'untyped', 'untyped'];
+
+const invalid = (message) => Object.assign(new Error(message), { code: 'invalid_write_request' });
+
+/**
+ * Decompress a snappy block (the raw format, not the framed stream format)
+ * @param {Buffer} input
+ * @returns {Buffer}
+ */
+export const snappyUncompress = (input) => {
+  let pos = 0;
+  const readVarint = () => {
+    let value = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      if (pos >= input.length) throw invalid('Truncated snappy length');
+      const byte = input[pos++];
+      value += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) return value;
+    }
+    throw invalid('Invalid snappy length');
+  };
+
+  const length = readVarint();
+  if (length > MAX_WRITE_REQUEST_BYTES) throw invalid(`Write request is larger than ${MAX_WRITE_REQUEST_BYTES} bytes`);
+  const output = Buffer.allocUnsafe(length);
+  let out = 0;
+
+  while (pos < input.length) {
+    const tag = input[pos++];
+    let copyLength;
+    let offset;
+    if ((tag & 3) !== 0 && pos + [0, 1, 2, 4][tag & 3] > input.length) throw invalid('Truncated snappy copy');
+    switch (tag & 3) {
+      case 0: { // literal
+        let literalLength = tag >> 2;
+        if (literalLength >= 60) {
+          const bytes = literalLength - 59;
+          if (pos + bytes > input.length) throw invalid('Truncated snappy literal');
+          literalLength = input.readUIntLE(pos, bytes);
+          pos += bytes;
+        }
+        literalLength += 1;
+        if (pos + literalLength > input.length || out + literalLength > length) throw invalid('Snappy literal out of bounds');
+        input.copy(output, out, pos, pos + literalLength);
+        pos += literalLength;
+        out += literalLength;
+        continue;
+      }
+      case 1:
+        copyLength = ((tag >> 2) & 7) + 4;
+        offset = ((tag >> 5) << 8) | input[pos++];
+        break;
+      case 2:
+        copyLength = (tag >> 2) + 1;
+        offset = input.readUInt16LE(pos);
+        pos += 2;
+        break;
+      default:
+        copyLength = (tag >> 2) + 1;
+        offset = input.readUInt32LE(pos);
+        pos += 4;
+    }
+    if (offset === 0 || offset > out || out + copyLength > length) {
+      throw invalid('Snappy copy out of bounds');
+    }
+    // Copies may overlap their own output, so go byte by byte
+    for (let i = 0; i < copyLength; i++, out++) output[out] = output[out - offset];
+  }
+  if (out !== length) throw invalid('Snappy data is shorter than its declared length');
+  return output;
+};
+
+/**
+ * Iterate the fields of a protobuf message
+ * @param {Buffer} buffer
+ * @param {Function} onField - (fieldNumber, wireType, reader) where reader has varint(), double(),
+ *   bytes(), string() and isStaleMarker() for the field's value; fields left unread are skipped
+ */
+const readMessage = (buffer, onField) => {
+  let pos = 0;
+  const varint = () => {
+    let value = 0;
+    for (let shift = 0; shift < 70; shift += 7) {
+      if (pos >= buffer.length) throw invalid('Truncated protobuf varint');
+      const byte = buffer[pos++];
+      value += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) return value;
+    }
+    throw invalid('Invalid protobuf varint');
+  };
+
+  while (pos < buffer.length) {
+    const key = varint();
+    const field = Math.floor(key / 8);
+    const wireType = key & 7;
+    const start = pos;
+    let end;
+    switch (wireType) {
+      case 0: varint(); end = pos; pos = start; break;
+      case 1: end = pos + 8; break;
+      case 2: { const length = varint(); end = pos + length; break; }
+      case 5: end = pos + 4; break;
+      default: throw invalid(`Unsupported protobuf wire type ${wireType}`);
+    }
+    if (end > buffer.length) throw invalid('Truncated protobuf field');
+    const valueStart = pos;
+    onField(field, wireType, {
+      varint,
+      double: () => buffer.readDoubleLE(valueStart),
+      isStaleMarker: () => buffer.readUInt32LE(valueStart + 4) === STALE_MARKER_HIGH && buffer.readUInt32LE(valueStart) === STALE_MARKER_LOW,
+      bytes: () => buffer.subarray(valueStart, end),
+      string: () => buffer.toString('utf8', valueStart, end),
+    });
+    pos = end;
+  }
+};
+
+/**
+ * Decode a remote write 1.0 WriteRequest
+ * @param {Buffer} buffer - Uncompressed protobuf
+ * @returns {{ timeseries: Array, metadata: Array }} - timeseries are { name, labels, samples: [{ value, timestamp, stale }] }
+ *   with __name__ taken out of labels; metadata are { family, type, help }
+ */
+export const decodeWriteRequest = (buffer) => {
+  const timeseries = [];
+  const metadata = [];
+
+  readMessage(buffer, (field, wireType, reader) => {
+    if (field === 1 && wireType === 2) {
+      const series = { name: null, labels: {}, samples: [] };
+      readMessage(reader.bytes(), (seriesField, seriesWireType, seriesReader) => {
+        if (seriesField === 1 && seriesWireType === 2) {
+          let labelName = '';
+          let labelValue = '';
+          readMessage(seriesReader.bytes(), (labelField, labelWireType, labelReader) => {
+            if (labelWireType !== 2) return;
+            if (labelField === 1) labelName = labelReader.string();
+            if (labelField === 2) labelValue = labelReader.string();
+          });
+          if (labelName === '__name__') series.name = labelValue;
+          else series.labels[labelName] = labelValue;
+        } else if (seriesField === 2 && seriesWireType === 2) {
+          const sample = { value: 0, timestamp: 0, stale: false };
+          readMessage(seriesReader.bytes(), (sampleField, sampleWireType, sampleReader) => {
+            if (sampleField === 1 && sampleWireType === 1) {
+              sample.value = sampleReader.double();
+              sample.stale = sampleReader.isStaleMarker();
+            }
+            if (sampleField === 2 && sampleWireType === 0) sample.timestamp = sampleReader.varint();
+          });
+          series.samples.push(sample);
+        }
+      });
+      if (!series.name) throw invalid('Time series without a __name__ label');
+      timeseries.push(series);
+    } else if (field === 3 && wireType === 2) {
+      const entry = { family: null, type: 'untyped', help: '' };
+      readMessage(reader.bytes(), (metaField, metaWireType, metaReader) => {
+        if (metaField === 1 && metaWireType === 0) entry.type = METRIC_TYPES[metaReader.varint()] || 'untyped';
+        if (metaField === 2 && metaWireType === 2) entry.family = metaReader.string();
+        if (metaField === 4 && metaWireType === 2) entry.help = metaReader.string();
+      });
+      if (entry.family) metadata.push(entry);
+    }
+  });
+
+  return { timeseries, metadata };
+};
+
+/**
+ * Create the receiver
+ * @param {Object} options
+ * @param {Object} options.scraper - From createScraper; push targets are published through it
+ * @param {Object} options.store - From createSeriesStore
+ * @param {number} options.maxSeries - Series kept per push target
+ * @param {number} options.maxTargets - Push targets kept at once; writes creating more are refused
+ * @param {number} options.publishIntervalMs - Subscribers get at most one update per interval per target
+ * @param {Function} [options.onRemove] - Called with a push target's name when it is removed for being idle
+ */
+export const createRemoteWriteReceiver = ({ scraper, store, maxSeries, maxTargets, publishIntervalMs, onRemove }) => {
+  const targets = new Map(); // push target name -> { series, metadata, timer, publishedAt, writtenAt }
+
+  const publish = (name, target) => {
+    target.timer = null;
+    const now = Date.now();
+    target.publishedAt = now;
+    const cutoff = now - STALE_AFTER_MS;
+    for (const [key, entry] of target.series) {
+      if (entry.receivedAt < cutoff) target.series.delete(key);
+    }
+    scraper.publish(name, {
+      fetchedAt: now,
+      contentType: 'text/plain; version=0.0.4',
+      text: toExposition(target.series.values(), target.metadata),
+      series: target.series.size,
+    });
+    store.evictStale(now - HISTORY_STALE_AFTER_MS, name);
+  };
+
+  // Every new target name costs a series map, a scraper target and stored history, so
+  // targets that went quiet are dropped unless someone still watches them
+  const removeIdle = () => {
+    const cutoff = Date.now() - TARGET_IDLE_AFTER_MS;
+    targets.forEach((target, name) => {
+      if (target.writtenAt >= cutoff || !scraper.removePushTarget(name)) return;
+      clearTimeout(target.timer);
+      targets.delete(name);
+      store.removeTarget(name);
+      onRemove?.(name);
+    });
+  };
+  setInterval(removeIdle, IDLE_CHECK_INTERVAL_MS).unref();
+
+  return {
+    /**
+     * Accept a WriteRequest for a push target, created on its first write
+     * @param {string} name - Push target name
+     * @param {Buffer} body - Snappy-compressed protobuf
+     * @returns {{ series: number, samples: number, dropped: number }} - samples received, and how many of
+     *   them were dropped by the per-target or store series limit. Throws an Error with code
+     *   invalid_write_request when the body can't be decoded, target_conflict when name is a scraped
+     *   target, or too_many_targets when name would be a push target beyond maxTargets
+     */
+    receive(name, body) {
+      const scraped = targets.has(name) ? null : scraper.findTarget(name);
+      if (scraped && (scraped.key === name || scraped.name === name)) {
+        throw Object.assign(new Error(`"${name}" is a scraped target; push under another name`), { code: 'target_conflict' });
+      }
+      if (!targets.has(name) && targets.size >= maxTargets) {
+        throw Object.assign(new Error(`Already receiving ${maxTargets} push targets; push to an existing one`), { code: 'too_many_targets' });
+      }
+      const { timeseries, metadata } = decodeWriteRequest(snappyUncompress(body));
+
+      if (!targets.has(name)) targets.set(name, { series: new Map(), metadata: new Map(), timer: null, publishedAt: 0, writtenAt: 0 });
+      const target = targets.get(name);
+      target.writtenAt = Date.now();
+      metadata.forEach(({ family, type, help }) => target.metadata.set(family, { type, help }));
+
+      // The store gets every sample: the nth sample of each series goes in the nth batch
+      const receivedAt = Date.now();
+      const batches = [];
+      let samples = 0;
+      let dropped = 0;
+      timeseries.forEach(({ name: metric, labels, samples: seriesSamples }) => {
+        const key = getSeriesKey(metric, labels);
+        seriesSamples.forEach(({ value, timestamp, stale }, index) => {
+          if (stale) {
+            target.series.delete(key);
+            return;
+          }
+          samples++;
+          const latest = target.series.get(key);
+          if (!latest && target.series.size >= maxSeries) {
+            dropped++;
+            return;
+          }
+          if (!batches[index]) batches[index] = new Map();
+          batches[index].set(key, { name: metric, labels, value, timestamp });
+          if (!latest || timestamp >= latest.timestamp) {
+            target.series.set(key, { name: metric, labels, value, timestamp, receivedAt });
+          }
+        });
+      });
+      // A batch holds one sample per series, so the series it refuses are samples too
+      batches.forEach(series => {
+        dropped += store.append(name, { timestamp: receivedAt, series });
+      });
+
+      // The first write publishes at once, so the target can be watched straight away
+      if (!target.timer) {
+        const wait = target.publishedAt + publishIntervalMs - Date.now();
+        if (wait <= 0) publish(name, target);
+        else target.timer = setTimeout(() => publish(name, target), wait);
+      }
+      return { series: timeseries.length, samples, dropped };
+    },
+
+    /**
+     * The latest sample of every series pushed to a target
+     * @returns {string | null} - Prometheus text, or null for an unknown target
+     */
+    exposition(name) {
+      const target = targets.get(name);
+      return target ? toExposition(target.series.values(), target.metadata) : null;
+    },
+  };
+};
@@ -0,0 +1,273 @@
+/**
+ * Server-side scraper: polls configured targets on its own schedule and appends
+ * every parsed series to the series store, so history survives closed tabs and
+ * throttled background timers.
+ */
+import { createHash } from 'node:crypto';
+import { createMetricsSnapshot, formatFromContentType } from '../client/src/metricsParser.js';
+import { classifyUpstreamError, fetchMetricsText, normalizeTargetUrl, redactUrl } from './upstream.js';
+
+/**
+ * Parse a target list such as `influx=http://localhost:8086/metrics,http://other:9100/metrics`
+ * @param {string} spec - Comma-separated `name=url` or bare URLs (named after themselves, without any password)
+ * @returns {Array} - [{ name, url }]; invalid entries are logged and skipped
+ */
+export const parseScrapeTargets = (spec = '') => spec
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf('=');
+    // `=` may also appear in a URL's query string, so only a leading name counts
+    const named = separator > 0 && !entry.slice(0, separator).includes('/');
+    const rawUrl = named ? entry.slice(separator + 1) : entry;
+    try {
+      const url = normalizeTargetUrl(rawUrl).toString();
+      return { name: named ? entry.slice(0, separator) : redactUrl(url), url };
+    } catch (err) {
+      console.error(`Ignoring scrape target "${redactUrl(entry)}": ${err.message}`);
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+/**
+ * Create a scraper. Configured targets are scraped from start() until stop(); any other URL
+ * is scraped on demand while it has stream subscribers, so every viewer of a target shares
+ * one upstream request per interval.
+ * @param {Object} options
+ * @param {Array} options.targets - [{ name, url }]
+ * @param {number} options.intervalMs - Time between scrapes of each configured target
+ * @param {number} options.timeoutMs - Time a target has to answer, whatever its interval; a scrape
+ *   that outlasts the interval delays the next one rather than overlapping it
+ * @param {Object} options.store - From createSeriesStore
+ * @param {Object} [options.policy] - Proxy policy (see proxyPolicy.js) applied to on-demand targets,
+ *   whose URLs come from browsers; configured targets are trusted
+ * @param {Function} [options.onScrape] - Called after every scrape with { target, durationMs, bytes, code }:
+ *   the upstream request's duration and response size, and the error code when the scrape failed
+ */
+export const createScraper = ({ targets, intervalMs, timeoutMs, store, policy, onScrape }) => {
+  const states = new Map(); // target key -> scrape state
+  let running = false;
+
+  const scrape = async (state) => {
+    if (state.inFlight) return; // the previous scrape is still running
+    state.inFlight = true;
+    const startedAt = Date.now();
+    let fetchMs = null; // the upstream request alone, without parsing
+    try {
+      const { text, contentType } = await fetchMetricsText(new URL(state.url), {
+        timeoutMs,
+        headers: state.headers,
+        tls: state.tls,
+        policy: state.onDemand ? policy : undefined,
+      });
+      fetchMs = Date.now() - startedAt;
+      if (states.get(state.key) !== state) return; // removed while the request was in flight
+      const snapshot = createMetricsSnapshot(text, { fetchedAt: startedAt, format: formatFromContentType(contentType) });
+      const dropped = store.append(state.key, snapshot);
+      if (dropped > 0) {
+        console.error(`Series store full: dropped ${dropped} new series from ${state.name}`);
+      }
+      state.series = snapshot.series.size;
+      state.lastError = null;
+      state.lastErrorCode = null;
+      // Subscribers get the exposition text itself: it is far smaller than the parsed series
+      // and lets the browser's worker build the full snapshot exactly as it does for a poll
+      state.lastPayload = { target: state.name, fetchedAt: startedAt, contentType, text };
+      state.subscribers.forEach(subscriber => subscriber.onScrape(state.lastPayload));
+      onScrape?.({ target: state.name, durationMs: fetchMs, bytes: Buffer.byteLength(text), code: null });
+    } catch (err) {
+      // Log once per distinct failure rather than on every interval
+      if (state.lastError !== err.message) console.error(`Scrape of ${state.name} failed:`, err.message);
+      state.lastError = err.message;
+      state.lastPayload = null;
+      const { code } = classifyUpstreamError(err);
+      state.lastErrorCode = code;
+      onScrape?.({ target: state.name, durationMs: fetchMs ?? Date.now() - startedAt, bytes: 0, code });
+      state.subscribers.forEach(subscriber => subscriber.onError({ target: state.name, fetchedAt: startedAt, error: err.message, code }));
+    } finally {
+      state.lastScrape = startedAt;
+      state.lastDurationMs = Date.now() - startedAt;
+      state.inFlight = false;
+      // Series not seen for a full retention window belong to restarted targets
+      store.evictStale(Date.now() - store.stats().retention * state.intervalMs, state.key);
+    }
+  };
+
+  const schedule = (state) => {
+    if (state.timer) return;
+    scrape(state);
+    state.timer = setInterval(() => scrape(state), state.intervalMs);
+  };
+
+  const unschedule = (state) => {
+    clearInterval(state.timer);
+    state.timer = null;
+  };
+
+  /**
+   * Add a target to scrape or push to
+   * @param {Object} target
+   * @param {string} [target.key] - Identifies the target in the scraper and the series store; defaults to
+   *   its name, which needn't be unique when it is only for display (e.g. a URL with its password redacted)
+   */
+  const addTarget = ({ key, name, url, intervalMs: targetIntervalMs = intervalMs, headers = {}, tls, onDemand = false, pushed = false, matchUrl = true }) => {
+    const state = {
+      key: key ?? name,
+      name,
+      url,
+      matchUrl,
+      intervalMs: targetIntervalMs,
+      headers,
+      tls,
+      onDemand,
+      pushed,
+      lastScrape: null,
+      lastDurationMs: null,
+      lastError: null,
+      lastErrorCode: null,
+      series: 0,
+      inFlight: false,
+      timer: null,
+      lastPayload: null,
+      subscribers: new Set(),
+    };
+    states.set(state.key, state);
+    return state;
+  };
+
+  const findState = (nameOrUrl) => {
+    if (!nameOrUrl) return null;
+    if (states.has(nameOrUrl)) return states.get(nameOrUrl);
+    const named = Array.from(states.values()).find(s => s.name === nameOrUrl);
+    if (named) return named;
+    let url = null;
+    try {
+      url = normalizeTargetUrl(nameOrUrl).toString();
+    } catch {
+      return null; // Not a URL - names were matched above
+    }
+    return Array.from(states.values()).find(s => s.matchUrl && s.url === url) || null;
+  };
+
+  targets.forEach(target => addTarget(target));
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      states.forEach(state => {
+        if (!state.onDemand && !state.pushed) schedule(state);
+      });
+    },
+
+    stop() {
+      running = false;
+      states.forEach(unschedule);
+    },
+
+    /**
+     * Find a target by its key, name or URL
+     * @returns {Object | null} - { key, name, url } or null when it isn't scraped; its series are stored under key
+     */
+    findTarget(nameOrUrl) {
+      const state = findState(nameOrUrl);
+      return state ? { key: state.key, name: state.name, url: state.url } : null;
+    },
+
+    /**
+     * Receive every scrape of a target. Unknown URLs are scraped on demand until their
+     * last subscriber leaves; the latest successful scrape is replayed immediately.
+     * @param {string} nameOrUrl - Configured target name, or any metrics URL
+     * @param {Object} subscriber - { onScrape(payload), onError({ target, fetchedAt, error, code }) }
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Interval for an on-demand target (set by its first subscriber)
+     * @param {Object} [options.headers] - Request headers for an on-demand target; the latest subscriber's win
+     * @param {Object} [options.tls] - TLS settings for an on-demand target, like headers
+     * @param {string} [options.name] - Scrape nameOrUrl under this name instead of sharing it with other
+     *   subscribers of the URL, e.g. for a registered target with its own credentials
+     * @returns {Function} - Unsubscribe. Throws TypeError when nameOrUrl is neither a target nor a URL
+     */
+    subscribe(nameOrUrl, subscriber, { intervalMs: onDemandIntervalMs = intervalMs, headers, tls, name } = {}) {
+      let state = name ? states.get(name) : findState(nameOrUrl);
+      if (!state) {
+        const url = normalizeTargetUrl(nameOrUrl).toString();
+        state = addTarget({
+          // URLs that differ only in their credentials are scraped apart, so they are keyed by a hash of
+          // the whole URL. The name shows up in listings and logs, so it is the URL without its password.
+          key: name ?? `url:${createHash('sha256').update(url).digest('hex').slice(0, 16)}`,
+          name: name ?? redactUrl(url),
+          url,
+          intervalMs: onDemandIntervalMs,
+          headers,
+          tls,
+          onDemand: true,
+          matchUrl: !name,
+        });
+      } else if (state.onDemand) {
+        if (headers) state.headers = headers;
+        if (tls) state.tls = tls;
+      }
+      state.subscribers.add(subscriber);
+      if (state.lastPayload) subscriber.onScrape(state.lastPayload);
+      if (state.onDemand) schedule(state);
+
+      return () => {
+        state.subscribers.delete(subscriber);
+        if (state.onDemand && state.subscribers.size === 0) {
+          unschedule(state);
+          states.delete(state.key);
+          store.removeTarget(state.key);
+        }
+      };
+    },
+
+    /**
+     * Deliver data pushed to the server (see remoteWrite.js) to a push target's subscribers as
+     * if it were a scrape. The target is created on its first push and never scraped; the
+     * caller stores its samples.
+     * @param {string} name - Push target name
+     * @param {Object} payload - { fetchedAt, contentType, text, series }: the latest sample of every series
+     */
+    publish(name, { fetchedAt, contentType, text, series }) {
+      const state = states.get(name) ?? addTarget({ name, url: null, intervalMs: null, pushed: true, matchUrl: false });
+      state.lastScrape = fetchedAt;
+      state.series = series;
+      state.lastPayload = { target: name, fetchedAt, contentType, text };
+      state.subscribers.forEach(subscriber => subscriber.onScrape(state.lastPayload));
+    },
+
+    /**
+     * Forget a push target, unless someone is still watching it
+     * @param {string} name - Push target name
+     * @returns {boolean} - false while it has stream subscribers
+     */
+    removePushTarget(name) {
+      const state = states.get(name);
+      if (!state?.pushed) return true;
+      if (state.subscribers.size > 0) return false;
+      states.delete(name);
+      return true;
+    },
+
+    /**
+     * The latest successful scrape or push of every target; targets whose last scrape failed are left out
+     * @returns {Array} - [{ target, fetchedAt, contentType, text }]
+     */
+    latestScrapes() {
+      return Array.from(states.values(), state => state.lastPayload).filter(Boolean);
+    },
+
+    /**
+     * Scrape status of every target, without credentials
+     */
+    getTargets() {
+      return Array.from(states.values()).map(({ inFlight: _inFlight, timer: _timer, lastPayload: _lastPayload, headers: _headers, tls: _tls, matchUrl: _matchUrl, subscribers, ...state }) => ({
+        ...state,
+        url: state.url && redactUrl(state.url),
+        subscribers: subscribers.size,
+      }));
+    },
+  };
+};
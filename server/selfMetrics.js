@@ -0,0 +1,134 @@
+/**
+ * The server's own metrics, served at /metrics: a small registry of counters, gauges and
+ * histograms written as Prometheus text, so the visualiser can watch itself like any target.
+ */
+import { toExposition } from './exposition.js';
+
+// Upstream request durations in seconds, from a local endpoint to one near the proxy timeout
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const labelsOf = (labelNames, key) => {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+};
+
+/**
+ * Create a registry
+ * @returns {{ counter: Function, gauge: Function, histogram: Function, render: Function }}
+ */
+export const createMetricsRegistry = () => {
+  const families = []; // { name, help, type, samples() }
+
+  /**
+   * A counter or gauge; values are kept per label set unless collect supplies them
+   * @param {Function} [collect] - Returns [{ labels, value }] (or a number for an unlabelled
+   *   family) when rendered, for values read from elsewhere, e.g. the scraper's state
+   */
+  const scalar = (type, name, help, labelNames, collect) => {
+    const values = new Map(); // label key -> value
+    // An unlabelled counter starts at 0, so a rate can be taken from its first increment
+    if (!collect && labelNames.length === 0) values.set(labelKey(labelNames, {}), 0);
+
+    families.push({
+      name,
+      help,
+      type,
+      samples() {
+        if (collect) {
+          const collected = collect();
+          return typeof collected === 'number' ? [{ name, labels: {}, value: collected }] : collected.map(({ labels, value }) => ({ name, labels, value }));
+        }
+        return Array.from(values, ([key, value]) => ({ name, labels: labelsOf(labelNames, key), value }));
+      },
+    });
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labelNames, labels);
+        values.set(key, (values.get(key) ?? 0) + amount);
+      },
+      set(labels, value) {
+        values.set(labelKey(labelNames, labels), value);
+      },
+      remove(labels) {
+        values.delete(labelKey(labelNames, labels));
+      },
+    };
+  };
+
+  return {
+    /**
+     * @param {string} name - Ends in _total
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {Function} [collect] - See scalar
+     * @returns {{ inc: Function, remove: Function }} - inc(labels, amount = 1); remove(labels) drops a
+     *   label set whose subject is gone
+     */
+    counter(name, help, labelNames = [], collect) {
+      const { inc, remove } = scalar('counter', name, help, labelNames, collect);
+      return { inc, remove };
+    },
+
+    /**
+     * @returns {{ set: Function, inc: Function, remove: Function }} - set(labels, value); inc(labels, amount = 1),
+     *   negative to decrease; remove(labels)
+     */
+    gauge(name, help, labelNames = [], collect) {
+      return scalar('gauge', name, help, labelNames, collect);
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} labelNames
+     * @param {number[]} [buckets] - Upper bounds, ascending; +Inf is added
+     * @returns {{ observe: Function }} - observe(labels, value)
+     */
+    histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+      const series = new Map(); // label key -> { counts per bucket, sum, count }
+
+      families.push({
+        name,
+        help,
+        type: 'histogram',
+        samples() {
+          return Array.from(series, ([key, { counts, sum, count }]) => {
+            const labels = labelsOf(labelNames, key);
+            return [
+              ...buckets.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[i] })),
+              { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+              { name: `${name}_sum`, labels, value: sum },
+              { name: `${name}_count`, labels, value: count },
+            ];
+          }).flat();
+        },
+      });
+
+      return {
+        observe(labels, value) {
+          const key = labelKey(labelNames, labels);
+          if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+          const entry = series.get(key);
+          // Buckets are cumulative: a value counts in every bucket at or above it
+          buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+      };
+    },
+
+    /**
+     * Every family as Prometheus text
+     * @returns {string}
+     */
+    render() {
+      const metadata = new Map(families.map(({ name, help, type }) => [name, { type, help }]));
+      return toExposition(families.flatMap(family => family.samples()), metadata);
+    },
+  };
+};
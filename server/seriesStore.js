@@ -0,0 +1,192 @@
+/**
+ * In-memory time-series store for scraped samples.
+ * Each series keeps a bounded ring buffer of its most recent points, so memory is
+ * capped at roughly maxSeries * retention points however long the server runs.
+ */
+
+/**
+ * Create a ring buffer of [timestamp, value] points
+ * @param {number} capacity - Points kept before the oldest is overwritten
+ */
+const createRingBuffer = (capacity) => {
+  const timestamps = [];
+  const values = [];
+  let start = 0; // index of the oldest point once the buffer is full
+
+  return {
+    push(timestamp, value) {
+      if (timestamps.length < capacity) {
+        timestamps.push(timestamp);
+        values.push(value);
+        return;
+      }
+      timestamps[start] = timestamp;
+      values[start] = value;
+      start = (start + 1) % capacity;
+    },
+
+    get size() {
+      return timestamps.length;
+    },
+
+    get last() {
+      if (timestamps.length === 0) return null;
+      const index = (start + timestamps.length - 1) % timestamps.length;
+      return [timestamps[index], values[index]];
+    },
+
+    /**
+     * Points within [from, to], oldest first
+     */
+    range(from = -Infinity, to = Infinity) {
+      const points = [];
+      for (let i = 0; i < timestamps.length; i++) {
+        const index = (start + i) % timestamps.length;
+        if (timestamps[index] >= from && timestamps[index] <= to) points.push([timestamps[index], values[index]]);
+      }
+      return points;
+    },
+  };
+};
+
+/**
+ * Keep the last point of each step-aligned bucket, so long ranges stay small
+ */
+const downsample = (points, step) => {
+  if (!step) return points;
+  const byBucket = new Map();
+  points.forEach(point => byBucket.set(Math.floor(point[0] / step), point));
+  return Array.from(byBucket.values());
+};
+
+/**
+ * Create a store of series per scrape target
+ * @param {Object} options
+ * @param {number} options.retention - Points kept per series
+ * @param {number} options.maxSeries - Series kept across all targets; new series beyond it are dropped
+ */
+export const createSeriesStore = ({ retention, maxSeries }) => {
+  const targets = new Map(); // target name -> Map series key -> { name, labels, buffer, appendedAt }
+  let seriesCount = 0;
+  let droppedSeries = 0;
+
+  return {
+    /**
+     * Append every series of a parsed snapshot
+     * @param {string} target - Target name
+     * @param {Object} snapshot - From createMetricsSnapshot
+     * @returns {number} - Series dropped because the store is full
+     */
+    append(target, snapshot) {
+      if (!targets.has(target)) targets.set(target, new Map());
+      const series = targets.get(target);
+      const appendedAt = Date.now();
+      let dropped = 0;
+
+      for (const [key, sample] of snapshot.series) {
+        let entry = series.get(key);
+        if (!entry) {
+          if (seriesCount >= maxSeries) {
+            dropped++;
+            continue;
+          }
+          entry = { name: sample.name, labels: sample.labels, buffer: createRingBuffer(retention) };
+          series.set(key, entry);
+          seriesCount++;
+        }
+        entry.buffer.push(sample.timestamp ?? snapshot.timestamp, sample.value);
+        entry.appendedAt = appendedAt;
+      }
+
+      droppedSeries += dropped;
+      return dropped;
+    },
+
+    /**
+     * Forget series that no scrape or push has carried since a cutoff (e.g. after a target restart).
+     * Goes by when series were appended rather than their sample times, which expositions may set
+     * far in the past.
+     * @param {number} cutoff - Unix time in milliseconds
+     * @param {string} [target] - Only this target's series
+     */
+    evictStale(cutoff, target) {
+      for (const [targetName, series] of targets) {
+        if (target && targetName !== target) continue;
+        for (const [key, entry] of series) {
+          if (entry.appendedAt < cutoff) {
+            series.delete(key);
+            seriesCount--;
+          }
+        }
+      }
+    },
+
+    /**
+     * Forget every series of a target that is no longer scraped
+     * @param {string} target - Target name
+     */
+    removeTarget(target) {
+      const series = targets.get(target);
+      if (!series) return;
+      seriesCount -= series.size;
+      targets.delete(target);
+    },
+
+    /**
+     * List stored series
+     * @param {Object} filter
+     * @param {string} [filter.target] - Only this target
+     * @param {string[]} [filter.names] - Only these metric names
+     * @param {number} [filter.limit] - Maximum number of series returned
+     * @returns {Array} - [{ target, name, labels, points, first, last }]
+     */
+    listSeries({ target, names, limit = Infinity } = {}) {
+      const nameSet = names?.length ? new Set(names) : null;
+      const result = [];
+      for (const [targetName, series] of targets) {
+        if (target && targetName !== target) continue;
+        for (const entry of series.values()) {
+          if (nameSet && !nameSet.has(entry.name)) continue;
+          if (result.length >= limit) return result;
+          const points = entry.buffer.range();
+          result.push({
+            target: targetName,
+            name: entry.name,
+            labels: entry.labels,
+            points: points.length,
+            first: points[0][0],
+            last: points[points.length - 1][0],
+          });
+        }
+      }
+      return result;
+    },
+
+    /**
+     * Read the points of a target's series in a time range
+     * @param {Object} query
+     * @param {string} query.target - Target name
+     * @param {string[]} query.names - Metric names
+     * @param {number} [query.start] - Range start (ms)
+     * @param {number} [query.end] - Range end (ms)
+     * @param {number} [query.step] - Bucket width (ms); keeps the last point per bucket
+     * @returns {Array} - [{ name, labels, points: [[timestamp, value], ...] }]
+     */
+    queryRange({ target, names, start, end, step }) {
+      const series = targets.get(target);
+      if (!series) return [];
+      const nameSet = new Set(names);
+      const result = [];
+      for (const entry of series.values()) {
+        if (!nameSet.has(entry.name)) continue;
+        const points = downsample(entry.buffer.range(start, end), step);
+        if (points.length > 0) result.push({ name: entry.name, labels: entry.labels, points });
+      }
+      return result;
+    },
+
+    stats() {
+      return { targets: targets.size, series: seriesCount, droppedSeries, retention, maxSeries };
+    },
+  };
+};
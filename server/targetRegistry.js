@@ -0,0 +1,300 @@
+/**
+ * Named targets registry: the InfluxDB instances the UI can switch between, persisted
+ * as a JSON file so every browser sees the same list.
+ * Credentials (`auth`, sensitive headers, URL passwords) stay in that file: the server applies
+ * them when it requests the target, and every response carries the redacted view instead.
+ */
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { REDACTED_PASSWORD, normalizeTargetUrl, redactUrl } from './upstream.js';
+import { validateTlsOptions } from './tls.js';
+
+// Same bounds as the interval input in the UI's Connection Settings
+const MIN_INTERVAL_MS = 100;
+const MAX_INTERVAL_MS = 60000;
+const DEFAULT_INTERVAL_MS = 2000;
+
+// RFC 9110 token characters
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Tags may become labels on exported series, so they follow label-name rules
+const TAG_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Stands in for secrets in responses; sent back unchanged it keeps the stored secret
+export const REDACTED = '[redacted]';
+
+// Header values that are credentials in all but name
+const SENSITIVE_HEADER = /^(proxy-authorization|cookie)$|token|secret|api[-_]?key|password|session/i;
+
+// `token` is InfluxDB 2.x's own scheme (`Authorization: Token <API token>`)
+const AUTH_TYPES = ['none', 'bearer', 'token', 'basic'];
+
+// Stored secrets are only sent back to the origin they were entered for
+const MOVED_SECRET = (field) => `Re-enter ${field}: stored secrets are not sent to a new host`;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateStringMap = (value, field, namePattern, errors) => {
+  if (value === undefined) return {};
+  if (!isPlainObject(value)) {
+    errors.push(`"${field}" must be an object of strings`);
+    return {};
+  }
+  const result = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    if (!namePattern.test(key)) errors.push(`Invalid ${field} name: "${key}"`);
+    else if (typeof entry !== 'string' || /[\r\n]/.test(entry)) errors.push(`"${field}.${key}" must be a single-line string`);
+    else result[key] = entry;
+  });
+  return result;
+};
+
+/**
+ * @param {Object} [existing] - Stored auth, for secrets left out or sent back redacted
+ * @param {boolean} moved - Whether the target's origin changed, so stored secrets may not be reused
+ */
+const validateAuth = (auth, existing, moved, errors) => {
+  if (auth === undefined || auth === null) return { type: 'none' };
+  if (!isPlainObject(auth) || !AUTH_TYPES.includes(auth.type)) {
+    errors.push(`"auth.type" must be one of ${AUTH_TYPES.join(', ')}`);
+    return { type: 'none' };
+  }
+  // Secrets left out, or echoed back redacted, keep their stored value while the origin stays
+  const keep = (field) => {
+    const value = auth[field];
+    if ((value === undefined || value === REDACTED) && existing?.type === auth.type) {
+      if (!moved) return existing[field];
+      errors.push(MOVED_SECRET(`"auth.${field}"`));
+      return REDACTED;
+    }
+    return value;
+  };
+
+  if (auth.type === 'bearer' || auth.type === 'token') {
+    const token = keep('token');
+    if (typeof token !== 'string' || !token || /[\r\n]/.test(token)) errors.push('"auth.token" is required');
+    return { type: auth.type, token };
+  }
+  if (auth.type === 'basic') {
+    const { username } = auth;
+    const password = keep('password') ?? '';
+    if (typeof username !== 'string' || !username || username.includes(':')) {
+      errors.push('"auth.username" is required and may not contain ":"');
+    }
+    if (typeof password !== 'string') errors.push('"auth.password" must be a string');
+    return { type: 'basic', username, password };
+  }
+  return { type: 'none' };
+};
+
+const isSensitiveHeader = (name) => SENSITIVE_HEADER.test(name);
+
+/**
+ * Validate and normalize a target as sent by the UI
+ * @param {Object} input - { name, url, intervalMs?, useProxy?, headers?, tags?, auth?, tls? }
+ * @param {Object} [existing] - Stored target being replaced; its secrets fill in redacted or omitted ones
+ *   unless the URL moves to another origin, where they have to be entered again
+ * @param {Object} [options]
+ * @param {string} [options.tlsFilesDir] - Directory TLS certificate files must be in
+ * @param {boolean} [options.checkFiles] - Check that TLS certificate files are readable
+ * @returns {{ value: Object, errors: string[] }} - value is only usable when errors is empty
+ */
+export const validateTarget = (input, existing = null, { tlsFilesDir, checkFiles = true } = {}) => {
+  const errors = [];
+  if (!isPlainObject(input)) return { value: null, errors: ['Expected a JSON object'] };
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) errors.push('"name" is required');
+  else if (name.length > 100) errors.push('"name" must be at most 100 characters');
+
+  let url = null;
+  let moved = false;
+  if (typeof input.url !== 'string' || !input.url.trim()) {
+    errors.push('"url" is required');
+  } else {
+    try {
+      const parsed = normalizeTargetUrl(input.url.trim());
+      moved = existing !== null && parsed.origin !== new URL(existing.url).origin;
+      if (parsed.password === REDACTED_PASSWORD && existing) {
+        if (moved) errors.push(MOVED_SECRET('the URL password'));
+        else parsed.password = new URL(existing.url).password;
+      }
+      url = parsed.toString();
+    } catch {
+      errors.push(`Invalid URL: ${input.url}`);
+    }
+  }
+
+  const intervalMs = input.intervalMs ?? DEFAULT_INTERVAL_MS;
+  if (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS || intervalMs > MAX_INTERVAL_MS) {
+    errors.push(`"intervalMs" must be an integer between ${MIN_INTERVAL_MS} and ${MAX_INTERVAL_MS}`);
+  }
+
+  const useProxy = input.useProxy ?? true;
+  if (typeof useProxy !== 'boolean') errors.push('"useProxy" must be true or false');
+
+  const headers = validateStringMap(input.headers, 'headers', HEADER_NAME, errors);
+  Object.keys(headers).forEach(header => {
+    if (header.toLowerCase() === 'authorization') errors.push('Set the Authorization header through "auth"');
+    if (headers[header] === REDACTED && existing) {
+      const stored = Object.keys(existing.headers).find(key => key.toLowerCase() === header.toLowerCase());
+      if (stored && moved) errors.push(MOVED_SECRET(`"headers.${header}"`));
+      else if (stored) headers[header] = existing.headers[stored];
+    }
+  });
+  const tags = validateStringMap(input.tags, 'tags', TAG_NAME, errors);
+  const auth = validateAuth(input.auth, existing?.auth, moved, errors);
+  const tls = validateTlsOptions(input.tls, url ? new URL(url) : null, errors, { filesDir: tlsFilesDir, checkFiles });
+
+  // The browser requests direct targets itself, so it would need the credentials
+  const hasCredentials = auth.type !== 'none'
+    || Object.keys(headers).some(isSensitiveHeader)
+    || (url !== null && new URL(url).password !== '');
+  if (hasCredentials && useProxy === false) {
+    errors.push('Targets with credentials must use the proxy, which adds them server-side');
+  }
+
+  return { value: { name, url, intervalMs, useProxy, headers, tags, auth, tls }, errors };
+};
+
+/**
+ * A target as returned to clients, with every secret replaced by REDACTED
+ * @param {Object} target - Stored target
+ * @returns {Object}
+ */
+export const toPublicTarget = (target) => {
+  const headers = {};
+  Object.entries(target.headers).forEach(([name, value]) => {
+    headers[name] = isSensitiveHeader(name) ? REDACTED : value;
+  });
+  let auth = { type: target.auth.type };
+  if (target.auth.type === 'bearer' || target.auth.type === 'token') auth = { ...auth, token: REDACTED };
+  if (target.auth.type === 'basic') auth = { ...auth, username: target.auth.username, password: REDACTED };
+  return { ...target, url: redactUrl(target.url), headers, auth };
+};
+
+/**
+ * Headers the server adds to its requests to a target, including its Authorization
+ * @param {Object} target - Stored target
+ * @returns {Object}
+ */
+export const targetRequestHeaders = ({ headers, auth }) => {
+  const result = { ...headers };
+  if (auth.type === 'bearer') result.authorization = `Bearer ${auth.token}`;
+  if (auth.type === 'token') result.authorization = `Token ${auth.token}`;
+  if (auth.type === 'basic') {
+    result.authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+  }
+  return result;
+};
+
+/**
+ * Create a registry backed by a JSON file. The file is read once; every change rewrites it.
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON file (created on the first change)
+ * @param {string} options.tlsFilesDir - Directory TLS certificate files must be in; saved targets
+ *   with files elsewhere are ignored
+ */
+export const createTargetRegistry = ({ file, tlsFilesDir }) => {
+  let targets = [];
+  let writing = Promise.resolve();
+
+  const warnIfInsecure = (target) => {
+    if (target.tls.insecureSkipVerify) {
+      console.error(`Warning: TLS certificate verification is disabled for target "${target.name}"`);
+    }
+  };
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (saved.targets || []).forEach(entry => {
+      // Missing certificate files are reported when the target is used, rather than dropping it
+      const { value, errors } = validateTarget(entry, null, { tlsFilesDir, checkFiles: false });
+      if (errors.length > 0 || typeof entry?.id !== 'string') {
+        console.error(`Ignoring saved target "${entry?.name}": ${errors.join('; ') || 'missing id'}`);
+        return;
+      }
+      targets.push({ id: entry.id, ...value });
+      warnIfInsecure(value);
+    });
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to load targets from ${file}:`, err.message);
+  }
+
+  // Writes go through a temporary file so a crash mid-write can't truncate the registry,
+  // and are chained so each change applies to the list the previous one saved
+  const persist = (change) => {
+    const result = writing.catch(() => {}).then(async () => {
+      const next = change(targets);
+      if (next === targets) return;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.tmp`;
+      // Owner-only: the file holds target credentials
+      await fs.promises.writeFile(temp, `${JSON.stringify({ targets: next }, null, 2)}\n`, { mode: 0o600 });
+      await fs.promises.rename(temp, file);
+      targets = next;
+    });
+    writing = result;
+    return result;
+  };
+
+  return {
+    list() {
+      return targets;
+    },
+
+    /**
+     * Find a target by id or name
+     * @returns {Object | null}
+     */
+    get(idOrName) {
+      return targets.find(t => t.id === idOrName) || targets.find(t => t.name === idOrName) || null;
+    },
+
+    /**
+     * Whether another target already uses a name
+     */
+    isNameTaken(name, exceptId = null) {
+      return targets.some(t => t.name === name && t.id !== exceptId);
+    },
+
+    /**
+     * Add a validated target (see validateTarget)
+     * @returns {Promise<Object>} - The stored target with its id
+     */
+    async create(value) {
+      const target = { id: randomUUID(), ...value };
+      await persist(current => [...current, target]);
+      warnIfInsecure(target);
+      return target;
+    },
+
+    /**
+     * Replace a target's settings
+     * @returns {Promise<Object | null>} - The stored target, or null when the id is unknown
+     */
+    async update(id, value) {
+      const target = { id, ...value };
+      let found = false;
+      await persist(current => {
+        found = current.some(t => t.id === id);
+        return found ? current.map(t => (t.id === id ? target : t)) : current;
+      });
+      if (found) warnIfInsecure(target);
+      return found ? target : null;
+    },
+
+    /**
+     * Delete a target
+     * @returns {Promise<boolean>} - false when the id is unknown
+     */
+    async remove(id) {
+      let found = false;
+      await persist(current => {
+        found = current.some(t => t.id === id);
+        return found ? current.filter(t => t.id !== id) : current;
+      });
+      return found;
+    },
+  };
+};
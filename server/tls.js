@@ -0,0 +1,185 @@
+/**
+ * Per-target TLS settings for requests to HTTPS metrics endpoints, and readable
+ * explanations of TLS handshake failures.
+ */
+import fs from 'fs';
+import path from 'path';
+
+const TLS_FILE_FIELDS = ['caFile', 'certFile', 'keyFile'];
+
+// Certificate files by path; re-read when the file changes so rotated certs are picked up
+const fileCache = new Map(); // path -> { mtimeMs, contents }
+
+const readCached = (file) => {
+  const { mtimeMs } = fs.statSync(file);
+  const cached = fileCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.contents;
+  const contents = fs.readFileSync(file);
+  fileCache.set(file, { mtimeMs, contents });
+  return contents;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isInside = (dir, file) => {
+  const relative = path.relative(dir, file);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Resolve a certificate file against the TLS files directory. Targets come from an
+ * unauthenticated API, so any other path is refused rather than read, or even checked for.
+ * @returns {string | null} - Absolute path, or null (with an error added) when it is outside filesDir
+ */
+const resolveTlsFile = (value, field, filesDir, errors) => {
+  if (!filesDir) {
+    errors.push(`"tls.${field}" needs TLS_FILES_DIR, the directory certificate files are read from`);
+    return null;
+  }
+  const dir = path.resolve(filesDir);
+  const file = path.resolve(dir, value);
+  if (!isInside(dir, file)) {
+    errors.push(`"tls.${field}" must be a file in TLS_FILES_DIR (${dir})`);
+    return null;
+  }
+  return file;
+};
+
+const checkReadable = (file, field, filesDir, errors) => {
+  try {
+    // A symbolic link in the directory may not lead out of it
+    if (!isInside(fs.realpathSync(filesDir), fs.realpathSync(file))) {
+      errors.push(`"tls.${field}" must be a file in TLS_FILES_DIR`);
+      return;
+    }
+    fs.accessSync(file, fs.constants.R_OK);
+  } catch (err) {
+    errors.push(`Cannot read "tls.${field}" (${path.basename(file)}): ${err.code || err.message}`);
+  }
+};
+
+/**
+ * Validate a target's TLS settings
+ * @param {Object} [tls] - { caFile?, certFile?, keyFile?, serverName?, insecureSkipVerify? }
+ * @param {URL | null} url - Target URL, which must be https:// when any option is set
+ * @param {string[]} errors - Problems are appended here
+ * @param {Object} [options]
+ * @param {string} [options.filesDir] - Directory certificate files must be in (TLS_FILES_DIR); paths
+ *   are relative to it. Without it, certificate files can't be set.
+ * @param {boolean} [options.checkFiles] - Also check that the certificate files are readable
+ * @returns {Object} - Normalized settings, with file paths relative to filesDir (see resolveTlsFiles);
+ *   empty strings are dropped
+ */
+export const validateTlsOptions = (tls, url, errors, { filesDir, checkFiles = true } = {}) => {
+  if (tls === undefined || tls === null) return {};
+  if (!isPlainObject(tls)) {
+    errors.push('"tls" must be an object');
+    return {};
+  }
+
+  const result = {};
+  ['caFile', 'certFile', 'keyFile', 'serverName'].forEach(field => {
+    if (tls[field] === undefined || tls[field] === '') return;
+    if (typeof tls[field] !== 'string') errors.push(`"tls.${field}" must be a string`);
+    else result[field] = tls[field].trim();
+  });
+  if (tls.insecureSkipVerify !== undefined) {
+    if (typeof tls.insecureSkipVerify !== 'boolean') errors.push('"tls.insecureSkipVerify" must be true or false');
+    else if (tls.insecureSkipVerify) result.insecureSkipVerify = true;
+  }
+
+  if (Boolean(result.certFile) !== Boolean(result.keyFile)) {
+    errors.push('"tls.certFile" and "tls.keyFile" must be set together for a client certificate');
+  }
+  if (result.serverName && !/^[a-zA-Z0-9.-]+$/.test(result.serverName)) {
+    errors.push(`Invalid "tls.serverName": ${result.serverName}`);
+  }
+  TLS_FILE_FIELDS.forEach(field => {
+    if (!result[field]) return;
+    const file = resolveTlsFile(result[field], field, filesDir, errors);
+    if (!file) return;
+    // Stored and shown relative, so responses don't reveal the server's directory layout
+    result[field] = path.relative(path.resolve(filesDir), file);
+    if (checkFiles) checkReadable(file, field, filesDir, errors);
+  });
+  if (Object.keys(result).length > 0 && url && url.protocol !== 'https:') {
+    errors.push('TLS settings need an https:// URL');
+  }
+  return result;
+};
+
+/**
+ * A target's TLS settings with its certificate files resolved against the TLS files directory,
+ * as requests need them
+ * @param {Object} [tls] - Validated settings (see validateTlsOptions)
+ * @param {string} filesDir - TLS_FILES_DIR
+ * @returns {Object | undefined}
+ */
+export const resolveTlsFiles = (tls, filesDir) => {
+  if (!tls) return tls;
+  const result = { ...tls };
+  TLS_FILE_FIELDS.forEach(field => {
+    if (tls[field]) result[field] = path.resolve(filesDir, tls[field]);
+  });
+  return result;
+};
+
+/**
+ * Options for https.request from a target's TLS settings
+ * @param {Object} [tls] - Settings with resolved file paths (see resolveTlsFiles)
+ * @returns {Object} - { ca, cert, key, servername, rejectUnauthorized }; empty without settings.
+ *   Throws when a certificate file can no longer be read.
+ */
+export const tlsRequestOptions = (tls) => {
+  if (!tls) return {};
+  const options = {};
+  // A custom CA replaces Node's bundled roots for this request, which is what an internal CA wants
+  if (tls.caFile) options.ca = readCached(tls.caFile);
+  if (tls.certFile) options.cert = readCached(tls.certFile);
+  if (tls.keyFile) options.key = readCached(tls.keyFile);
+  if (tls.serverName) options.servername = tls.serverName;
+  if (tls.insecureSkipVerify) options.rejectUnauthorized = false;
+  return options;
+};
+
+// Handshake failures by Node/OpenSSL error code, with what usually fixes them
+const TLS_ERRORS = {
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'the server presented a self-signed certificate. Set its certificate as the target\'s CA file',
+  SELF_SIGNED_CERT_IN_CHAIN: 'the certificate chain ends in a self-signed root CA that is not trusted. Set that root as the target\'s CA file',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'the certificate was issued by a CA that is not trusted (an internal CA?). Set the CA bundle as the target\'s CA file',
+  UNABLE_TO_GET_ISSUER_CERT: 'the certificate was issued by a CA that is not trusted (an internal CA?). Set the CA bundle as the target\'s CA file',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'the certificate could not be verified against a trusted CA; the server may not send its intermediate certificates. Set the full CA bundle as the target\'s CA file',
+  CERT_HAS_EXPIRED: 'the server\'s certificate has expired',
+  CERT_NOT_YET_VALID: 'the server\'s certificate is not valid yet (check the clocks of both hosts)',
+  CERT_REVOKED: 'the server\'s certificate has been revoked',
+  CERT_SIGNATURE_FAILURE: 'the certificate\'s signature is invalid',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'the certificate is not valid for this host name. Set the server name (SNI) the certificate was issued for',
+  ERR_SSL_WRONG_VERSION_NUMBER: 'the endpoint did not answer with TLS; it probably serves plain http:// on this port',
+  ERR_SSL_TLSV13_ALERT_CERTIFICATE_REQUIRED: 'the server requires a client certificate. Set the target\'s client certificate and key',
+  ERR_SSL_SSLV3_ALERT_BAD_CERTIFICATE: 'the server rejected the client certificate',
+  ERR_SSL_TLSV1_ALERT_UNKNOWN_CA: 'the server does not trust the CA that issued the client certificate',
+  ERR_SSL_SSLV3_ALERT_HANDSHAKE_FAILURE: 'the server refused the handshake (no common protocol version or cipher, or a missing client certificate)',
+  ERR_SSL_TLSV1_ALERT_PROTOCOL_VERSION: 'the server does not support a TLS version Node allows',
+  ERR_OSSL_PEM_NO_START_LINE: 'a certificate or key file is not in PEM format',
+  ERR_OSSL_X509_KEY_VALUES_MISMATCH: 'the client key does not match the client certificate',
+};
+
+/**
+ * Explain a TLS handshake failure
+ * @param {Error} err - Request error
+ * @returns {string | null} - e.g. `TLS handshake failed: the server presented a self-signed
+ *   certificate... [DEPTH_ZERO_SELF_SIGNED_CERT]`; null for errors that aren't TLS failures
+ */
+export const describeTlsError = (err) => {
+  // Older OpenSSL builds report a plain-HTTP answer as a generic protocol error
+  const code = err?.code === 'EPROTO' && /wrong version number/.test(err.message) ? 'ERR_SSL_WRONG_VERSION_NUMBER' : err?.code;
+  const reason = TLS_ERRORS[code];
+  if (reason) {
+    const detail = err.code === 'ERR_TLS_CERT_ALTNAME_INVALID' && err.reason ? ` (${err.reason})` : '';
+    return `TLS handshake failed: ${reason}${detail} [${code}]`;
+  }
+  if (/^ERR_SSL_|^ERR_OSSL_/.test(code || '') || code === 'EPROTO') {
+    return `TLS handshake failed: ${err.message.trim()} [${code}]`;
+  }
+  return null;
+};
@@ -0,0 +1,210 @@
+/**
+ * Requests to metrics endpoints, shared by the CORS proxy and the scraper.
+ */
+import http from 'http';
+import https from 'https';
+import { URL } from 'url';
+import { performance } from 'perf_hooks';
+import { describeTlsError, tlsRequestOptions } from './tls.js';
+import { POLICY_ERROR_CODE } from './proxyPolicy.js';
+
+// Formats the client can parse, in order of preference. Sent upstream when the caller
+// doesn't ask for anything specific so the response Content-Type identifies the format
+// (OpenMetrics, Prometheus text, or expvar JSON from InfluxDB 1.x /debug/vars).
+export const METRICS_ACCEPT = 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.75,application/json;q=0.5,*/*;q=0.1';
+
+/**
+ * Add a scheme to bare `host:port/path` targets and parse them
+ * @param {string} target - URL as entered by the user
+ * @returns {URL} - Throws TypeError when the URL is invalid
+ */
+export const normalizeTargetUrl = (target) => {
+  const withScheme = /^https?:\/\//.test(target) ? target : `http://${target}`;
+  return new URL(withScheme);
+};
+
+// Replaces URL passwords in logs and listings
+export const REDACTED_PASSWORD = 'redacted';
+
+/**
+ * Hide the password of a `user:password@host` URL, for logs and listings
+ * @param {string} url - Absolute URL
+ * @returns {string}
+ */
+export const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.password) return url;
+    parsed.password = REDACTED_PASSWORD;
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+};
+
+// Codes of the failures found before or while reading a response, rather than by Node
+const UPSTREAM_FAILURES = new Set(['tls_error', 'upstream_timeout', 'upstream_http_error', 'payload_too_large']);
+
+// Node network error codes by the failure they mean
+const NETWORK_ERRORS = {
+  ENOTFOUND: 'dns_failure',
+  EAI_AGAIN: 'dns_failure',
+  EAI_FAIL: 'dns_failure',
+  ECONNREFUSED: 'connection_refused',
+  ECONNRESET: 'connection_reset',
+  EPIPE: 'connection_reset',
+  EHOSTUNREACH: 'host_unreachable',
+  ENETUNREACH: 'host_unreachable',
+  ETIMEDOUT: 'upstream_timeout',
+};
+
+/**
+ * An error for a failure this module detects itself
+ * @param {string} code - One of UPSTREAM_FAILURES
+ * @param {string} message
+ * @param {Object} [details] - Extra fields, e.g. { status } of an HTTP error
+ * @returns {Error}
+ */
+export const upstreamError = (code, message, details = {}) => Object.assign(new Error(message), { code, ...details });
+
+/**
+ * Classify a failed upstream request for error responses and stream events
+ * @param {Error} err - Request error
+ * @returns {{ code: string, message: string }} - code is dns_failure, connection_refused,
+ *   connection_reset, host_unreachable, tls_error, upstream_timeout, upstream_http_error,
+ *   payload_too_large, a proxy policy code (forbidden_*) or network_error
+ */
+export const classifyUpstreamError = (err) => {
+  if (err.code === POLICY_ERROR_CODE) return { code: err.denial.code, message: err.message };
+  if (UPSTREAM_FAILURES.has(err.code)) return { code: err.code, message: err.message };
+  const tlsExplanation = describeTlsError(err);
+  if (tlsExplanation) return { code: 'tls_error', message: tlsExplanation };
+  // Node reports a connection closed before any response as a hang-up without a code
+  const code = NETWORK_ERRORS[err.code] || (err.message === 'socket hang up' ? 'connection_reset' : 'network_error');
+  return { code, message: err.message };
+};
+
+/**
+ * Record when each phase of a request completes
+ * @param {http.ClientRequest} req - Request, before it is sent
+ * @returns {Function} - Returns { dnsMs, connectMs, tlsMs, firstByteMs, totalMs } so far, in ms since
+ *   the request started (like curl's timings); phases that didn't happen, e.g. DNS for an IP address
+ *   or everything but the first byte on a reused connection, are left out
+ */
+export const trackTiming = (req) => {
+  const startedAt = performance.now();
+  const marks = {};
+  const mark = (name) => () => {
+    marks[name] = performance.now() - startedAt;
+  };
+  req.once('socket', (socket) => {
+    socket.once('lookup', mark('dnsMs'));
+    socket.once('connect', mark('connectMs'));
+    socket.once('secureConnect', mark('tlsMs'));
+  });
+  req.once('response', mark('firstByteMs'));
+
+  return () => {
+    const timing = {};
+    Object.entries({ ...marks, totalMs: performance.now() - startedAt }).forEach(([name, ms]) => {
+      timing[name] = Math.round(ms * 10) / 10;
+    });
+    return timing;
+  };
+};
+
+/**
+ * Send a request to a metrics endpoint and read the whole response, whatever its status
+ * @param {URL} url - Target URL
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method
+ * @param {Object} [options.headers] - Request headers, sent as given
+ * @param {string | Buffer} [options.body] - Request body
+ * @param {number} [options.timeoutMs] - Abort when the endpoint is silent for this long
+ * @param {Object} [options.tls] - A registered target's TLS settings (see tls.js); ignored for http:// URLs
+ * @param {Object} [options.policy] - Proxy policy (see proxyPolicy.js) for URLs that came from a browser;
+ *   enforces its destination rules and response size cap
+ * @returns {Promise<{ status: number, statusMessage: string, headers: Object, body: Buffer, timing: Object }>} -
+ *   Rejects on network errors, timeouts, oversized responses and policy denials (see classifyUpstreamError);
+ *   TLS failures carry an explanation (see describeTlsError), and every error its `timing` (see trackTiming)
+ */
+export const requestUpstream = (url, { method = 'GET', headers = {}, body, timeoutMs = 30000, tls, policy } = {}) => new Promise((resolve, reject) => {
+  let getTiming = () => undefined;
+  const fail = (err) => {
+    const explanation = describeTlsError(err);
+    reject(Object.assign(explanation ? upstreamError('tls_error', explanation) : err, { timing: getTiming() }));
+  };
+
+  const onResponse = (res) => {
+    const maxBytes = policy?.maxResponseBytes ?? Infinity;
+    const declaredLength = Number(res.headers['content-length']);
+    if (declaredLength > maxBytes) {
+      res.destroy();
+      fail(upstreamError('payload_too_large', `Response of ${declaredLength} bytes exceeds the ${maxBytes} byte limit`));
+      return;
+    }
+    const chunks = [];
+    let received = 0;
+    res.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        res.destroy(upstreamError('payload_too_large', `Response exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    res.on('end', () => resolve({
+      status: res.statusCode,
+      statusMessage: res.statusMessage,
+      headers: res.headers,
+      body: Buffer.concat(chunks),
+      timing: getTiming(),
+    }));
+    res.on('error', fail);
+  };
+
+  const protocol = url.protocol === 'https:' ? https : http;
+  let req;
+  try {
+    // Unreadable or malformed certificate files, and denied IP-literal hosts, throw here
+    // rather than failing the request
+    const options = {
+      method,
+      headers,
+      ...(url.protocol === 'https:' ? tlsRequestOptions(tls) : {}),
+      ...(policy ? policy.requestOptions(url) : {}),
+    };
+    req = protocol.request(url, options, onResponse);
+  } catch (err) {
+    const setupError = err.code === POLICY_ERROR_CODE || describeTlsError(err)
+      ? err
+      : upstreamError('tls_error', `Cannot load TLS settings: ${err.message}`);
+    fail(setupError);
+    return;
+  }
+
+  getTiming = trackTiming(req);
+  req.on('error', fail);
+  req.setTimeout(timeoutMs, () => {
+    req.destroy(upstreamError('upstream_timeout', `No response within ${timeoutMs}ms`));
+  });
+  req.end(body);
+});
+
+/**
+ * GET a metrics endpoint and read the whole body
+ * @param {URL} url - Target URL
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Abort after this long
+ * @param {Object} [options.headers] - Extra request headers (e.g. from a registered target)
+ * @param {Object} [options.tls] - A registered target's TLS settings (see tls.js)
+ * @param {Object} [options.policy] - Proxy policy for URLs that came from a browser (see requestUpstream)
+ * @returns {Promise<{ text: string, contentType: string }>} - Rejects like requestUpstream, and on non-2xx responses
+ */
+export const fetchMetricsText = async (url, { timeoutMs = 30000, headers = {}, tls, policy } = {}) => {
+  const res = await requestUpstream(url, { headers: { accept: METRICS_ACCEPT, ...headers }, timeoutMs, tls, policy });
+  if (res.status < 200 || res.status >= 300) {
+    throw upstreamError('upstream_http_error', `HTTP ${res.status}`, { status: res.status, timing: res.timing });
+  }
+  return { text: res.body.toString('utf8'), contentType: res.headers['content-type'] || '' };
+};